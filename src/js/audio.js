@@ -4,6 +4,42 @@
  * Includes individual sound volume and parameter controls (sfxr.me style)
  */
 
+import { GameEvents } from './events.js';
+
+/**
+ * Sound played for each gameplay event: [sound name, volume]
+ */
+const EVENT_SOUNDS = {
+    [GameEvents.PEG_HIT]: ['peg', 0.3],
+    [GameEvents.BUMPER_HIT]: ['bumper', 1.0],
+    [GameEvents.TARGET_HIT]: ['target', 1.0],
+    [GameEvents.TARGETS_COMPLETE]: ['allTargets', 1.0],
+    [GameEvents.RAMP_ENTER]: ['rampEnter', 1.0],
+    [GameEvents.RAMP_COMPLETE]: ['rampExit', 1.0],
+    [GameEvents.FUNNEL_CAPTURE]: ['jackpotTrigger', 1.0],
+    [GameEvents.VPOCKET_ENTER]: ['jackpotTrigger', 1.0],
+    [GameEvents.TULIP_ENTER]: ['target', 1.0],
+    [GameEvents.FEATURE_ZONE_HIT]: ['allTargets', 1.0],
+    [GameEvents.FEVER_START]: ['jackpotWin', 1.0],
+    [GameEvents.ATTACKER_ROUND]: ['jackpotTrigger', 1.0],
+    [GameEvents.ATTACKER_ENTER]: ['target', 0.6],
+    [GameEvents.BALL_LAUNCH]: ['fire', 1.0],
+    [GameEvents.BALL_DRAIN]: ['drain', 1.0],
+    [GameEvents.BALL_SAVE]: ['fire', 0.8],
+    [GameEvents.SKILL_SHOT]: ['jackpotWin', 1.0],
+    [GameEvents.BALL_LOCK]: ['target', 1.0],
+    [GameEvents.MULTIBALL_START]: ['jackpotWin', 1.0],
+    [GameEvents.MULTIBALL_JACKPOT]: ['allTargets', 1.0],
+    [GameEvents.NUDGE]: ['bumper', 0.4],
+    [GameEvents.TILT_WARNING]: ['drain', 1.0],
+    [GameEvents.TILT]: ['gameOver', 1.0],
+    [GameEvents.FLIPPER_ACTIVATE]: ['flipper', 0.3],
+    [GameEvents.FLIPPER_HIT]: ['flipper', 0.5],
+    [GameEvents.JACKPOT_SPIN]: ['reelSpin', 1.0],
+    [GameEvents.JACKPOT_REEL_STOP]: ['reelStop', 1.0],
+    [GameEvents.GAME_OVER]: ['gameOver', 1.0]
+};
+
 export class AudioManager {
     constructor(game) {
         this.game = game;
@@ -13,6 +49,9 @@ export class AudioManager {
         this.sfxVolume = 0.8;
         this.muted = false;
         
+        // Suspended while the game is paused
+        this.suspended = false;
+        
         // Individual sound volumes (0-1)
         this.soundVolumes = {
             fire: 0.8,
@@ -190,20 +229,53 @@ export class AudioManager {
         // Generate all sounds
         this.generateSounds();
         
+        // Play sounds for gameplay events
+        this.subscribeToEvents();
+        
         // Handle audio context state
         if (this.audioContext.state === 'suspended') {
             const resumeAudio = () => {
-                this.audioContext.resume();
+                // Stay silent if the game was paused before the first interaction
+                if (!this.suspended) {
+                    this.audioContext.resume();
+                }
                 document.removeEventListener('click', resumeAudio);
                 document.removeEventListener('touchstart', resumeAudio);
             };
-            document.addEventListener('click', resumeAudio);
-            document.addEventListener('touchstart', resumeAudio);
+            document.addEventListener('click', resumeAudio, { signal: this.game.signal });
+            document.addEventListener('touchstart', resumeAudio, { signal: this.game.signal });
         }
         
         console.log('Audio manager initialized');
     }
 
+    /**
+     * Subscribe to gameplay events
+     */
+    subscribeToEvents() {
+        const events = this.game.events;
+        
+        Object.entries(EVENT_SOUNDS).forEach(([type, [name, volume]]) => {
+            events.on(type, () => this.playSound(name, volume));
+        });
+        
+        // A hot reserve lamp foreshadows a win
+        events.on(GameEvents.JACKPOT_RESERVE, ({ hint }) => {
+            if (hint === 'hot') {
+                this.playSound('allTargets', 0.6);
+            }
+        });
+        
+        // Jackpot result sound depends on the win
+        events.on(GameEvents.JACKPOT_RESULT, ({ result }) => {
+            if (result.isMegaWin) {
+                this.playSound('jackpotWin');
+            } else if (result.isWin) {
+                this.playSound('allTargets');
+            }
+        });
+    }
+
     /**
      * Generate all game sounds using jsfxr-style synthesis
      */
@@ -476,4 +548,35 @@ export class AudioManager {
     setMuted(muted) {
         this.muted = muted;
     }
+
+    /**
+     * Suspend the audio context (game paused)
+     */
+    suspend() {
+        this.suspended = true;
+        if (this.audioContext && this.audioContext.state === 'running') {
+            this.audioContext.suspend();
+        }
+    }
+
+    /**
+     * Resume the audio context where it was suspended
+     */
+    resume() {
+        this.suspended = false;
+        if (this.audioContext && this.audioContext.state === 'suspended') {
+            this.audioContext.resume();
+        }
+    }
+
+    /**
+     * Close the audio context (game destroyed)
+     */
+    destroy() {
+        if (this.audioContext) {
+            this.audioContext.close();
+            this.audioContext = null;
+        }
+        this.sounds = {};
+    }
 }
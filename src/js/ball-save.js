@@ -0,0 +1,118 @@
+/**
+ * Ball Save
+ * A ball that drains within the ball-save time of its cannon launch is given back
+ * to the player. The time is a settings slider and applies from the next session.
+ */
+
+import { CONFIG } from './config.js';
+import { GameEvents } from './events.js';
+
+export class BallSaver {
+    constructor(game) {
+        this.game = game;
+
+        // Seconds after launch in which a drained ball is given back (0 = off)
+        this.saveTime = CONFIG.BALL_SAVE.TIME;
+
+        // Ball id -> tick its save runs out
+        this.saves = new Map();
+    }
+
+    /**
+     * Initialize the ball saver
+     */
+    init() {
+        const events = this.game.events;
+
+        events.on(GameEvents.BALL_LAUNCH, ({ ballId }) => this.onLaunch(ballId));
+        events.on(GameEvents.BALL_DRAIN, (event) => this.onBallDrain(event));
+
+        console.log('Ball saver initialized');
+    }
+
+    /**
+     * Whether a ball is still covered by the ball save
+     */
+    isSaved(ballId) {
+        const until = this.saves.get(ballId);
+        return until !== undefined && this.game.clock.tick < until;
+    }
+
+    /**
+     * Cover a freshly launched ball
+     */
+    onLaunch(ballId) {
+        if (this.saveTime <= 0) return;
+
+        const clock = this.game.clock;
+        this.saves.set(ballId, clock.tick + clock.secondsToTicks(this.saveTime));
+    }
+
+    /**
+     * Give back a covered ball that drains (not while tilted)
+     */
+    onBallDrain(event) {
+        const saved = this.isSaved(event.ballId);
+        this.saves.delete(event.ballId);
+
+        if (!saved || this.game.tilt.isTilted) return;
+
+        // Drained balls leave play right after this event, without a refund
+        const balls = this.game.balls;
+        balls.totalBalls++;
+        this.game.ui.updateBallCount(balls.totalBalls);
+
+        this.game.events.emit(GameEvents.BALL_SAVE, {
+            ballId: event.ballId,
+            position: event.position,
+            source: 'launch'
+        });
+    }
+
+    /**
+     * Forget saves that ran out or whose ball left play some other way
+     */
+    update() {
+        if (this.saves.size === 0) return;
+
+        const tick = this.game.clock.tick;
+        const inPlay = new Set([...this.game.balls.activeBalls].map(ball => ball.id));
+        for (const [id, until] of this.saves) {
+            if (tick >= until || !inPlay.has(id)) this.saves.delete(id);
+        }
+    }
+
+    /**
+     * Reset for a new session (picks up the ball-save time setting)
+     */
+    reset() {
+        this.saveTime = CONFIG.BALL_SAVE.TIME;
+        this.saves.clear();
+    }
+
+    /**
+     * Capture the ball-save time and running saves (ticks stored relative to now)
+     */
+    snapshot() {
+        const tick = this.game.clock.tick;
+
+        return {
+            saveTime: this.saveTime,
+            saves: [...this.saves]
+                .filter(([, until]) => until > tick)
+                .map(([id, until]) => ({ id, remaining: until - tick }))
+        };
+    }
+
+    /**
+     * Restore the ball-save time and running saves (after reset, with the clock at the saved tick)
+     */
+    restore(snapshot) {
+        const tick = this.game.clock.tick;
+
+        this.saveTime = snapshot.saveTime;
+        snapshot.saves.forEach(({ id, remaining }) => {
+            this.saves.set(id, tick + remaining);
+        });
+    }
+}
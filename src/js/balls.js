@@ -6,6 +6,13 @@
 
 import * as THREE from 'three';
 import { CONFIG } from './config.js';
+import { GameEvents, ballPayload } from './events.js';
+import { RNG_STREAMS } from './rng.js';
+
+/**
+ * Stuck ball recovery steps, in escalation order
+ */
+export const STUCK_ACTIONS = ['nudge', 'search', 'remove'];
 
 export class BallManager {
     constructor(game) {
@@ -17,6 +24,9 @@ export class BallManager {
         
         // Ball count
         this.totalBalls = CONFIG.BALLS.STARTING_COUNT;
+        
+        // Id given to the next spawned ball (carried by gameplay events)
+        this.nextBallId = 1;
     }
 
     /**
@@ -85,7 +95,21 @@ export class BallManager {
         
         this.game.physics.addBody(body);
         
-        return { mesh, body, active: false };
+        return {
+            mesh,
+            body,
+            active: false,
+            id: null,
+            // Positions at the previous and current simulation tick (for render interpolation)
+            previousPosition: new THREE.Vector3(),
+            currentPosition: new THREE.Vector3(),
+            // Stuck detection: where the ball came to rest, for how many ticks,
+            // and the recovery steps taken so far (see checkStuck)
+            restPosition: new THREE.Vector3(),
+            restTicks: 0,
+            recoveryStage: 0,
+            recoveryPosition: new THREE.Vector3()
+        };
     }
 
     /**
@@ -111,23 +135,36 @@ export class BallManager {
             return null;
         }
         
-        // Activate ball
+        this.activateBall(ball, this.nextBallId++, position, velocity);
+        
+        // Decrement total balls
+        this.totalBalls--;
+        this.game.ui.updateBallCount(this.totalBalls);
+        
+        return ball;
+    }
+
+    /**
+     * Put a pooled ball into play
+     */
+    activateBall(ball, id, position, velocity) {
         ball.active = true;
+        ball.id = id;
+        ball.body.userData.ballId = id;
         ball.mesh.visible = true;
         this.activeBalls.add(ball);
         
         // Set position
         this.game.physics.resetBody(ball.body, position);
         ball.mesh.position.set(position.x, position.y, position.z);
+        ball.previousPosition.copy(ball.mesh.position);
+        ball.currentPosition.copy(ball.mesh.position);
+        ball.restPosition.copy(ball.mesh.position);
+        ball.restTicks = 0;
+        ball.recoveryStage = 0;
         
         // Set velocity
         this.game.physics.setVelocity(ball.body, velocity);
-        
-        // Decrement total balls
-        this.totalBalls--;
-        this.game.ui.updateBallCount(this.totalBalls);
-        
-        return ball;
     }
 
     /**
@@ -145,6 +182,14 @@ export class BallManager {
         ball.body.sleep();
     }
 
+    /**
+     * Whether a ball body is in play (not back in the pool)
+     */
+    isInPlay(body) {
+        const ball = this.pool.find(b => b.body === body);
+        return Boolean(ball && ball.active);
+    }
+
     /**
      * Capture ball for jackpot
      */
@@ -178,22 +223,121 @@ export class BallManager {
     }
 
     /**
-     * Update all active balls
+     * Update all active balls (once per simulation tick)
      */
     update(deltaTime) {
         for (const ball of this.activeBalls) {
-            // Sync mesh position with physics body
+            // Record tick positions for render interpolation
             const pos = this.game.physics.getPosition(ball.body);
-            ball.mesh.position.set(pos.x, pos.y, pos.z);
+            ball.previousPosition.copy(ball.currentPosition);
+            ball.currentPosition.set(pos.x, pos.y, pos.z);
             
             // Sync rotation
             const quat = this.game.physics.getQuaternion(ball.body);
             ball.mesh.quaternion.set(quat.x, quat.y, quat.z, quat.w);
             
-            // Check if ball fell too far (safety cleanup)
-            if (pos.y < -15) {
-                this.drainBall(ball.body);
+            // Safety cleanup for balls that fell or flew out of the cabinet (refunded, like a stuck ball)
+            if (this.isOutOfBounds(pos)) {
+                this.game.events.emit(GameEvents.BALL_ESCAPE, ballPayload(ball.body));
+                this.returnBall(ball);
+                this.totalBalls++;
+                this.game.ui.updateBallCount(this.totalBalls);
+                continue;
             }
+            
+            this.checkStuck(ball);
+        }
+    }
+
+    /**
+     * Whether a position is outside the cabinet (CONFIG.BALLS.BOUNDS)
+     */
+    isOutOfBounds(position) {
+        const bounds = CONFIG.BALLS.BOUNDS;
+        return Math.abs(position.x) > bounds.X ||
+            position.y < bounds.Y_MIN ||
+            position.y > bounds.Y_MAX ||
+            Math.abs(position.z) > bounds.Z;
+    }
+
+    /**
+     * Escalate recovery for a ball that has stopped moving
+     * Each TIME seconds at rest takes the next step: nudge, ball search, removal with refund.
+     * The steps start over once the ball gets away from where it was stuck.
+     */
+    checkStuck(ball) {
+        const stuck = CONFIG.BALLS.STUCK;
+        const resting = ball.body.velocity.length() < stuck.SPEED &&
+            ball.currentPosition.distanceTo(ball.restPosition) < stuck.DISTANCE;
+        
+        if (!resting) {
+            ball.restPosition.copy(ball.currentPosition);
+            ball.restTicks = 0;
+            if (ball.recoveryStage > 0 && ball.currentPosition.distanceTo(ball.recoveryPosition) > stuck.ESCAPE_DISTANCE) {
+                ball.recoveryStage = 0;
+            }
+            return;
+        }
+        
+        ball.restTicks++;
+        if (ball.restTicks < this.game.clock.secondsToTicks(stuck.TIME)) return;
+        
+        const action = STUCK_ACTIONS[ball.recoveryStage];
+        ball.restTicks = 0;
+        ball.recoveryStage++;
+        ball.recoveryPosition.copy(ball.currentPosition);
+        
+        // Reported before acting so the position is where the ball was stuck
+        this.game.events.emit(GameEvents.BALL_STUCK, { ...ballPayload(ball.body), action });
+        
+        switch (action) {
+            case 'nudge':
+                this.kickBall(ball, stuck.NUDGE_IMPULSE);
+                break;
+            case 'search':
+                this.kickBall(ball, stuck.SEARCH_IMPULSE);
+                this.pulseBall(ball, stuck.SEARCH_PULSE);
+                break;
+            case 'remove':
+                this.returnBall(ball);
+                this.totalBalls++;
+                this.game.ui.updateBallCount(this.totalBalls);
+                break;
+        }
+    }
+
+    /**
+     * Kick a ball up the table in a random sideways direction
+     */
+    kickBall(ball, impulse) {
+        const angle = this.game.rng.stream(RNG_STREAMS.BALL_SEARCH).range(-Math.PI / 3, Math.PI / 3);
+        
+        this.game.physics.wakeUp(ball.body);
+        this.game.physics.applyImpulse(ball.body, {
+            x: Math.sin(angle) * impulse,
+            y: Math.cos(angle) * impulse,
+            z: 0
+        });
+    }
+
+    /**
+     * Make a ball glow briefly (ball search)
+     */
+    pulseBall(ball, duration) {
+        const material = ball.mesh.material;
+        material.emissive.setHex(0xffaa00);
+        
+        this.game.clock.scheduleEffect(() => {
+            material.emissive.setHex(0x000000);
+        }, duration);
+    }
+
+    /**
+     * Place ball meshes between their previous and current tick positions
+     */
+    interpolate(alpha) {
+        for (const ball of this.activeBalls) {
+            ball.mesh.position.lerpVectors(ball.previousPosition, ball.currentPosition, alpha);
         }
     }
 
@@ -216,5 +360,51 @@ export class BallManager {
         // Reset total count
         this.totalBalls = CONFIG.BALLS.STARTING_COUNT;
         this.game.ui.updateBallCount(this.totalBalls);
+        
+        this.nextBallId = 1;
+    }
+
+    /**
+     * Capture inventory and balls in flight
+     */
+    snapshot() {
+        const active = [...this.activeBalls].map(ball => {
+            const body = ball.body;
+            return {
+                id: ball.id,
+                position: { x: body.position.x, y: body.position.y, z: body.position.z },
+                velocity: { x: body.velocity.x, y: body.velocity.y, z: body.velocity.z },
+                angularVelocity: { x: body.angularVelocity.x, y: body.angularVelocity.y, z: body.angularVelocity.z },
+                quaternion: { x: body.quaternion.x, y: body.quaternion.y, z: body.quaternion.z, w: body.quaternion.w }
+            };
+        });
+        
+        return {
+            totalBalls: this.totalBalls,
+            nextBallId: this.nextBallId,
+            active
+        };
+    }
+
+    /**
+     * Restore inventory and balls in flight (after reset)
+     */
+    restore(snapshot) {
+        this.totalBalls = snapshot.totalBalls;
+        this.nextBallId = snapshot.nextBallId;
+        
+        snapshot.active.forEach(saved => {
+            const ball = this.pool.find(b => !b.active);
+            if (!ball) return;
+            
+            this.activateBall(ball, saved.id, saved.position, saved.velocity);
+            
+            const { angularVelocity: w, quaternion: q } = saved;
+            ball.body.angularVelocity.set(w.x, w.y, w.z);
+            ball.body.quaternion.set(q.x, q.y, q.z, q.w);
+            ball.mesh.quaternion.set(q.x, q.y, q.z, q.w);
+        });
+        
+        this.game.ui.updateBallCount(this.totalBalls);
     }
 }
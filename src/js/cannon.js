@@ -6,6 +6,8 @@
 
 import * as THREE from 'three';
 import { CONFIG } from './config.js';
+import { RNG_STREAMS } from './rng.js';
+import { GameEvents, ballPayload } from './events.js';
 
 export class Cannon {
     constructor(game) {
@@ -320,8 +322,9 @@ export class Cannon {
 
     /**
      * Fire the cannon
+     * @param {number} [power] - Launch power (0-1), defaults to the current input power
      */
-    fire() {
+    fire(power = this.game.input.getCannonPower()) {
         // Check cooldown
         if (this.cooldownRemaining > 0) return false;
         
@@ -331,8 +334,6 @@ export class Cannon {
             return false;
         }
         
-        // Get power from input
-        const power = this.game.input.getCannonPower();
         const actualPower = Math.max(0.2, power); // Minimum power
         
         // Calculate launch velocity
@@ -346,8 +347,10 @@ export class Cannon {
             // Start cooldown
             this.cooldownRemaining = this.getCurrentCooldown();
             
-            // Play sound
-            this.game.audio.playSound('fire');
+            this.game.events.emit(GameEvents.BALL_LAUNCH, {
+                ...ballPayload(ball.body),
+                power: actualPower
+            });
             
             // Visual feedback - barrel recoil
             this.playRecoilAnimation();
@@ -377,8 +380,8 @@ export class Cannon {
         // Aim toward the back of the board (negative Z) with elevation adjustment
         const vz = -baseSpeed * 0.15 + Math.sin(elevationAngle) * baseSpeed * 0.1;
         
-        // Add slight randomness based on GPU noise
-        const noise = this.game.getGPUNoiseRNG();
+        // Add slight randomness from the seeded cannon spread stream
+        const noise = this.game.rng.stream(RNG_STREAMS.CANNON).next();
         const noiseAmount = 0.08;
         
         return {
@@ -410,9 +413,9 @@ export class Cannon {
         const originalZ = this.barrel.position.z;
         this.barrel.position.z += 0.2;
         
-        setTimeout(() => {
+        this.game.clock.scheduleEffect(() => {
             this.barrel.position.z = originalZ;
-        }, 100);
+        }, 0.1);
     }
 
     /**
@@ -420,15 +423,22 @@ export class Cannon {
      */
     enableRapidFire() {
         if (!this.rapidFireEnabled) {
-            this.rapidFireEnabled = true;
-            this.game.ui.showRapidFire();
+            this.showRapidFireEnabled();
             this.game.ui.showEventNotification('RAPID-FIRE UNLOCKED!', '#00ffff');
-            
-            // Make barrel glow cyan
-            if (this.barrel) {
-                this.barrel.material.emissive = new THREE.Color(0x00ffff);
-                this.barrel.material.emissiveIntensity = 0.3;
-            }
+        }
+    }
+
+    /**
+     * Turn rapid fire on with its HUD indicator and barrel glow
+     */
+    showRapidFireEnabled() {
+        this.rapidFireEnabled = true;
+        this.game.ui.showRapidFire();
+        
+        // Make barrel glow cyan
+        if (this.barrel) {
+            this.barrel.material.emissive = new THREE.Color(0x00ffff);
+            this.barrel.material.emissiveIntensity = 0.3;
         }
     }
 
@@ -448,9 +458,15 @@ export class Cannon {
         this.power = 0;
         this.rotation = 0;
         this.elevation = 0;
+        this.mouseX = 0;
+        this.mouseY = 0;
         this.cooldownRemaining = 0;
         this.rapidFireEnabled = false;
         
+        if (this.barrelGroup) {
+            this.barrelGroup.rotation.set(0, 0, 0);
+        }
+        
         if (this.barrel) {
             this.barrel.material.emissive = new THREE.Color(0x000000);
             this.barrel.material.emissiveIntensity = 0;
@@ -458,4 +474,24 @@ export class Cannon {
         
         this.game.ui.hideRapidFire();
     }
+
+    /**
+     * Capture cannon state (aim is restored by the next input update)
+     */
+    snapshot() {
+        return {
+            cooldownRemaining: this.cooldownRemaining,
+            rapidFireEnabled: this.rapidFireEnabled
+        };
+    }
+
+    /**
+     * Restore cannon state (after reset)
+     */
+    restore(snapshot) {
+        this.cooldownRemaining = snapshot.cooldownRemaining;
+        if (snapshot.rapidFireEnabled) {
+            this.showRapidFireEnabled();
+        }
+    }
 }
@@ -0,0 +1,171 @@
+/**
+ * Simulation Clock
+ * Advances the game in fixed ticks, independent of requestAnimationFrame,
+ * and runs all gameplay timers on simulation time
+ */
+
+import { CONFIG } from './config.js';
+
+export class SimulationClock {
+    constructor(tickRate = CONFIG.SIMULATION.TICK_RATE) {
+        this.tickRate = tickRate;
+        this.fixedDelta = 1 / tickRate;
+
+        // Simulation state
+        this.tick = 0;
+        this.accumulator = 0;
+
+        // Interpolation factor between previous and current tick (0-1)
+        this.alpha = 0;
+        
+        // Simulation seconds per real second (0 holds the simulation still)
+        this.timeScale = 1;
+        
+        // Paused clocks run no ticks; the accumulator is kept so resuming continues exactly
+        this.paused = false;
+
+        // Scheduled timers (id -> timer)
+        this.timers = new Map();
+        this.nextTimerId = 1;
+    }
+
+    /**
+     * Current simulation time in seconds
+     */
+    get time() {
+        return this.tick * this.fixedDelta;
+    }
+
+    /**
+     * Accumulate real elapsed time and return how many ticks to run
+     * Excess time beyond MAX_TICKS_PER_FRAME is dropped to avoid a spiral of death
+     */
+    advance(elapsed) {
+        if (this.paused) return 0;
+        
+        this.accumulator += elapsed * this.timeScale;
+
+        let ticks = Math.floor(this.accumulator / this.fixedDelta);
+        if (ticks > CONFIG.SIMULATION.MAX_TICKS_PER_FRAME) {
+            ticks = CONFIG.SIMULATION.MAX_TICKS_PER_FRAME;
+            this.accumulator = 0;
+        } else {
+            this.accumulator -= ticks * this.fixedDelta;
+        }
+
+        this.alpha = this.accumulator / this.fixedDelta;
+        return ticks;
+    }
+
+    /**
+     * Advance simulation by one tick and fire due timers
+     */
+    step() {
+        this.tick++;
+        this.runTimers();
+    }
+
+    /**
+     * Fire every timer due on or before the current tick
+     */
+    runTimers() {
+        for (const [id, timer] of [...this.timers]) {
+            // Timer may have been cancelled by an earlier callback
+            if (!this.timers.has(id) || timer.dueTick > this.tick) continue;
+
+            if (timer.intervalTicks > 0) {
+                timer.dueTick += timer.intervalTicks;
+            } else {
+                this.timers.delete(id);
+            }
+
+            timer.callback();
+        }
+    }
+
+    /**
+     * Schedule a callback after a delay in simulation seconds
+     * Returns a timer id for cancel()
+     */
+    schedule(callback, delaySeconds) {
+        return this.addTimer(callback, delaySeconds, false);
+    }
+
+    /**
+     * Schedule a cosmetic callback (e.g. restoring a flashed material)
+     * Unlike gameplay timers, effects are run immediately on reset so visuals never stick
+     */
+    scheduleEffect(callback, delaySeconds) {
+        return this.addTimer(callback, delaySeconds, false, true);
+    }
+
+    /**
+     * Schedule a repeating callback every interval in simulation seconds
+     */
+    scheduleInterval(callback, intervalSeconds) {
+        return this.addTimer(callback, intervalSeconds, true);
+    }
+
+    /**
+     * Add a timer to the schedule
+     */
+    addTimer(callback, seconds, repeat, isEffect = false) {
+        const id = this.nextTimerId++;
+        const ticks = this.secondsToTicks(seconds);
+
+        this.timers.set(id, {
+            callback,
+            dueTick: this.tick + ticks,
+            intervalTicks: repeat ? ticks : 0,
+            isEffect
+        });
+
+        return id;
+    }
+
+    /**
+     * Cancel a scheduled timer
+     */
+    cancel(id) {
+        if (id !== null && id !== undefined) {
+            this.timers.delete(id);
+        }
+    }
+
+    /**
+     * Get remaining simulation seconds before a timer fires (0 if not scheduled)
+     */
+    getRemaining(id) {
+        const timer = this.timers.get(id);
+        if (!timer) return 0;
+        return (timer.dueTick - this.tick) * this.fixedDelta;
+    }
+
+    /**
+     * Convert seconds to a whole number of ticks (at least one)
+     */
+    secondsToTicks(seconds) {
+        return Math.max(1, Math.round(seconds * this.tickRate));
+    }
+
+    /**
+     * Cancel all timers
+     */
+    clearTimers() {
+        this.timers.clear();
+    }
+
+    /**
+     * Reset clock to tick zero
+     * Pending effects are flushed, pending gameplay timers are dropped
+     */
+    reset() {
+        const effects = [...this.timers.values()].filter(timer => timer.isEffect);
+        this.clearTimers();
+        effects.forEach(timer => timer.callback());
+
+        this.tick = 0;
+        this.accumulator = 0;
+        this.alpha = 0;
+    }
+}
@@ -7,13 +7,63 @@
 export const CONFIG = {
     // Frame & Performance
     TARGET_FPS: 60,
-    MAX_DELTA_TIME: 1/30, // Cap at 30fps minimum to prevent physics explosion
+    MAX_DELTA_TIME: 0.1, // Longer frames (tab switches, hitches) are dropped rather than simulated
+    
+    // Fixed-Timestep Simulation
+    SIMULATION: {
+        TICK_RATE: 60,           // Simulation ticks per second (physics and gameplay timers)
+        MAX_TICKS_PER_FRAME: 8   // Catch-up limit per rendered frame
+    },
+    
+    // Nudge and Tilt
+    TILT: {
+        NUDGE_IMPULSE: 0.4,     // Impulse on every ball in flight per nudge
+        NUDGE_AMOUNT: 0.3,      // Meter added per nudge (times sensitivity); 1 = TILT
+        DECAY: 0.15,            // Meter drained per second
+        WARNING_LEVEL: 0.6,     // TILT WARNING from this level
+        SENSITIVITY: 1.0,       // Settings slider; applies from the next session
+        SENSITIVITY_MIN: 0.5,
+        SENSITIVITY_MAX: 2,
+        SHAKE: {
+            AMPLITUDE: 0.15,    // Camera offset in units
+            DURATION: 0.25      // Seconds
+        }
+    },
+    
+    // Time Scale (simulation seconds per real second; presentation only, never changes outcomes)
+    TIME_SCALE: {
+        MIN: 0.05,
+        MAX: 2,
+        SLOW_MOTION: {
+            ENABLED: true,
+            SCALE: 0.3,              // Applied on top of the chosen time scale
+            HOLD: 0.6,               // Simulation seconds slow motion lingers after its trigger
+            POCKET_LABEL: 'JACKPOT', // V-pocket that slows time when a ball hovers over it
+            POCKET_RADIUS: 0.9,      // Hover distance from the pocket centre
+            HOVER_SPEED: 3           // Balls slower than this (units/s) near the pocket count as hovering
+        }
+    },
+    
+    // Headless Mode (no DOM, WebGL or audio)
+    HEADLESS: {
+        MAX_RECORDED_CALLS: 10000  // UI/audio stub calls kept with arguments (all calls are counted)
+    },
+    
+    // Game State Machine
+    STATE_MACHINE: {
+        STRICT: false   // Throw on invalid state transitions instead of logging a warning
+    },
+    
+    // Random Number Generation
+    RNG: {
+        SEED: null,          // Fixed session seed (null = random per session, or ?seed= in URL)
+        GPU_ENTROPY: false   // Mix GPU frame-time noise into all streams (breaks reproducibility)
+    },
     
     // Physics Constants
     PHYSICS: {
         GRAVITY: -9.81,
         PLAYFIELD_TILT: -6.5 * (Math.PI / 180), // -6.5 degrees in radians (tilted BACKWARD so balls roll down toward player)
-        SUBSTEPS: 8,
         CCD_ENABLED: true,
         SOLVER_ITERATIONS: 12,
         
@@ -38,6 +88,22 @@ export const CONFIG = {
             STATIC: 2,
             DYNAMIC: 4,
             TRIGGER: 8
+        },
+        
+        // Step the world in a Web Worker (falls back to the main thread when unavailable)
+        WORKER: {
+            ENABLED: true
+        }
+    },
+    
+    // Trigger Volumes (drains, pockets, gates, zones, ramp entrances)
+    TRIGGERS: {
+        STAY_TIME: 0.5, // Seconds inside a volume before stay is reported
+        DEBUG: false, // Show wireframes at startup (toggle in game with `)
+        DEBUG_COLORS: {
+            IDLE: 0x00ffff,
+            OCCUPIED: 0xffff00,
+            COOLDOWN: 0xff6600
         }
     },
     
@@ -64,7 +130,7 @@ export const CONFIG = {
         BUMPERS: {
             COUNT: 4,
             RADIUS: 0.45,
-            IMPULSE: 25,
+            KICK_SPEED: 8,          // Speed a kicked ball leaves the bumper at (replaces its bounce)
             COOLDOWN: 0.15,
             RESTITUTION: 0.95
         },
@@ -93,6 +159,7 @@ export const CONFIG = {
         
         // Ramps configuration
         RAMPS: {
+            TRAVERSAL_WINDOW: 1.5, // Seconds a ball has to pass entry, mid and exit checkpoints
             LEFT: {
                 POSITION: { x: -5, y: 2, z: 0 },
                 FRICTION: 0.3
@@ -124,13 +191,6 @@ export const CONFIG = {
             ]
         },
         
-        // Drains (only center now, no side drains for Pachinko style)
-        DRAINS: {
-            LEFT: { x: -6.5, y: -7.5 },
-            RIGHT: { x: 6.5, y: -7.5 },
-            CENTER: { x: 0, y: -8 }
-        },
-        
         // Authentic Pachinko Features (based on reference image)
         PACHINKO: {
             // Start Pocket - Ball entry point at top center (circular hole)
@@ -139,22 +199,6 @@ export const CONFIG = {
                 WIDTH: 0.8,
                 POINTS: 0
             },
-            // V-Pockets - Catchment areas that trigger slot machine
-            V_POCKETS: [
-                { x: -3, y: -2, points: 500, freeBalls: 3, label: 'V-POCKET', triggersSlot: true },
-                { x: 0, y: -1.5, points: 1000, freeBalls: 5, label: 'JACKPOT', triggersSlot: true },
-                { x: 3, y: -2, points: 500, freeBalls: 3, label: 'V-POCKET', triggersSlot: true }
-            ],
-            // Tulip Gates - Opening/Closing mechanical gates
-            TULIP_GATES: [
-                { x: -4, y: 2, openTime: 2.0, closeTime: 3.0 },
-                { x: 4, y: 2, openTime: 2.0, closeTime: 3.0 }
-            ],
-            // Feature Zones - Trigger special events
-            FEATURE_ZONES: [
-                { x: -5.5, y: 3, type: 'MULTIPLIER', value: 2 },
-                { x: 5.5, y: 3, type: 'MULTIPLIER', value: 2 }
-            ],
             // Fever Mode
             FEVER_MODE: {
                 DURATION: 15,
@@ -220,22 +264,37 @@ export const CONFIG = {
         ANGULAR_LIMIT: 75 * (Math.PI / 180),
         RESTING_ANGLE: -35 * (Math.PI / 180),
         ACTIVE_ANGLE: 35 * (Math.PI / 180),
-        MOTOR_TORQUE: 50,
-        ACTIVATION_TIME: 0.12,
-        DEACTIVATION_TIME: 0.10,
         FRICTION: 0.7,
-        SWING_RESTITUTION_BOOST: 0.15,
-        SLINGSHOT_IMPULSE: 5
+        
+        // Swing dynamics (kinematic paddle: the ball's exit speed comes from the
+        // paddle's real angular velocity at the contact point)
+        // Curves give the torque factor across the stroke, from rest (first) to fully up (last)
+        MOMENT_OF_INERTIA: 0.02,
+        MAX_ANGULAR_SPEED: 15,      // rad/s
+        SOLENOID: {
+            TORQUE: 5,
+            CURVE: [1, 1, 0.95, 0.85, 0.7]
+        },
+        RETURN_SPRING: {
+            TORQUE: 2.4,
+            CURVE: [0.6, 0.7, 0.8, 0.9, 1]
+        }
     },
     
     // Jackpot Machine
     JACKPOT: {
-        THRESHOLD: 10, // Balls needed to activate
-        CHUTE_CAPACITY: 15,
         AUTO_SPIN_DELAY: 3.0,
         SPIN_DURATION: 2.0,
         LOCKOUT_DURATION: 2.5,
         
+        // Reserved spins (horyu): each ball through the start pocket reserves one spin
+        MAX_RESERVED: 4,
+        OVERFLOW: 'refund',         // Balls in with every spin reserved: 'refund' (back to the inventory) or 'discard'
+        RESERVED_SPIN_DELAY: 0.5,   // Seconds between a payout and the next reserved spin
+        
+        // Chance a reserve lamp lights hot for its pre-rolled result (losses are fake-outs)
+        HOT_HOLD_CHANCE: { WIN: 0.6, LOSS: 0.05 },
+        
         SYMBOLS: ['1x', '2x', '3x', '4x', '5x', 'BONUS', 'FREE', 'WILD', 'JACKPOT', 'SPECIAL'],
         SYMBOL_WEIGHTS: [15, 15, 12, 10, 8, 10, 10, 8, 7, 5], // Higher = more common
         
@@ -253,12 +312,28 @@ export const CONFIG = {
             CONSOLATION_FREE_BALLS: 3
         }
     },
-    
+
+    // Probability States (after a jackpot win)
+    PROBABILITY: {
+        // Wins on these symbols enter kakuhen, other wins enter jitan
+        KAKUHEN_SYMBOLS: ['JACKPOT', 'SPECIAL'],
+
+        // Per state: reel weight multipliers per symbol, spin duration (default JACKPOT.SPIN_DURATION),
+        // start pocket scale (the funnel's capture radius; its guide ring keeps its size),
+        // losing spins before falling back to normal (0 = until the next win) and board lighting colour (null = the LEDs' own colours)
+        STATES: {
+            NORMAL: { WEIGHT_BOOST: {}, POCKET_SCALE: 1, SPINS: 0, COLOR: null },
+            KAKUHEN: { WEIGHT_BOOST: { JACKPOT: 3, WILD: 2, SPECIAL: 2 }, SPIN_DURATION: 1.2, POCKET_SCALE: 1.5, SPINS: 0, COLOR: 0xff2244 },
+            JITAN: { WEIGHT_BOOST: {}, SPIN_DURATION: 0.8, POCKET_SCALE: 1.5, SPINS: 10, COLOR: 0x22aaff }
+        }
+    },
+
     // Scoring
     SCORING: {
         PEG_CONTACT: 50,
         BUMPER_HIT: 500,
         RAMP_COMPLETION: 1000,
+        RAMP_SPEED_RECORD: 2000, // Completing a ramp faster than its best so far
         TARGET_STANDARD: 100,
         TARGET_BONUS: 500,
         JACKPOT_ENTRY: 2000,
@@ -279,9 +354,107 @@ export const CONFIG = {
         STARTING_COUNT: 2000,
         MAX_ACTIVE: 15,
         RAPID_FIRE_UNLOCK_BALLS: 10,
-        WARNING_THRESHOLD: 50
+        WARNING_THRESHOLD: 50,
+        
+        // A ball outside these bounds has left the cabinet and is removed from play (and refunded)
+        BOUNDS: {
+            X: 8,                   // Either side of the centre line
+            Y_MIN: -15,             // Below the floor
+            Y_MAX: 10,              // Above the top arch
+            Z: 3                    // In front of or behind the board
+        },
+        
+        // Stuck ball recovery: a ball resting for TIME seconds is nudged, then
+        // searched for (stronger kick and light pulse), then removed and refunded
+        STUCK: {
+            SPEED: 0.05,            // Below this speed (units/s) a ball counts as resting
+            DISTANCE: 0.05,         // Max drift from where it came to rest
+            TIME: 3,                // Seconds at rest before each recovery step
+            ESCAPE_DISTANCE: 1,     // Moving this far from the last recovery spot starts over
+            NUDGE_IMPULSE: 0.12,
+            SEARCH_IMPULSE: 0.5,
+            SEARCH_PULSE: 0.5       // Seconds the ball and LEDs glow during a ball search
+        }
+    },
+    
+    // Multiball: lock balls in the table's saucers to start it
+    MULTIBALL: {
+        SAUCER_RADIUS: 0.3,
+        LOCKS_TO_START: 3,          // Locked balls that start multiball (at most one per saucer)
+        START_DELAY: 1,             // Seconds between the last lock and the eject
+        KICKOUT_DELAY: 0.75,        // Seconds a saucer holds a ball during multiball
+        EJECT_SPEED: 3,             // Units/s down the table, angled away from the wall
+        BALL_SAVE: 10,              // Seconds after the eject in which drained balls are re-ejected
+        SAVE_EJECT_DELAY: 0.5,
+        JACKPOT_POINTS: 20000,      // Each lit bumper, once per round
+        SUPER_JACKPOT_POINTS: 100000 // Any target once every bumper jackpot is collected
     },
     
+    // Ball save: balls draining right after a cannon launch are given back
+    BALL_SAVE: {
+        TIME: 2,                    // Seconds after launch (settings slider, 0 = off; applies from the next session)
+        TIME_MIN: 0,
+        TIME_MAX: 5,
+        INDICATOR_TIME: 2           // Seconds the BALL SAVED indicator flashes
+    },
+    
+    // Skill shot: a rotating lit lane on the top arch
+    SKILL_SHOT: {
+        LANES: 5,
+        ARC_START: 0.2,             // Lane span along the arch, in half turns from the right
+        ARC_END: 0.8,
+        ARC_INSET: 0.7,             // Lane centres' distance inside the table's arc wall
+        LANE_HALF_SIZE: 0.35,       // Half width of a lane's trigger
+        ROTATE_INTERVAL: 0.4,       // Seconds the light stays on each lane
+        POINTS: 50000               // First contact after launch is the lit lane
+    },
+
+    // Tulip gates: hinged petals over a catch cup, toggled by each captured ball
+    TULIPS: {
+        PETAL_LENGTH: 0.5,
+        PETAL_THICKNESS: 0.06,
+        HINGE_SPACING: 0.26,        // Between the petal hinges (closed mouth = spacing - thickness)
+        OPEN_ANGLE: 0.6,            // Radians each petal swings out when open
+        SWING_SPEED: 6,             // Radians per second
+        CUP_DEPTH: 0.15,            // Height of the capture volume above the cup floor
+        PAYOUT: 5,                  // Balls paid per captured ball (a table's gate can override it)
+        POINTS: 300
+    },
+
+    // Attacker: the big electric tulip jackpot wins open for rounds
+    ATTACKER: {
+        ROUNDS: 8,                  // Rounds a jackpot win opens it for
+        MEGA_ROUNDS: 16,            // Rounds a mega win opens it for
+        BALLS_PER_ROUND: 10,        // A round ends after this many balls...
+        ROUND_TIME: 30,             // ...or this many seconds
+        ROUND_INTERVAL: 1.5,        // Seconds the door stays shut between rounds
+        PAYOUT: 15,                 // Balls paid per ball caught
+        POINTS: 1000,
+        DEPTH: 0.8,                 // Pocket depth below the door
+        CATCH_DEPTH: 0.2,           // Height of the capture volumes above the pocket floor
+        V_ZONE_WIDTH: 0.4,          // A ball through the V-zone continues to the next round
+        DOOR_OPEN_ANGLE: 1.4,       // Radians the door swings up when open
+        DOOR_SLOPE: 0.15,           // Radians the shut door slopes down to the left, so balls roll off it
+        DOOR_SWING_SPEED: 8         // Radians per second
+    },
+
+    // Table Editor (top-down layout editing from the pause menu)
+    EDITOR: {
+        VIEW_CENTER: { x: 0, y: -0.5 },
+        VIEW_HALF_HEIGHT: 9.5,      // Playfield units visible above and below the center
+        GRID_SIZE: 0.25,            // Grid snap step (stagger snap uses PLAYFIELD.PEGS spacing)
+        PICK_RADIUS: 0.3,           // How close a click must be to select a device
+        HISTORY_LIMIT: 100          // Undo steps kept
+    },
+
+    // Table Lint (tools/lint-table.js)
+    TABLE_LINT: {
+        GRID_STEP: 0.05,            // Cell size of the reachability flood fill
+        TRIGGER_RADIUS: 0.3,        // Reach of a device's trigger when linting a table file
+        SYMMETRY_TOLERANCE: 0.05,   // How far a mirror image may be from the device's reflection
+        ACCEPT_TOLERANCE: 0.01      // How far a finding may be from the position a table accepts it at
+    },
+
     // Rendering
     RENDERING: {
         SHADOW_MAP_SIZE: 2048,
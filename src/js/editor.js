@@ -0,0 +1,833 @@
+/**
+ * Table Editor
+ * A top-down orthographic view of the table layout, opened from the pause menu.
+ * Pegs, bumpers, pockets, tulip gates and targets can be placed, dragged,
+ * multi-selected and deleted, snapping to a grid or to the pachinko stagger
+ * pattern. Every change is undoable.
+ *
+ * Test drops fire balls into a headless copy of the game built from the edited
+ * layout, stepped and drawn inside the editor; it is rebuilt after each change
+ * with the balls in flight carried over. Layouts are exported and imported as
+ * table files (see table.js) and played with ?table=.
+ */
+
+import * as THREE from 'three';
+import { Game } from './game.js';
+import { CONFIG } from './config.js';
+import { validateTable, cloneTable, getPegLayout, getKeepOutZones, toRadians, PEG_MATERIALS } from './table.js';
+
+/**
+ * Device lists the editor can change, with their marker size and colour
+ * and the defaults a newly placed device starts from
+ * (peg markers are drawn larger than the pins so they can be seen and picked)
+ */
+const DEVICE_TYPES = {
+    pegs: {
+        radius: 0.1,
+        create: (x, y, editor) => ({ x, y, material: editor.pegMaterial })
+    },
+    bumpers: {
+        radius: 0.45,
+        color: 0xff3366,
+        create: (x, y) => ({ x, y, clearance: 0.8 })
+    },
+    pockets: {
+        radius: 0.5,
+        color: 0x22c55e,
+        create: (x, y) => ({ x, y, points: 500, freeBalls: 3, label: 'V-POCKET', triggersSlot: true, clearance: 0.7 })
+    },
+    gates: {
+        radius: 0.35,
+        color: 0xfacc15,
+        create: (x, y) => ({ x, y, points: 300, payout: 5, clearance: 0.6 })
+    },
+    targets: {
+        radius: 0.3,
+        color: 0x00f0ff,
+        create: (x, y) => ({ x, y, bonus: false })
+    }
+};
+
+const SELECTED_COLOR = 0xff00ff;
+const BALL_MARKER_RADIUS = 0.12;
+
+export class TableEditor {
+    constructor(game) {
+        this.game = game;
+
+        // Layout being edited (a copy of the game's table until exported)
+        this.table = null;
+
+        // 'select' or a device list to place into
+        this.tool = 'select';
+
+        // 'grid', 'stagger' or 'off'
+        this.snap = 'grid';
+
+        // Finish of newly placed pegs
+        this.pegMaterial = 'silver';
+
+        // Selected device objects (entries of the table's device lists)
+        this.selection = new Set();
+
+        // Serialized tables before each change
+        this.undoStack = [];
+        this.redoStack = [];
+
+        // Pointer drag in progress: moving the selection or a selection box
+        this.drag = null;
+
+        // Headless game running the edited layout for test drops
+        this.preview = null;
+        this.previewToken = 0;
+
+        // Last failure shown in the status line (cleared by the next change)
+        this.message = null;
+        this.cursor = null;
+
+        this.isOpen = false;
+        this.scene = null;
+        this.camera = null;
+        this.layout = null;
+        this.ballMarkers = [];
+        this.elements = {};
+        this.geometries = new Map();
+        this.materials = new Map();
+        this.lineMaterials = new Map();
+    }
+
+    /**
+     * Initialize the editor view and bind its toolbar
+     */
+    init() {
+        this.scene = new THREE.Scene();
+        this.scene.background = new THREE.Color(0x0d1117);
+
+        this.camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0.1, 100);
+        this.camera.position.set(CONFIG.EDITOR.VIEW_CENTER.x, CONFIG.EDITOR.VIEW_CENTER.y, 10);
+
+        const grid = new THREE.GridHelper(20, 20, 0x30363d, 0x1c2128);
+        grid.rotation.x = Math.PI / 2;
+        grid.position.z = -1;
+        this.scene.add(grid);
+
+        this.selectionBox = new THREE.LineLoop(
+            new THREE.BufferGeometry().setFromPoints([0, 1, 2, 3].map(() => new THREE.Vector3())),
+            new THREE.LineBasicMaterial({ color: SELECTED_COLOR })
+        );
+        this.selectionBox.visible = false;
+        this.scene.add(this.selectionBox);
+
+        this.bindElements();
+
+        console.log('Table editor initialized');
+    }
+
+    /**
+     * Bind toolbar buttons, pointer and keyboard handlers
+     */
+    bindElements() {
+        const signal = this.game.signal;
+        const byId = (id) => document.getElementById(id);
+
+        this.elements = {
+            root: byId('table-editor'),
+            viewport: byId('editor-viewport'),
+            toolButtons: [...document.querySelectorAll('#editor-tools [data-tool]')],
+            pegMaterial: byId('editor-peg-material'),
+            snap: byId('editor-snap'),
+            undoBtn: byId('editor-undo-btn'),
+            redoBtn: byId('editor-redo-btn'),
+            fileInput: byId('editor-file-input'),
+            status: byId('editor-status')
+        };
+        const { viewport, toolButtons, pegMaterial, snap, undoBtn, redoBtn, fileInput } = this.elements;
+
+        toolButtons.forEach(button => {
+            button.addEventListener('click', () => this.setTool(button.dataset.tool), { signal });
+        });
+        pegMaterial.addEventListener('change', () => {
+            this.pegMaterial = pegMaterial.value;
+        }, { signal });
+        snap.addEventListener('change', () => {
+            this.snap = snap.value;
+        }, { signal });
+
+        undoBtn.addEventListener('click', () => this.undo(), { signal });
+        redoBtn.addEventListener('click', () => this.redo(), { signal });
+        byId('editor-delete-btn').addEventListener('click', () => this.deleteSelection(), { signal });
+        byId('editor-bake-btn').addEventListener('click', () => this.bakePatterns(), { signal });
+        byId('editor-drop-btn').addEventListener('click', () => this.testDrop(), { signal });
+        byId('editor-clear-balls-btn').addEventListener('click', () => this.stopPreview(), { signal });
+        byId('editor-export-btn').addEventListener('click', () => this.exportTable(), { signal });
+        byId('editor-import-btn').addEventListener('click', () => fileInput.click(), { signal });
+        byId('editor-close-btn').addEventListener('click', () => this.game.closeEditor(), { signal });
+
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (file) {
+                this.importTable(file);
+            }
+        }, { signal });
+
+        viewport.addEventListener('pointerdown', (e) => this.onPointerDown(e), { signal });
+        viewport.addEventListener('pointermove', (e) => this.onPointerMove(e), { signal });
+        viewport.addEventListener('pointerup', (e) => this.onPointerUp(e), { signal });
+        document.addEventListener('keydown', (e) => this.onKeyDown(e), { signal });
+    }
+
+    /**
+     * Show the editor (on entering the EDITOR state)
+     * Edits carry over between visits; the first visit starts from the game's table
+     */
+    open() {
+        if (!this.table) {
+            this.table = cloneTable(this.game.table);
+        }
+
+        this.isOpen = true;
+        this.elements.root.classList.remove('hidden');
+        this.rebuildView();
+    }
+
+    /**
+     * Hide the editor and drop the test-drop game (on leaving the EDITOR state)
+     */
+    close() {
+        this.isOpen = false;
+        this.drag = null;
+        this.selectionBox.visible = false;
+        this.stopPreview();
+        this.elements.root.classList.add('hidden');
+    }
+
+    /**
+     * Choose the placement tool ('select' or a device list)
+     */
+    setTool(tool) {
+        this.tool = tool;
+        this.elements.toolButtons.forEach(button => {
+            button.classList.toggle('active', button.dataset.tool === tool);
+        });
+    }
+
+    /**
+     * Every editable device on the table
+     * @returns {{key: string, device: Object}[]}
+     */
+    getDevices() {
+        return Object.keys(DEVICE_TYPES).flatMap(key => this.table[key].map(device => ({ key, device })));
+    }
+
+    /**
+     * Snap a point to the grid or the stagger pattern (odd rows shifted half a space)
+     */
+    snapPoint(x, y) {
+        if (this.snap === 'grid') {
+            const step = CONFIG.EDITOR.GRID_SIZE;
+            return { x: Math.round(x / step) * step, y: Math.round(y / step) * step };
+        }
+
+        if (this.snap === 'stagger') {
+            const { HORIZONTAL_SPACING, VERTICAL_SPACING, STAGGER_OFFSET } = CONFIG.PLAYFIELD.PEGS;
+            const row = Math.round(y / VERTICAL_SPACING);
+            const offset = Math.abs(row % 2) === 1 ? STAGGER_OFFSET : 0;
+            return {
+                x: Math.round((x - offset) / HORIZONTAL_SPACING) * HORIZONTAL_SPACING + offset,
+                y: row * VERTICAL_SPACING
+            };
+        }
+
+        return { x, y };
+    }
+
+    /**
+     * Apply a change to the table as one undo step
+     */
+    edit(change) {
+        const before = JSON.stringify(this.table);
+        change();
+        this.pushHistory(before);
+        this.onTableChanged();
+    }
+
+    /**
+     * Record the table as it was before a change
+     */
+    pushHistory(before) {
+        this.undoStack.push(before);
+        if (this.undoStack.length > CONFIG.EDITOR.HISTORY_LIMIT) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+
+    /**
+     * Undo the last change
+     */
+    undo() {
+        if (this.undoStack.length === 0) return;
+
+        this.redoStack.push(JSON.stringify(this.table));
+        this.table = JSON.parse(this.undoStack.pop());
+        this.selection.clear();
+        this.onTableChanged();
+    }
+
+    /**
+     * Redo the last undone change
+     */
+    redo() {
+        if (this.redoStack.length === 0) return;
+
+        this.undoStack.push(JSON.stringify(this.table));
+        this.table = JSON.parse(this.redoStack.pop());
+        this.selection.clear();
+        this.onTableChanged();
+    }
+
+    /**
+     * Place a new device of the current tool's type
+     */
+    placeDevice(point) {
+        const { x, y } = this.snapPoint(point.x, point.y);
+        const device = DEVICE_TYPES[this.tool].create(x, y, this);
+
+        this.edit(() => this.table[this.tool].push(device));
+        this.selection = new Set([device]);
+        this.rebuildView();
+    }
+
+    /**
+     * Remove the selected devices
+     */
+    deleteSelection() {
+        if (this.selection.size === 0) return;
+
+        this.edit(() => {
+            Object.keys(DEVICE_TYPES).forEach(key => {
+                this.table[key] = this.table[key].filter(device => !this.selection.has(device));
+            });
+            this.selection.clear();
+        });
+    }
+
+    /**
+     * Turn the generated peg patterns into single pegs so each can be edited
+     */
+    bakePatterns() {
+        if (this.table.pegPatterns.length === 0) return;
+
+        this.edit(() => {
+            this.table.pegs.push(...getPegLayout({ ...this.table, pegs: [] }));
+            this.table.pegPatterns = [];
+        });
+    }
+
+    /**
+     * The device under a point (the closest within its marker or the pick radius)
+     */
+    pick(point) {
+        let closest = null;
+        let closestDistance = Infinity;
+
+        this.getDevices().forEach(({ key, device }) => {
+            const distance = Math.hypot(device.x - point.x, device.y - point.y);
+            const reach = Math.max(DEVICE_TYPES[key].radius, CONFIG.EDITOR.PICK_RADIUS);
+            if (distance < reach && distance < closestDistance) {
+                closest = device;
+                closestDistance = distance;
+            }
+        });
+
+        return closest;
+    }
+
+    /**
+     * Refresh the view and the test-drop game after the table changed
+     */
+    onTableChanged() {
+        this.message = null;
+        this.rebuildView();
+        this.refreshPreview();
+    }
+
+    /**
+     * Pointer position in playfield units
+     */
+    pointerToTable(e) {
+        const rect = this.elements.viewport.getBoundingClientRect();
+        const point = new THREE.Vector3(
+            (e.clientX - rect.left) / rect.width * 2 - 1,
+            -(e.clientY - rect.top) / rect.height * 2 + 1,
+            0
+        ).unproject(this.camera);
+
+        return { x: point.x, y: point.y };
+    }
+
+    /**
+     * Place a device, or start moving the selection or drawing a selection box
+     */
+    onPointerDown(e) {
+        if (e.button !== 0) return;
+        e.preventDefault();
+        this.elements.viewport.setPointerCapture(e.pointerId);
+
+        const point = this.pointerToTable(e);
+
+        if (this.tool !== 'select') {
+            this.placeDevice(point);
+            return;
+        }
+
+        const device = this.pick(point);
+        if (!device) {
+            if (!e.shiftKey) this.selection.clear();
+            this.drag = { type: 'box', start: point, current: point };
+            this.rebuildView();
+            return;
+        }
+
+        if (e.shiftKey) {
+            if (this.selection.has(device)) {
+                this.selection.delete(device);
+                this.rebuildView();
+                return;
+            }
+            this.selection.add(device);
+        } else if (!this.selection.has(device)) {
+            this.selection = new Set([device]);
+        }
+
+        // The grabbed device snaps; the rest of the selection keeps its offsets
+        this.drag = {
+            type: 'move',
+            anchor: device,
+            start: point,
+            before: JSON.stringify(this.table),
+            origins: new Map([...this.selection].map(item => [item, { x: item.x, y: item.y }])),
+            moved: false
+        };
+        this.rebuildView();
+    }
+
+    /**
+     * Move the selection or resize the selection box
+     */
+    onPointerMove(e) {
+        const point = this.pointerToTable(e);
+        this.cursor = point;
+
+        if (!this.drag) {
+            this.updateStatus();
+            return;
+        }
+
+        if (this.drag.type === 'box') {
+            this.drag.current = point;
+            this.updateSelectionBox();
+            return;
+        }
+
+        const { anchor, start, origins } = this.drag;
+        const origin = origins.get(anchor);
+        const target = this.snapPoint(origin.x + point.x - start.x, origin.y + point.y - start.y);
+        const dx = target.x - origin.x;
+        const dy = target.y - origin.y;
+
+        origins.forEach(({ x, y }, device) => {
+            device.x = x + dx;
+            device.y = y + dy;
+        });
+        this.drag.moved = true;
+        this.rebuildView();
+    }
+
+    /**
+     * Finish a move (one undo step) or select the devices inside the box
+     */
+    onPointerUp() {
+        const drag = this.drag;
+        if (!drag) return;
+        this.drag = null;
+
+        if (drag.type === 'move') {
+            if (drag.moved) {
+                this.pushHistory(drag.before);
+                this.onTableChanged();
+            }
+            return;
+        }
+
+        const xMin = Math.min(drag.start.x, drag.current.x);
+        const xMax = Math.max(drag.start.x, drag.current.x);
+        const yMin = Math.min(drag.start.y, drag.current.y);
+        const yMax = Math.max(drag.start.y, drag.current.y);
+
+        this.getDevices().forEach(({ device }) => {
+            if (device.x >= xMin && device.x <= xMax && device.y >= yMin && device.y <= yMax) {
+                this.selection.add(device);
+            }
+        });
+
+        this.selectionBox.visible = false;
+        this.rebuildView();
+    }
+
+    /**
+     * Editor shortcuts: Delete, Ctrl+Z / Ctrl+Y (or Ctrl+Shift+Z), Esc to close
+     */
+    onKeyDown(e) {
+        if (!this.isOpen) return;
+
+        const ctrl = e.ctrlKey || e.metaKey;
+
+        if (e.code === 'Escape') {
+            e.preventDefault();
+            this.game.closeEditor();
+        } else if (e.code === 'Delete' || e.code === 'Backspace') {
+            e.preventDefault();
+            this.deleteSelection();
+        } else if (ctrl && e.code === 'KeyZ') {
+            e.preventDefault();
+            if (e.shiftKey) {
+                this.redo();
+            } else {
+                this.undo();
+            }
+        } else if (ctrl && e.code === 'KeyY') {
+            e.preventDefault();
+            this.redo();
+        }
+    }
+
+    /**
+     * Build a headless game from the edited layout, optionally with balls already in flight
+     * @returns {Promise<Game|null>} The game, or null if a newer one replaced it while loading
+     */
+    async startPreview(balls = null) {
+        const token = ++this.previewToken;
+        const preview = new Game({ headless: true, seed: this.game.seed, table: cloneTable(this.table) });
+
+        await preview.init();
+        if (token !== this.previewToken) {
+            preview.destroy();
+            return null;
+        }
+
+        preview.start();
+        if (balls) {
+            preview.balls.restore(balls);
+        }
+
+        this.preview = preview;
+        return preview;
+    }
+
+    /**
+     * Drop the test-drop game and its balls
+     */
+    stopPreview() {
+        this.previewToken++;
+        if (this.preview) {
+            this.preview.destroy();
+            this.preview = null;
+        }
+        this.syncBallMarkers();
+    }
+
+    /**
+     * Rebuild the test-drop game from the changed layout, keeping its balls in flight
+     */
+    refreshPreview() {
+        if (!this.preview) return;
+
+        const balls = this.preview.balls.snapshot();
+        this.preview.destroy();
+        this.preview = null;
+
+        this.startPreview(balls).catch(error => this.showError('Test drop failed', error));
+    }
+
+    /**
+     * Fire a ball from the cannon into the edited layout
+     */
+    async testDrop() {
+        try {
+            const preview = this.preview || await this.startPreview();
+            if (preview) {
+                preview.input.fire();
+            }
+        } catch (error) {
+            this.showError('Test drop failed', error);
+        }
+    }
+
+    /**
+     * Download the edited layout as a table file
+     */
+    exportTable() {
+        const blob = new Blob([JSON.stringify(this.table, null, 4)], { type: 'application/json' });
+        const name = this.table.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        this.game.ui.downloadBlob(blob, `${name || 'table'}.json`);
+    }
+
+    /**
+     * Load a table file into the editor (one undo step)
+     */
+    async importTable(file) {
+        try {
+            const table = validateTable(JSON.parse(await file.text()));
+            this.selection.clear();
+            this.edit(() => {
+                this.table = table;
+            });
+        } catch (error) {
+            this.showError('Invalid table file', error);
+        }
+    }
+
+    /**
+     * Report a failure in the status line
+     */
+    showError(text, error) {
+        console.error(`${text}:`, error);
+        this.message = `${text}: ${error.message}`;
+        this.updateStatus();
+    }
+
+    /**
+     * Shared circle geometry for a marker radius
+     */
+    getGeometry(radius) {
+        if (!this.geometries.has(radius)) {
+            this.geometries.set(radius, new THREE.CircleGeometry(radius, 24));
+        }
+        return this.geometries.get(radius);
+    }
+
+    /**
+     * Shared flat material for a colour
+     */
+    getMaterial(color, opacity = 1) {
+        const key = `${color}:${opacity}`;
+        if (!this.materials.has(key)) {
+            this.materials.set(key, new THREE.MeshBasicMaterial({ color, transparent: opacity < 1, opacity }));
+        }
+        return this.materials.get(key);
+    }
+
+    /**
+     * Shared line material for a colour
+     */
+    getLineMaterial(color) {
+        if (!this.lineMaterials.has(color)) {
+            this.lineMaterials.set(color, new THREE.LineBasicMaterial({ color }));
+        }
+        return this.lineMaterials.get(color);
+    }
+
+    /**
+     * Redraw the layout: walls, keep-out areas, generated pegs and editable devices
+     */
+    rebuildView() {
+        if (this.layout) {
+            this.scene.remove(this.layout);
+            this.layout.traverse(object => {
+                if (object.isLine) object.geometry.dispose();
+            });
+        }
+
+        this.layout = new THREE.Group();
+        this.scene.add(this.layout);
+
+        this.drawWalls();
+
+        getKeepOutZones(this.table).forEach(zone => {
+            this.layout.add(this.createOutline(zone, 0x553333));
+        });
+
+        // Pattern pegs can't be edited until baked
+        const patternPegs = getPegLayout({ ...this.table, pegs: [] });
+        patternPegs.forEach(({ x, y, material }) => {
+            this.addMarker(x, y, DEVICE_TYPES.pegs.radius, this.getMaterial(PEG_MATERIALS[material].color, 0.35));
+        });
+
+        this.getDevices().forEach(({ key, device }) => {
+            const color = this.selection.has(device)
+                ? SELECTED_COLOR
+                : DEVICE_TYPES[key].color ?? PEG_MATERIALS[device.material].color;
+            this.addMarker(device.x, device.y, DEVICE_TYPES[key].radius, this.getMaterial(color));
+        });
+
+        this.updateStatus();
+    }
+
+    /**
+     * Add a circle marker to the layout
+     */
+    addMarker(x, y, radius, material) {
+        const marker = new THREE.Mesh(this.getGeometry(radius), material);
+        marker.position.set(x, y, 0);
+        this.layout.add(marker);
+    }
+
+    /**
+     * Draw the table's walls as outlines
+     */
+    drawWalls() {
+        const material = this.getLineMaterial(0x9ca3af);
+
+        this.table.walls.forEach(wall => {
+            let points;
+
+            if (wall.type === 'arc') {
+                const start = toRadians(wall.startAngle);
+                const end = toRadians(wall.endAngle);
+                points = [];
+                for (let i = 0; i <= wall.segments; i++) {
+                    const angle = start + (end - start) * (i / wall.segments);
+                    points.push(new THREE.Vector3(
+                        wall.center.x + Math.cos(angle) * wall.radius,
+                        wall.center.y + Math.sin(angle) * wall.radius,
+                        0
+                    ));
+                }
+                this.layout.add(new THREE.Line(new THREE.BufferGeometry().setFromPoints(points), material));
+                return;
+            }
+
+            const angle = toRadians(wall.angle || 0);
+            const { x: hx, y: hy } = wall.halfExtents;
+            points = [[-hx, -hy], [hx, -hy], [hx, hy], [-hx, hy]].map(([px, py]) => new THREE.Vector3(
+                wall.position.x + px * Math.cos(angle) - py * Math.sin(angle),
+                wall.position.y + px * Math.sin(angle) + py * Math.cos(angle),
+                0
+            ));
+            this.layout.add(new THREE.LineLoop(new THREE.BufferGeometry().setFromPoints(points), material));
+        });
+    }
+
+    /**
+     * Outline of a keep-out area (rectangle or circle)
+     */
+    createOutline(zone, color) {
+        let points;
+
+        if (zone.radius !== undefined) {
+            points = [];
+            for (let i = 0; i < 32; i++) {
+                const angle = i / 32 * Math.PI * 2;
+                points.push(new THREE.Vector3(zone.x + Math.cos(angle) * zone.radius, zone.y + Math.sin(angle) * zone.radius, -0.5));
+            }
+        } else {
+            points = [
+                new THREE.Vector3(zone.xMin, zone.yMin, -0.5),
+                new THREE.Vector3(zone.xMax, zone.yMin, -0.5),
+                new THREE.Vector3(zone.xMax, zone.yMax, -0.5),
+                new THREE.Vector3(zone.xMin, zone.yMax, -0.5)
+            ];
+        }
+
+        return new THREE.LineLoop(new THREE.BufferGeometry().setFromPoints(points), this.getLineMaterial(color));
+    }
+
+    /**
+     * Stretch the selection box between the drag start and the pointer
+     */
+    updateSelectionBox() {
+        const { start, current } = this.drag;
+        const corners = [[start.x, start.y], [current.x, start.y], [current.x, current.y], [start.x, current.y]];
+        const positions = this.selectionBox.geometry.attributes.position;
+
+        corners.forEach(([x, y], i) => positions.setXYZ(i, x, y, 0.5));
+        positions.needsUpdate = true;
+        this.selectionBox.visible = true;
+    }
+
+    /**
+     * Show test-drop balls where the headless game has them
+     */
+    syncBallMarkers() {
+        const balls = this.preview ? [...this.preview.balls.activeBalls] : [];
+
+        while (this.ballMarkers.length < balls.length) {
+            const marker = new THREE.Mesh(this.getGeometry(BALL_MARKER_RADIUS), this.getMaterial(0xffffff));
+            marker.position.z = 1;
+            this.scene.add(marker);
+            this.ballMarkers.push(marker);
+        }
+
+        this.ballMarkers.forEach((marker, i) => {
+            const ball = balls[i];
+            marker.visible = !!ball;
+            if (ball) {
+                marker.position.x = ball.body.position.x;
+                marker.position.y = ball.body.position.y;
+            }
+        });
+    }
+
+    /**
+     * Status line: layout name and counts, selection, cursor position and undo depth
+     */
+    updateStatus() {
+        const status = this.elements.status;
+        if (!status || !this.table) return;
+
+        const { undoBtn, redoBtn } = this.elements;
+        undoBtn.disabled = this.undoStack.length === 0;
+        redoBtn.disabled = this.redoStack.length === 0;
+
+        if (this.message) {
+            status.textContent = this.message;
+            return;
+        }
+
+        const counts = Object.keys(DEVICE_TYPES).map(key => `${this.table[key].length} ${key}`).join(' · ');
+        const cursor = this.cursor ? ` · (${this.cursor.x.toFixed(2)}, ${this.cursor.y.toFixed(2)})` : '';
+        status.textContent = `${this.table.name} · ${counts} · ${this.selection.size} selected${cursor}`;
+    }
+
+    /**
+     * Step the test-drop game with real time
+     */
+    update(deltaTime) {
+        if (this.preview) {
+            this.preview.runTicks(this.preview.clock.advance(deltaTime));
+        }
+        this.syncBallMarkers();
+    }
+
+    /**
+     * Draw the editor view in place of the game
+     */
+    render() {
+        const canvas = this.game.renderer.renderer.domElement;
+        const aspect = canvas.clientWidth / canvas.clientHeight;
+        const halfHeight = CONFIG.EDITOR.VIEW_HALF_HEIGHT;
+
+        this.camera.left = -halfHeight * aspect;
+        this.camera.right = halfHeight * aspect;
+        this.camera.top = halfHeight;
+        this.camera.bottom = -halfHeight;
+        this.camera.updateProjectionMatrix();
+
+        this.game.renderer.renderer.render(this.scene, this.camera);
+    }
+
+    /**
+     * Drop the test-drop game and free the editor's GPU resources
+     */
+    destroy() {
+        this.stopPreview();
+        this.geometries.forEach(geometry => geometry.dispose());
+        this.materials.forEach(material => material.dispose());
+        this.lineMaterials.forEach(material => material.dispose());
+        if (this.elements.root) {
+            this.elements.root.classList.add('hidden');
+        }
+    }
+}
@@ -0,0 +1,225 @@
+/**
+ * Game Event Bus
+ * Gameplay code emits structured events; scoring, audio, UI, lighting
+ * (and mods or analytics) subscribe instead of being called directly
+ */
+
+/**
+ * Event names
+ */
+export const GameEvents = {
+    // Playfield
+    PEG_HIT: 'peg:hit',
+    BUMPER_HIT: 'bumper:hit',
+    TARGET_HIT: 'target:hit',
+    TARGETS_COMPLETE: 'targets:complete',
+    RAMP_ENTER: 'ramp:enter',
+    RAMP_COMPLETE: 'ramp:complete',
+    RAMP_FAIL: 'ramp:fail',
+    FUNNEL_CAPTURE: 'funnel:capture',
+    VPOCKET_ENTER: 'vpocket:enter',
+    TULIP_ENTER: 'tulip:enter',
+    TULIP_OPEN: 'tulip:open',
+    TULIP_CLOSE: 'tulip:close',
+    FEATURE_ZONE_HIT: 'feature:hit',
+    FEVER_START: 'fever:start',
+    FEVER_END: 'fever:end',
+    ATTACKER_START: 'attacker:start',
+    ATTACKER_ROUND: 'attacker:round',
+    ATTACKER_ENTER: 'attacker:enter',
+    ATTACKER_ROUND_END: 'attacker:roundEnd',
+    ATTACKER_END: 'attacker:end',
+
+    // Balls
+    BALL_LAUNCH: 'ball:launch',
+    BALL_DRAIN: 'ball:drain',
+    BALL_STUCK: 'ball:stuck',
+    BALL_ESCAPE: 'ball:escape',
+    BALL_SAVE: 'ball:save',
+    SKILL_SHOT: 'ball:skillShot',
+
+    // Multiball
+    BALL_LOCK: 'multiball:lock',
+    MULTIBALL_START: 'multiball:start',
+    MULTIBALL_JACKPOT: 'multiball:jackpot',
+    MULTIBALL_END: 'multiball:end',
+
+    // Nudge and tilt
+    NUDGE: 'tilt:nudge',
+    TILT_WARNING: 'tilt:warning',
+    TILT: 'tilt:tilt',
+
+    // Flippers
+    FLIPPER_ACTIVATE: 'flipper:activate',
+    FLIPPER_HIT: 'flipper:hit',
+
+    // Jackpot machine
+    JACKPOT_RESERVE: 'jackpot:reserve',
+    JACKPOT_OVERFLOW: 'jackpot:overflow',
+    JACKPOT_SPIN: 'jackpot:spin',
+    JACKPOT_REEL_STOP: 'jackpot:reelStop',
+    JACKPOT_RESULT: 'jackpot:result',
+    PROBABILITY_CHANGE: 'jackpot:probability',
+
+    // Session
+    STATE_CHANGE: 'game:state',
+    GAME_OVER: 'game:over'
+};
+
+/**
+ * Subscribe to this name to receive every event
+ */
+export const ALL_EVENTS = '*';
+
+/**
+ * @typedef {Object} GameEvent
+ * @property {string} type - Event name (see GameEvents)
+ * @property {number} tick - Simulation tick the event happened on
+ */
+
+/**
+ * @typedef {GameEvent} BallEvent
+ * @property {number} ballId - Id of the ball involved
+ * @property {{x: number, y: number, z: number}} position - Ball position at the time of the event
+ */
+
+/**
+ * Payloads per event (in addition to BallEvent fields where a ball is involved)
+ *
+ * peg:hit            { pegPosition }
+ * bumper:hit         { index }
+ * target:hit         { index, isBonus }
+ * targets:complete   {}
+ * ramp:enter         { side }
+ * ramp:complete      { side, time, speed }             (seconds from entry, ball speed at the top)
+ * ramp:fail          { side, reason, stage }           (reason 'rollback' or 'timeout'; last checkpoint passed)
+ * funnel:capture     {}
+ * vpocket:enter      { index, label, points, freeBalls }
+ * tulip:enter        { index, points, payout, wasOpen } (ball captured and paid out)
+ * tulip:open         { index, cause }                  (no ball; cause 'ball', 'link' or 'timeout')
+ * tulip:close        { index, cause }                  (no ball)
+ * feature:hit        { index, zoneType, value, duration }
+ * fever:start        { multiplier, duration }          (no ball)
+ * fever:end          {}                                (no ball)
+ * attacker:start     { rounds }                        (no ball; rounds won, a win during the rounds adds more)
+ * attacker:round     { round, rounds }                 (no ball; the door opens)
+ * attacker:enter     { round, count, isVZone, payout, points } (ball caught; count is null when the door was shut)
+ * attacker:roundEnd  { round, balls, vPassed, reason } (no ball; reason 'full' or 'timeout')
+ * attacker:end       { rounds, paid }                  (no ball; rounds played, balls paid out)
+ * ball:launch        { power }
+ * ball:drain         { side }                          (side 'left' or 'right' drain, or 'floor' below the cabinet)
+ * ball:stuck         { action }                        (nudge, search or remove; see BallManager)
+ * ball:escape        {}                                (left the cabinet bounds; removed and refunded)
+ * ball:save          { source }                        (drained ball given back; source 'launch' or 'multiball')
+ * ball:skillShot     { lane, points }                  (first contact after launch was the lit lane)
+ * multiball:lock     { index, locked, needed }         (saucer index, balls locked so far)
+ * multiball:start    { balls }                         (no ball)
+ * multiball:jackpot  { index, isSuper, points }        (bumper index, or target index for the super jackpot)
+ * multiball:end      { jackpots }                      (no ball)
+ * tilt:nudge         { direction, level }              (no ball)
+ * tilt:warning       { level }                         (no ball)
+ * tilt:tilt          {}                                (no ball)
+ * flipper:activate   { side }                          (no ball)
+ * flipper:hit        { side, active, strokeSpeed }
+ * jackpot:reserve    { reserved, hint }                (no ball; spins now reserved, lamp 'normal' or 'hot')
+ * jackpot:overflow   { refunded }                      (no ball; every spin was already reserved)
+ * jackpot:spin       { hint, reserved }                (no ball; hint of the spin played, spins still reserved)
+ * jackpot:reelStop   { reel, symbol }                  (no ball)
+ * jackpot:result     { reels, result }                 (no ball)
+ * jackpot:probability { state, previous, cause, spinsLeft } (no ball; cause is the winning symbol or 'spins')
+ * game:state         { from, to }                      (no ball)
+ * game:over          { score }                         (no ball)
+ */
+
+/**
+ * Build the common payload for an event involving a ball body
+ */
+export function ballPayload(body) {
+    return {
+        ballId: body.userData ? body.userData.ballId : undefined,
+        position: {
+            x: body.position.x,
+            y: body.position.y,
+            z: body.position.z
+        }
+    };
+}
+
+export class EventBus {
+    constructor(game) {
+        this.game = game;
+
+        // Event name -> handler list
+        this.listeners = new Map();
+    }
+
+    /**
+     * Subscribe to an event
+     * Returns a function that removes the subscription
+     */
+    on(type, handler) {
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, []);
+        }
+        this.listeners.get(type).push(handler);
+
+        return () => this.off(type, handler);
+    }
+
+    /**
+     * Subscribe to the next occurrence of an event only
+     */
+    once(type, handler) {
+        const off = this.on(type, (event) => {
+            off();
+            handler(event);
+        });
+        return off;
+    }
+
+    /**
+     * Remove a subscription
+     */
+    off(type, handler) {
+        const handlers = this.listeners.get(type);
+        if (!handlers) return;
+
+        const index = handlers.indexOf(handler);
+        if (index !== -1) {
+            handlers.splice(index, 1);
+        }
+    }
+
+    /**
+     * Emit an event to its subscribers (then to ALL_EVENTS subscribers)
+     * In the browser a failing subscriber is logged and never interrupts the simulation;
+     * headless games rethrow its error, so scripts and tools fail on it
+     * @returns {GameEvent} The event as delivered
+     */
+    emit(type, payload = {}) {
+        const event = { type, tick: this.game.clock.tick, ...payload };
+
+        const handlers = [
+            ...(this.listeners.get(type) || []),
+            ...(this.listeners.get(ALL_EVENTS) || [])
+        ];
+
+        for (const handler of handlers) {
+            try {
+                handler(event);
+            } catch (error) {
+                if (this.game.headless) throw error;
+                console.error(`Error in '${type}' event handler:`, error);
+            }
+        }
+
+        return event;
+    }
+
+    /**
+     * Remove all subscriptions
+     */
+    clear() {
+        this.listeners.clear();
+    }
+}
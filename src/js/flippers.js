@@ -1,33 +1,50 @@
 /**
  * Flippers Module
  * Handles dual flipper physics and controls
+ * Paddles are kinematic bodies swung by a solenoid torque and a return spring,
+ * so balls leave with the paddle's real speed at the point of contact
  */
 
 import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
 import { CONFIG } from './config.js';
+import { GameEvents, ballPayload } from './events.js';
+
+const Z_AXIS = new CANNON.Vec3(0, 0, 1);
+
+/**
+ * Sample a torque curve (evenly spaced points across the stroke) at progress 0-1
+ */
+function sampleCurve(curve, progress) {
+    const t = Math.max(0, Math.min(1, progress)) * (curve.length - 1);
+    const i = Math.min(Math.floor(t), curve.length - 2);
+    return curve[i] + (curve[i + 1] - curve[i]) * (t - i);
+}
 
 export class Flippers {
     constructor(game) {
         this.game = game;
         
         // Flipper components
+        // stroke: radians swung up from rest; strokeSpeed: rad/s (positive = swinging up)
         this.left = {
             mesh: null,
             body: null,
             pivot: null,
-            constraint: null,
             active: false,
-            angle: CONFIG.FLIPPERS.RESTING_ANGLE
+            angle: CONFIG.FLIPPERS.RESTING_ANGLE,
+            stroke: 0,
+            strokeSpeed: 0
         };
         
         this.right = {
             mesh: null,
             body: null,
             pivot: null,
-            constraint: null,
             active: false,
-            angle: -CONFIG.FLIPPERS.RESTING_ANGLE
+            angle: -CONFIG.FLIPPERS.RESTING_ANGLE,
+            stroke: 0,
+            strokeSpeed: 0
         };
     }
 
@@ -152,65 +169,40 @@ export class Flippers {
 
     /**
      * Create flipper physics body
+     * A kinematic box hinged at the pivot: the body sits on the pivot and the box
+     * is offset along the paddle, so rotating the body swings the paddle
      */
     createFlipperPhysics(side, position, length, width, height) {
         const isLeft = side === 'left';
         const flipper = isLeft ? this.left : this.right;
         
-        // Create box shape for flipper
-        const halfExtents = {
-            x: length / 2,
-            y: width / 2,
-            z: height / 2
-        };
-        
-        // Offset position to account for pivot
-        const bodyPos = {
-            x: position.x + (isLeft ? length / 2 : -length / 2),
-            y: position.y,
-            z: position.z
-        };
-        
-        flipper.body = this.game.physics.createBox(
-            halfExtents,
-            1, // Dynamic body with mass
-            bodyPos,
-            null,
-            this.game.physics.materials.flipper
+        flipper.body = new CANNON.Body({
+            type: CANNON.Body.KINEMATIC,
+            position: new CANNON.Vec3(position.x, position.y, position.z),
+            material: this.game.physics.materials.flipper
+        });
+        flipper.body.addShape(
+            new CANNON.Box(new CANNON.Vec3(length / 2, width / 2, height / 2)),
+            new CANNON.Vec3(isLeft ? length / 2 : -length / 2, 0, 0)
         );
         
-        flipper.body.userData = { isFlipper: true, side };
+        // A sleeping kinematic body stops moving
+        flipper.body.allowSleep = false;
         
-        // Create static pivot body
-        const pivotBody = new CANNON.Body({
-            mass: 0,
-            position: new CANNON.Vec3(position.x, position.y, position.z)
-        });
-        this.game.physics.addBody(pivotBody);
-        
-        // Create hinge constraint
-        const pivotOffset = isLeft 
-            ? { x: -length / 2, y: 0, z: 0 }
-            : { x: length / 2, y: 0, z: 0 };
-        
-        flipper.constraint = new CANNON.HingeConstraint(flipper.body, pivotBody, {
-            pivotA: new CANNON.Vec3(pivotOffset.x, pivotOffset.y, pivotOffset.z),
-            pivotB: new CANNON.Vec3(0, 0, 0),
-            axisA: new CANNON.Vec3(0, 0, 1),
-            axisB: new CANNON.Vec3(0, 0, 1)
-        });
+        flipper.body.userData = { isFlipper: true, side };
+        this.applyPose(flipper, side);
         
-        this.game.physics.world.addConstraint(flipper.constraint);
         this.game.physics.addBody(flipper.body);
         
-        // Add collision listener for slingshot effect
-        flipper.body.addEventListener('collide', (e) => {
+        // Report ball contacts
+        this.game.physics.addCollisionListener(flipper.body, (e) => {
             this.onFlipperCollision(e, side);
         });
     }
 
     /**
      * Handle collision with flipper
+     * The exit velocity comes from the contact itself; this only reports the hit
      */
     onFlipperCollision(event, side) {
         const flipper = side === 'left' ? this.left : this.right;
@@ -218,26 +210,12 @@ export class Flippers {
         
         if (!otherBody.userData || !otherBody.userData.isBall) return;
         
-        // Check if flipper is actively swinging
-        if (flipper.active) {
-            // Apply slingshot effect
-            const impulse = CONFIG.FLIPPERS.SLINGSHOT_IMPULSE;
-            const direction = side === 'left' ? 1 : -1;
-            
-            this.game.physics.applyImpulse(otherBody, {
-                x: impulse * direction * 0.5,
-                y: impulse,
-                z: 0
-            });
-            
-            // Add restitution boost
-            // This is simulated by applying extra upward velocity
-            const boost = CONFIG.FLIPPERS.SWING_RESTITUTION_BOOST;
-            otherBody.velocity.y += boost * Math.abs(otherBody.velocity.y);
-        }
-        
-        // Play flipper sound
-        this.game.audio.playSound('flipper', 0.5);
+        this.game.events.emit(GameEvents.FLIPPER_HIT, {
+            ...ballPayload(otherBody),
+            side,
+            active: flipper.active,
+            strokeSpeed: flipper.strokeSpeed
+        });
     }
 
     /**
@@ -252,49 +230,50 @@ export class Flippers {
     }
 
     /**
-     * Update a single flipper
+     * Update a single flipper (once per simulation tick, after the physics step)
+     * Advances the stroke by the step just taken, then sets the angular velocity
+     * for the next step from the solenoid (held) or the return spring (released)
      */
     updateFlipper(side, deltaTime) {
         const isLeft = side === 'left';
         const flipper = isLeft ? this.left : this.right;
-        const restAngle = isLeft ? CONFIG.FLIPPERS.RESTING_ANGLE : -CONFIG.FLIPPERS.RESTING_ANGLE;
-        const activeAngle = isLeft ? CONFIG.FLIPPERS.ACTIVE_ANGLE : -CONFIG.FLIPPERS.ACTIVE_ANGLE;
+        const settings = CONFIG.FLIPPERS;
+        const strokeLength = settings.ACTIVE_ANGLE - settings.RESTING_ANGLE;
+        
+        // The body rotated by strokeSpeed during the step
+        flipper.stroke += flipper.strokeSpeed * deltaTime;
+        
+        // Torque along the stroke: solenoid pulls up, spring pulls back to rest
+        const progress = flipper.stroke / strokeLength;
+        const drive = flipper.active ? settings.SOLENOID : settings.RETURN_SPRING;
+        const torque = drive.TORQUE * sampleCurve(drive.CURVE, progress) * (flipper.active ? 1 : -1);
+        
+        let speed = flipper.strokeSpeed + torque / settings.MOMENT_OF_INERTIA * deltaTime;
+        speed = Math.max(-settings.MAX_ANGULAR_SPEED, Math.min(settings.MAX_ANGULAR_SPEED, speed));
         
-        // Calculate target angle
-        const targetAngle = flipper.active ? activeAngle : restAngle;
+        // Stop exactly at the end-of-stroke and rest stops (held there with no speed)
+        speed = Math.max(-flipper.stroke / deltaTime, Math.min((strokeLength - flipper.stroke) / deltaTime, speed));
+        flipper.strokeSpeed = speed;
         
-        // Calculate transition speed
-        const transitionTime = flipper.active 
-            ? CONFIG.FLIPPERS.ACTIVATION_TIME 
-            : CONFIG.FLIPPERS.DEACTIVATION_TIME;
-        const speed = Math.abs(activeAngle - restAngle) / transitionTime;
+        this.applyPose(flipper, side);
+    }
+
+    /**
+     * Place mesh and body at the current stroke and give the body its angular velocity
+     */
+    applyPose(flipper, side) {
+        const direction = side === 'left' ? 1 : -1;
+        const restAngle = CONFIG.FLIPPERS.RESTING_ANGLE * direction;
         
-        // Interpolate angle
-        const angleDiff = targetAngle - flipper.angle;
-        const step = Math.sign(angleDiff) * Math.min(Math.abs(angleDiff), speed * deltaTime);
-        flipper.angle += step;
+        flipper.angle = restAngle + flipper.stroke * direction;
         
-        // Apply to mesh
         if (flipper.mesh) {
             flipper.mesh.rotation.z = flipper.angle;
         }
         
-        // Apply to physics body
         if (flipper.body) {
-            const quat = new CANNON.Quaternion();
-            quat.setFromAxisAngle(new CANNON.Vec3(0, 0, 1), flipper.angle);
-            flipper.body.quaternion.copy(quat);
-            
-            // Calculate angular velocity for motor
-            if (flipper.constraint) {
-                const motorSpeed = flipper.active 
-                    ? (isLeft ? 20 : -20)
-                    : (isLeft ? -10 : 10);
-                
-                flipper.constraint.enableMotor();
-                flipper.constraint.setMotorSpeed(motorSpeed);
-                flipper.constraint.setMotorMaxForce(CONFIG.FLIPPERS.MOTOR_TORQUE);
-            }
+            flipper.body.quaternion.setFromAxisAngle(Z_AXIS, flipper.angle);
+            flipper.body.angularVelocity.set(0, 0, flipper.strokeSpeed * direction);
         }
     }
 
@@ -304,7 +283,7 @@ export class Flippers {
     activateLeft() {
         if (!this.left.active) {
             this.left.active = true;
-            this.game.audio.playSound('flipper', 0.3);
+            this.game.events.emit(GameEvents.FLIPPER_ACTIVATE, { side: 'left' });
         }
     }
 
@@ -321,7 +300,7 @@ export class Flippers {
     activateRight() {
         if (!this.right.active) {
             this.right.active = true;
-            this.game.audio.playSound('flipper', 0.3);
+            this.game.events.emit(GameEvents.FLIPPER_ACTIVATE, { side: 'right' });
         }
     }
 
@@ -336,17 +315,12 @@ export class Flippers {
      * Reset flippers
      */
     reset() {
-        this.left.active = false;
-        this.left.angle = CONFIG.FLIPPERS.RESTING_ANGLE;
-        
-        this.right.active = false;
-        this.right.angle = -CONFIG.FLIPPERS.RESTING_ANGLE;
-        
-        if (this.left.mesh) {
-            this.left.mesh.rotation.z = this.left.angle;
-        }
-        if (this.right.mesh) {
-            this.right.mesh.rotation.z = this.right.angle;
-        }
+        // Return paddles to rest so a new session starts from identical physics state
+        [['left', this.left], ['right', this.right]].forEach(([side, flipper]) => {
+            flipper.active = false;
+            flipper.stroke = 0;
+            flipper.strokeSpeed = 0;
+            this.applyPose(flipper, side);
+        });
     }
 }
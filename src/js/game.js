@@ -17,6 +17,22 @@ import { JackpotMachine } from './jackpot.js';
 import { ScoreManager } from './score.js';
 import { BallManager } from './balls.js';
 import { StorageManager } from './storage.js';
+import { RNGService } from './rng.js';
+import { SimulationClock } from './clock.js';
+import { EventBus, GameEvents } from './events.js';
+import { StateMachine } from './state-machine.js';
+import { SlowMotion } from './slow-motion.js';
+import { TiltMeter } from './tilt.js';
+import { MultiballMode } from './multiball.js';
+import { TulipGates } from './tulips.js';
+import { ProbabilityState } from './probability.js';
+import { BallSaver } from './ball-save.js';
+import { SkillShot } from './skill-shot.js';
+import { TriggerSystem } from './triggers.js';
+import { loadTable, getTableHash } from './table.js';
+import { TableEditor } from './editor.js';
+import { InputRecorder, ReplayPlayer } from './replay.js';
+import { HeadlessRenderer, HeadlessInput, createHeadlessUI, createHeadlessAudio } from './headless.js';
 import { CONFIG } from './config.js';
 
 /**
@@ -29,13 +45,55 @@ export const GameState = {
     JACKPOT_READY: 'JACKPOT_READY',
     JACKPOT_SPINNING: 'JACKPOT_SPINNING',
     JACKPOT_PAYOUT: 'JACKPOT_PAYOUT',
+    TILT: 'TILT',
+    PAUSED: 'PAUSED',
+    EDITOR: 'EDITOR',
     GAME_OVER: 'GAME_OVER'
 };
 
+/**
+ * Session snapshot format version (bump when the snapshot layout changes)
+ */
+export const SNAPSHOT_VERSION = 13;
+
+/**
+ * States that can be paused
+ */
+const PAUSABLE_STATES = [
+    GameState.PLAYING,
+    GameState.JACKPOT_READY,
+    GameState.JACKPOT_SPINNING,
+    GameState.JACKPOT_PAYOUT,
+    GameState.TILT
+];
+
+/**
+ * States in which the cannon can't fire (the attacker's round clock waits through them)
+ */
+const FIRING_LOCKED_STATES = [
+    GameState.JACKPOT_SPINNING,
+    GameState.JACKPOT_PAYOUT,
+    GameState.TILT
+];
+
 export class Game {
-    constructor() {
-        this.state = GameState.LOADING;
+    /**
+     * @param {Object} options
+     * @param {number} [options.seed] - Session seed (defaults to CONFIG.RNG.SEED or a random seed)
+     * @param {boolean} [options.headless] - Run without DOM, WebGL or audio (drive with runTicks)
+     */
+    constructor(options = {}) {
+        this.headless = options.headless ?? false;
         this.isRunning = false;
+        this.destroyed = false;
+        this.animationFrame = null;
+        
+        // Ticks owed to the simulation while physics steps in a worker (see runWorkerTicks)
+        this.pendingTicks = 0;
+        this.workerTickRunning = false;
+        
+        // Aborted on destroy(); every DOM listener is registered with its signal
+        this.lifecycle = new AbortController();
         this.lastTime = 0;
         this.deltaTime = 0;
         this.frameCount = 0;
@@ -45,6 +103,32 @@ export class Game {
         this.fpsUpdateInterval = 500;
         this.lastFpsUpdate = 0;
         
+        // Seeded random number service (all gameplay randomness draws from here)
+        const seed = options.seed ?? CONFIG.RNG.SEED ?? RNGService.generateSeed();
+        this.rng = new RNGService(seed);
+        
+        // Table layout to build: a URL or a table object (the default table if not given)
+        this.tableSource = options.table;
+        this.table = null;
+        
+        // Hash of the table's data (replays and saved sessions only play back on the same layout)
+        this.tableHash = null;
+        
+        // Fixed-timestep simulation clock (physics and all gameplay timers)
+        this.clock = new SimulationClock();
+        
+        // Gameplay event bus (score, audio, UI and lighting subscribe during init)
+        this.events = new EventBus(this);
+        
+        // Game state machine (read the current state with this.state)
+        this.stateMachine = this.createStateMachine();
+        
+        // State to return to when resuming from PAUSED
+        this.stateBeforePause = null;
+        
+        // Chosen time scale (slow motion and replay speed are applied on top, see applyTimeScale)
+        this.timeScale = 1;
+        
         // Systems
         this.renderer = null;
         this.physics = null;
@@ -60,6 +144,13 @@ export class Game {
         this.score = null;
         this.balls = null;
         this.storage = null;
+        this.slowMotion = null;
+        this.tilt = null;
+        this.editor = null;
+        
+        // Replay
+        this.recorder = null;
+        this.replay = null;
     }
 
     /**
@@ -71,24 +162,38 @@ export class Game {
         // Initialize storage first (for settings/high scores)
         this.storage = new StorageManager();
         
+        // Load the table layout the playfield is built from
+        this.table = await loadTable(this.tableSource);
+        this.tableHash = getTableHash(this.table);
+        console.log(`Table: ${this.table.name}`);
+        
+        // Optionally mix GPU frame-time noise into the RNG
+        if (CONFIG.RNG.GPU_ENTROPY) {
+            this.rng.setEntropySource(() => this.getGPUNoiseRNG());
+        }
+        
         // Initialize renderer (handles WebGPU/WebGL detection)
-        this.renderer = new Renderer(this);
+        this.renderer = this.headless ? new HeadlessRenderer(this) : new Renderer(this);
         await this.renderer.init();
         
         // Initialize physics
         this.physics = new Physics(this);
         this.physics.init();
         
+        // Sensor volumes (created by the playfield through physics.createTrigger)
+        this.triggers = new TriggerSystem(this);
+        this.triggers.init();
+        
         // Initialize input manager
-        this.input = new InputManager(this);
+        this.input = this.headless ? new HeadlessInput(this) : new InputManager(this);
         this.input.init();
         
         // Initialize audio
-        this.audio = new AudioManager(this);
+        this.audio = this.headless ? createHeadlessAudio() : new AudioManager(this);
         this.audio.init();
         
         // Initialize UI
-        this.ui = new UIManager(this);
+        this.ui = this.headless ? createHeadlessUI() : new UIManager(this);
         this.ui.init();
         
         // Initialize score manager
@@ -115,20 +220,172 @@ export class Game {
         this.jackpot = new JackpotMachine(this);
         this.jackpot.create();
         
+        // Probability state the jackpot machine spins in (kakuhen / jitan after wins)
+        this.probability = new ProbabilityState(this);
+        this.probability.init();
+        
+        // Tulip gates
+        this.tulips = new TulipGates(this);
+        this.tulips.create();
+        
+        // Saucer locks and multiball
+        this.multiball = new MultiballMode(this);
+        this.multiball.create();
+        
+        // Launch ball save and the skill-shot lanes on the top arch
+        this.ballSaver = new BallSaver(this);
+        this.ballSaver.init();
+        this.skillShot = new SkillShot(this);
+        this.skillShot.init();
+        
+        // Automatic slow motion for dramatic moments
+        this.slowMotion = new SlowMotion(this);
+        this.slowMotion.init();
+        
+        // Nudge and tilt meter
+        this.tilt = new TiltMeter(this);
+        this.tilt.init();
+        
+        // Input recording and replay playback
+        this.recorder = new InputRecorder(this);
+        this.replay = new ReplayPlayer(this);
+        
+        // Table editor (opened from the pause menu)
+        if (!this.headless) {
+            this.editor = new TableEditor(this);
+            this.editor.init();
+        }
+        
         // Set initial state
-        this.state = GameState.IDLE;
+        this.stateMachine.transition(GameState.IDLE);
+        
+        // Move physics stepping off the main thread once every body exists
+        if (!this.headless) {
+            await this.physics.startWorker();
+        }
         
         console.log('Game initialization complete');
     }
 
+    /**
+     * Create the game state machine
+     * Sessions are started with reset(PLAYING) from any state (see restart)
+     */
+    createStateMachine() {
+        const S = GameState;
+        
+        // Returning from PAUSED re-enters the previous state without repeating its entry action
+        const unlessResuming = (hook) => (from, data) => {
+            if (from !== S.PAUSED) hook(from, data);
+        };
+        
+        return new StateMachine({
+            initial: S.LOADING,
+            strict: CONFIG.STATE_MACHINE.STRICT,
+            onTransition: (from, to) => {
+                this.events.emit(GameEvents.STATE_CHANGE, { from, to });
+                
+                // The pause menu and editor stop the clock without changing what the game is doing
+                if (to !== S.PAUSED && to !== S.EDITOR) {
+                    this.playfield.holdAttacker(FIRING_LOCKED_STATES.includes(to));
+                }
+            },
+            states: {
+                [S.LOADING]: {
+                    transitions: [S.IDLE]
+                },
+                [S.IDLE]: {
+                    transitions: [S.PLAYING]
+                },
+                [S.PLAYING]: {
+                    transitions: [S.JACKPOT_READY, S.TILT, S.PAUSED, S.GAME_OVER]
+                },
+                [S.JACKPOT_READY]: {
+                    transitions: [S.JACKPOT_SPINNING, S.TILT, S.PAUSED, S.GAME_OVER],
+                    guard: () => this.jackpot.reserved.length > 0,
+                    onEnter: unlessResuming(() => this.ui.showJackpotReady())
+                },
+                [S.JACKPOT_SPINNING]: {
+                    transitions: [S.JACKPOT_PAYOUT, S.PAUSED],
+                    onEnter: unlessResuming(() => this.jackpot.spin())
+                },
+                [S.JACKPOT_PAYOUT]: {
+                    transitions: [S.PLAYING, S.PAUSED],
+                    onEnter: unlessResuming((from, result) => this.payOutJackpot(result))
+                },
+                [S.TILT]: {
+                    transitions: [S.PLAYING, S.PAUSED, S.GAME_OVER],
+                    onEnter: unlessResuming(() => this.onTilt()),
+                    onExit: (to) => {
+                        if (to !== S.PAUSED) this.tilt.clear();
+                    }
+                },
+                [S.PAUSED]: {
+                    transitions: [...PAUSABLE_STATES, S.EDITOR],
+                    // The table editor opens over a paused game and returns to the pause menu
+                    onEnter: (from) => {
+                        if (from === S.EDITOR) {
+                            this.ui.showPauseMenu();
+                        } else {
+                            this.onPause(from);
+                        }
+                    },
+                    onExit: (to) => {
+                        if (to === S.EDITOR) {
+                            this.ui.hidePauseMenu();
+                        } else {
+                            this.onResume();
+                        }
+                    }
+                },
+                [S.EDITOR]: {
+                    transitions: [S.PAUSED],
+                    onEnter: () => this.editor.open(),
+                    onExit: () => this.editor.close()
+                },
+                [S.GAME_OVER]: {
+                    transitions: [],
+                    guard: () => this.balls.totalBalls <= 0 && this.balls.activeBallCount === 0,
+                    onEnter: () => this.gameOver()
+                }
+            }
+        });
+    }
+
+    /**
+     * Get current game state
+     */
+    get state() {
+        return this.stateMachine.state;
+    }
+
+    /**
+     * Signal aborted when the game is destroyed (pass as the addEventListener `signal` option)
+     */
+    get signal() {
+        return this.lifecycle.signal;
+    }
+
     /**
      * Start the game loop
      */
     start() {
         this.isRunning = true;
         this.lastTime = performance.now();
-        this.state = GameState.PLAYING;
-        this.gameLoop();
+        
+        // Offer to continue a saved session, otherwise begin from the same
+        // clean state a replay restarts from
+        const snapshot = this.headless ? null : this.storage.loadSnapshot();
+        if (snapshot && snapshot.version === SNAPSHOT_VERSION && snapshot.tableHash === this.tableHash) {
+            this.ui.showContinuePrompt(snapshot);
+        } else {
+            this.restart(this.seed);
+        }
+        
+        // Headless games are advanced explicitly with runTicks()
+        if (!this.headless) {
+            this.gameLoop();
+        }
     }
 
     /**
@@ -136,6 +393,184 @@ export class Game {
      */
     stop() {
         this.isRunning = false;
+        
+        if (this.animationFrame !== null) {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
+        }
+    }
+
+    /**
+     * Tear down the game so it can be unmounted from the page
+     * Removes every listener, timer and animation loop, frees physics bodies,
+     * GPU resources and the AudioContext. A new Game can be created afterwards.
+     */
+    destroy() {
+        if (this.destroyed) return;
+        this.destroyed = true;
+        
+        this.stop();
+        this.lifecycle.abort();
+        
+        // Pending gameplay timers and event subscriptions
+        this.clock.clearTimers();
+        this.events.clear();
+        
+        if (this.editor) this.editor.destroy();
+        if (this.ui) this.ui.destroy();
+        if (this.audio) this.audio.destroy();
+        if (this.physics) this.physics.destroy();
+        if (this.renderer) this.renderer.destroy();
+        
+        console.log('Game destroyed');
+    }
+
+    /**
+     * Pause the game (ignored in states that can't be paused, and while the table editor is open)
+     */
+    pause() {
+        if (!this.isEditing && this.stateMachine.can(GameState.PAUSED)) {
+            this.stateMachine.transition(GameState.PAUSED);
+        }
+    }
+
+    /**
+     * Resume the game exactly where it was paused
+     */
+    resume() {
+        if (this.isPaused) {
+            this.stateMachine.transition(this.stateBeforePause);
+        }
+    }
+
+    /**
+     * Enter PAUSED
+     * Freezes the simulation clock (physics and every gameplay timer) and suspends audio
+     * The render loop keeps running so the frozen table stays on screen
+     */
+    onPause(from) {
+        this.stateBeforePause = from;
+        this.clock.paused = true;
+        
+        this.audio.suspend();
+        this.ui.showPauseMenu();
+        
+        console.log('Game paused');
+    }
+
+    /**
+     * Leave PAUSED
+     */
+    onResume() {
+        this.stateBeforePause = null;
+        this.clock.paused = false;
+        
+        this.audio.resume();
+        this.ui.hidePauseMenu();
+        
+        console.log('Game resumed');
+    }
+
+    /**
+     * Toggle pause
+     */
+    togglePause() {
+        if (this.isPaused) {
+            this.resume();
+        } else {
+            this.pause();
+        }
+    }
+
+    /**
+     * Whether the game is paused
+     */
+    get isPaused() {
+        return this.stateMachine.is(GameState.PAUSED);
+    }
+
+    /**
+     * Open the table editor (from the pause menu)
+     */
+    openEditor() {
+        if (this.editor && this.stateMachine.can(GameState.EDITOR)) {
+            this.stateMachine.transition(GameState.EDITOR);
+        }
+    }
+
+    /**
+     * Close the table editor and return to the pause menu
+     */
+    closeEditor() {
+        if (this.isEditing) {
+            this.stateMachine.transition(GameState.PAUSED);
+        }
+    }
+
+    /**
+     * Whether the table editor is open
+     */
+    get isEditing() {
+        return this.stateMachine.is(GameState.EDITOR);
+    }
+
+    /**
+     * Set how many simulation seconds pass per real second
+     * Physics, gameplay timers and clock-driven animations all follow it;
+     * results are identical at any scale since the simulation still runs in fixed ticks
+     * @returns {number} The clamped time scale
+     */
+    setTimeScale(scale) {
+        const { MIN, MAX } = CONFIG.TIME_SCALE;
+        this.timeScale = Math.max(MIN, Math.min(MAX, scale));
+        this.applyTimeScale();
+        return this.timeScale;
+    }
+
+    /**
+     * Drive the simulation clock from the chosen scale (or replay speed) and slow motion
+     */
+    applyTimeScale() {
+        let scale = this.timeScale;
+        
+        if (this.replay && this.replay.isActive) {
+            scale = this.replay.isPlaying ? this.replay.speed : 0;
+        }
+        
+        this.clock.timeScale = scale * this.slowMotion.factor;
+    }
+
+    /**
+     * Set the tilt sensitivity (clamped to the settings range; applies from the next session)
+     * @returns {number} The sensitivity applied
+     */
+    setTiltSensitivity(sensitivity) {
+        const { SENSITIVITY_MIN, SENSITIVITY_MAX } = CONFIG.TILT;
+        CONFIG.TILT.SENSITIVITY = Math.min(Math.max(sensitivity, SENSITIVITY_MIN), SENSITIVITY_MAX);
+        return CONFIG.TILT.SENSITIVITY;
+    }
+
+    /**
+     * Set the ball-save time in seconds (clamped to the settings range; applies from the next session)
+     * @returns {number} The time applied
+     */
+    setBallSaveTime(seconds) {
+        const { TIME_MIN, TIME_MAX } = CONFIG.BALL_SAVE;
+        CONFIG.BALL_SAVE.TIME = Math.min(Math.max(seconds, TIME_MIN), TIME_MAX);
+        return CONFIG.BALL_SAVE.TIME;
+    }
+
+    /**
+     * Advance exactly one simulation tick while paused (developer frame stepping)
+     * Only while paused from play; jackpot spins and payouts need the game running
+     */
+    stepTick() {
+        if (!this.isPaused || this.workerTickRunning) return;
+        const steppable = [GameState.PLAYING, GameState.JACKPOT_READY, GameState.TILT];
+        if (!steppable.includes(this.stateBeforePause)) return;
+        
+        this.tick();
+        this.render(1);
     }
 
     /**
@@ -151,11 +586,28 @@ export class Game {
         // Track frame time for GPU-based RNG
         this.trackFrameTime(this.deltaTime * 1000);
         
-        // Update all systems
-        this.update(this.deltaTime);
+        // The table editor draws its own view (the game stays paused behind it)
+        if (this.isEditing) {
+            this.editor.update(this.deltaTime);
+            this.editor.render();
+            this.updateFPS(currentTime);
+            this.animationFrame = requestAnimationFrame(() => this.gameLoop());
+            return;
+        }
+        
+        // Run fixed simulation ticks for the elapsed time
+        // (replays always step on the main thread so seeking stays synchronous)
+        const ticks = this.clock.advance(this.deltaTime);
+        if (this.physics.usesWorker && !this.replay.isActive) {
+            this.runWorkerTicks(ticks);
+        } else if (!this.workerTickRunning) {
+            for (let i = 0; i < ticks; i++) {
+                this.tick();
+            }
+        }
         
-        // Render
-        this.render();
+        // Render (interpolated between the last two ticks)
+        this.render(this.clock.alpha);
         
         // Update FPS counter
         this.updateFPS(currentTime);
@@ -163,7 +615,51 @@ export class Game {
         this.frameCount++;
         
         // Continue loop
-        requestAnimationFrame(() => this.gameLoop());
+        this.animationFrame = requestAnimationFrame(() => this.gameLoop());
+    }
+
+    /**
+     * Advance the simulation by one fixed tick
+     */
+    tick() {
+        // Fire gameplay timers due this tick
+        this.clock.step();
+        
+        this.update(this.clock.fixedDelta);
+    }
+
+    /**
+     * Run owed ticks one at a time while the physics worker steps
+     * Rendering carries on meanwhile; at most one step is in flight
+     */
+    async runWorkerTicks(count) {
+        this.pendingTicks = Math.min(this.pendingTicks + count, CONFIG.SIMULATION.MAX_TICKS_PER_FRAME);
+        if (this.workerTickRunning) return;
+        
+        this.workerTickRunning = true;
+        while (this.pendingTicks > 0 && this.isRunning && !this.clock.paused && this.physics.usesWorker) {
+            this.pendingTicks--;
+            
+            this.clock.step();
+            const deltaTime = this.clock.fixedDelta;
+            this.input.update(deltaTime);
+            
+            // Discarded when the session was reset during the step
+            if (await this.physics.updateAsync(deltaTime)) {
+                this.updateSystems(deltaTime);
+            }
+        }
+        this.workerTickRunning = false;
+    }
+
+    /**
+     * Run a number of simulation ticks immediately, without rendering
+     * Used to drive headless games and to fast-forward replays
+     */
+    runTicks(count) {
+        for (let i = 0; i < count; i++) {
+            this.tick();
+        }
     }
 
     /**
@@ -173,14 +669,31 @@ export class Game {
         // Process input
         this.input.update(deltaTime);
         
-        // Update physics (with substeps)
+        // Update physics (one fixed step)
         this.physics.update(deltaTime);
         
+        this.updateSystems(deltaTime);
+    }
+
+    /**
+     * Update game systems after the physics step
+     */
+    updateSystems(deltaTime) {
+        // Report balls entering, staying in and leaving sensor volumes
+        this.triggers.update();
+        
         // Update game objects
         this.cannon.update(deltaTime);
         this.flippers.update(deltaTime);
+        this.playfield.update(deltaTime);
+        this.tulips.update(deltaTime);
         this.jackpot.update(deltaTime);
         this.balls.update(deltaTime);
+        this.multiball.update();
+        this.ballSaver.update();
+        this.skillShot.update();
+        this.slowMotion.update();
+        this.tilt.update(deltaTime);
         
         // Update score/combo system
         this.score.update(deltaTime);
@@ -194,8 +707,15 @@ export class Game {
 
     /**
      * Render the scene
+     * @param {number} alpha - Interpolation factor between previous and current tick
      */
-    render() {
+    render(alpha = 1) {
+        this.balls.interpolate(alpha);
+        
+        if (this.replay.isActive) {
+            this.ui.updateReplayBar();
+        }
+        
         this.renderer.render();
     }
 
@@ -212,6 +732,7 @@ export class Game {
     /**
      * Get normalized variance for stochastic events
      * Based on GPU-normalized frame-time variance
+     * Only used as an optional entropy mixer for the RNG (CONFIG.RNG.GPU_ENTROPY)
      */
     getGPUNoiseRNG() {
         if (this.frameTimes.length < 2) return Math.random();
@@ -244,35 +765,65 @@ export class Game {
      * Check game state and handle transitions
      */
     checkGameState() {
-        // Check for game over
-        if (this.balls.totalBalls <= 0 && this.balls.activeBallCount === 0) {
-            if (this.state !== GameState.GAME_OVER) {
-                this.gameOver();
-            }
+        // Game over once every ball is used (guarded; never during a jackpot spin or payout)
+        if (this.stateMachine.can(GameState.GAME_OVER)) {
+            this.stateMachine.transition(GameState.GAME_OVER);
+        }
+        
+        // A tilt lasts until every ball in flight has drained
+        if (this.stateMachine.is(GameState.TILT) && this.balls.activeBallCount === 0) {
+            this.stateMachine.transition(GameState.PLAYING);
         }
         
-        // Check for jackpot ready
-        if (this.jackpot.ballsInChute >= CONFIG.JACKPOT.THRESHOLD && 
-            this.state === GameState.PLAYING) {
-            this.state = GameState.JACKPOT_READY;
-            this.ui.showJackpotReady();
+        // Jackpot ready while spins are reserved (guarded)
+        if (this.stateMachine.is(GameState.PLAYING) && this.stateMachine.can(GameState.JACKPOT_READY)) {
+            this.stateMachine.transition(GameState.JACKPOT_READY);
         }
     }
 
     /**
      * Fire the cannon
+     * @param {number} [power] - Launch power (0-1)
      */
-    fireCannon() {
-        if (this.state !== GameState.PLAYING && this.state !== GameState.JACKPOT_READY) return;
-        if (this.state === GameState.JACKPOT_SPINNING) return;
+    fireCannon(power) {
+        if (!this.stateMachine.is(GameState.PLAYING, GameState.JACKPOT_READY)) return;
         
-        this.cannon.fire();
+        this.cannon.fire(power);
     }
 
     /**
-     * Activate left flipper
+     * Nudge the table (see TiltMeter)
+     * @param {string} direction - 'left', 'right' or 'up'
+     */
+    nudge(direction) {
+        if (!this.stateMachine.is(GameState.PLAYING, GameState.JACKPOT_READY)) return;
+        
+        this.tilt.nudge(direction);
+    }
+
+    /**
+     * TILT the game (tilt meter full)
+     */
+    tiltGame() {
+        if (this.stateMachine.can(GameState.TILT)) {
+            this.stateMachine.transition(GameState.TILT);
+        }
+    }
+
+    /**
+     * Enter TILT: drop the flippers until every ball in flight has drained
+     */
+    onTilt() {
+        this.flippers.deactivateLeft();
+        this.flippers.deactivateRight();
+        this.events.emit(GameEvents.TILT);
+    }
+
+    /**
+     * Activate left flipper (dead while tilted)
      */
     activateLeftFlipper() {
+        if (this.tilt.isTilted) return;
         this.flippers.activateLeft();
     }
 
@@ -284,9 +835,10 @@ export class Game {
     }
 
     /**
-     * Activate right flipper
+     * Activate right flipper (dead while tilted)
      */
     activateRightFlipper() {
+        if (this.tilt.isTilted) return;
         this.flippers.activateRight();
     }
 
@@ -301,18 +853,22 @@ export class Game {
      * Trigger jackpot spin
      */
     triggerJackpot() {
-        if (this.state !== GameState.JACKPOT_READY) return;
+        if (!this.stateMachine.is(GameState.JACKPOT_READY)) return;
         
-        this.state = GameState.JACKPOT_SPINNING;
-        this.jackpot.spin();
+        this.stateMachine.transition(GameState.JACKPOT_SPINNING);
     }
 
     /**
      * Handle jackpot complete
      */
     onJackpotComplete(result) {
-        this.state = GameState.JACKPOT_PAYOUT;
-        
+        this.stateMachine.transition(GameState.JACKPOT_PAYOUT, result);
+    }
+
+    /**
+     * Enter JACKPOT_PAYOUT: award the result, then return to PLAYING after the lockout
+     */
+    payOutJackpot(result) {
         // Process rewards
         if (result.freeBalls > 0) {
             this.balls.addBalls(result.freeBalls);
@@ -326,43 +882,196 @@ export class Game {
         if (result.unlockRapidFire) {
             this.cannon.enableRapidFire();
         }
+        if (result.attackerRounds > 0) {
+            this.playfield.startAttacker(result.attackerRounds);
+        }
+        this.probability.onSpinResult(result);
         
-        // Clear jackpot after payout
-        setTimeout(() => {
-            this.jackpot.reset();
-            this.state = GameState.PLAYING;
-        }, CONFIG.JACKPOT.LOCKOUT_DURATION * 1000);
+        // Back to play after the lockout (the next reserved spin follows)
+        this.clock.schedule(() => {
+            this.jackpot.onPayoutComplete();
+            this.stateMachine.transition(GameState.PLAYING);
+        }, CONFIG.JACKPOT.LOCKOUT_DURATION);
     }
 
     /**
-     * Handle game over
+     * Enter GAME_OVER
      */
     gameOver() {
-        this.state = GameState.GAME_OVER;
-        this.audio.playSound('gameOver');
-        
         const finalScore = this.score.currentScore;
-        const isHighScore = this.storage.isHighScore(finalScore);
+        this.events.emit(GameEvents.GAME_OVER, { score: finalScore });
+        
+        const isHighScore = !this.replay.isActive && this.storage.isHighScore(finalScore);
+        
+        // A finished session can't be continued
+        if (!this.replay.isActive) {
+            this.storage.clearSnapshot();
+        }
         
         this.ui.showGameOver(finalScore, isHighScore);
     }
 
     /**
      * Restart the game
+     * Starts a new session with a fresh seed unless one is given
+     * The session is fully determined by the seed and the inputs that follow
      */
-    restart() {
+    restart(seed = RNGService.generateSeed()) {
+        // Leave the pause menu (the session is replaced anyway)
+        this.resume();
+        
+        // Simulation time and pending timers start over
+        this.pendingTicks = 0;
+        this.physics.discardPendingStep();
+        this.clock.reset();
+        
+        // New session seed
+        this.rng.reseed(seed);
+        console.log(`Session seed: ${this.seed}`);
+        
         // Reset all systems
+        this.input.reset();
+        this.triggers.reset();
         this.score.reset();
         this.balls.reset();
         this.cannon.reset();
         this.flippers.reset();
         this.jackpot.reset();
+        this.playfield.reset();
+        this.probability.reset();
+        this.tulips.reset();
+        this.multiball.reset();
+        this.ballSaver.reset();
+        this.skillShot.reset();
+        this.slowMotion.reset();
+        this.tilt.reset();
+        this.applyTimeScale();
         
         // Hide game over screen
         this.ui.hideGameOver();
         
-        // Reset state
-        this.state = GameState.PLAYING;
+        // Start the session (allowed from any state)
+        this.stateMachine.reset(GameState.PLAYING);
+        
+        // Record the new session (playback sessions are not re-recorded)
+        if (!this.replay.isActive) {
+            this.recorder.start();
+        }
+    }
+
+    /**
+     * Capture the session so it can be continued later
+     * Balls in flight, inventory, score, reserved spins, rapid fire and mode timers are kept;
+     * a spin in progress is saved as ready to spin, a payout as already paid
+     */
+    snapshot() {
+        let state = this.isPaused || this.isEditing ? this.stateBeforePause : this.state;
+        
+        if (state === GameState.JACKPOT_SPINNING) {
+            state = GameState.JACKPOT_READY;
+        } else if (state === GameState.JACKPOT_PAYOUT) {
+            state = GameState.PLAYING;
+        }
+        
+        return {
+            version: SNAPSHOT_VERSION,
+            savedAt: new Date().toISOString(),
+            seed: this.seed,
+            table: this.table.name,
+            tableHash: this.tableHash,
+            tick: this.clock.tick,
+            rng: this.rng.getState(),
+            state,
+            balls: this.balls.snapshot(),
+            score: this.score.snapshot(),
+            jackpot: this.jackpot.snapshot(),
+            cannon: this.cannon.snapshot(),
+            playfield: this.playfield.snapshot(),
+            probability: this.probability.snapshot(),
+            tulips: this.tulips.snapshot(),
+            triggers: this.triggers.snapshot(),
+            multiball: this.multiball.snapshot(),
+            ballSaver: this.ballSaver.snapshot(),
+            skillShot: this.skillShot.snapshot(),
+            tilt: this.tilt.snapshot()
+        };
+    }
+
+    /**
+     * Continue a session from a snapshot
+     * The restored session is not recorded (it can't be replayed from its seed)
+     * @returns {boolean} Whether the snapshot was restored
+     */
+    restoreSnapshot(snapshot) {
+        if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) {
+            console.warn('Unsupported session snapshot');
+            return false;
+        }
+        if (snapshot.tableHash !== this.tableHash) {
+            console.warn(`Session snapshot is for another table layout: ${snapshot.table}`);
+            return false;
+        }
+        
+        this.restart(snapshot.seed);
+        this.recorder.stop();
+        
+        // Continue simulation time and random streams where they left off
+        this.clock.tick = snapshot.tick;
+        this.rng.setState(snapshot.rng);
+        
+        this.balls.restore(snapshot.balls);
+        this.score.restore(snapshot.score);
+        this.jackpot.restore(snapshot.jackpot);
+        this.cannon.restore(snapshot.cannon);
+        this.playfield.restore(snapshot.playfield);
+        this.probability.restore(snapshot.probability);
+        this.tulips.restore(snapshot.tulips);
+        this.triggers.restore(snapshot.triggers);
+        this.multiball.restore(snapshot.multiball);
+        this.ballSaver.restore(snapshot.ballSaver);
+        this.skillShot.restore(snapshot.skillShot);
+        this.tilt.restore(snapshot.tilt);
+        
+        if (snapshot.state !== GameState.PLAYING) {
+            this.stateMachine.transition(snapshot.state);
+        }
+        
+        console.log(`Session restored at tick ${snapshot.tick}`);
+        return true;
+    }
+
+    /**
+     * Save the current session to storage (e.g. when the page is hidden or closed)
+     */
+    saveSession() {
+        if (this.replay.isActive) return;
+        
+        const inSession = this.isPaused || this.isEditing || PAUSABLE_STATES.includes(this.state);
+        if (inSession) {
+            this.storage.saveSnapshot(this.snapshot());
+        } else if (this.state === GameState.GAME_OVER) {
+            this.storage.clearSnapshot();
+        }
+    }
+
+    /**
+     * Continue the saved session (falls back to a new session)
+     */
+    continueSession() {
+        this.ui.hideContinuePrompt();
+        
+        if (!this.restoreSnapshot(this.storage.loadSnapshot())) {
+            this.restart(this.seed);
+        }
+    }
+
+    /**
+     * Discard the saved session and start a new one
+     */
+    discardSavedSession() {
+        this.ui.hideContinuePrompt();
+        this.storage.clearSnapshot();
+        this.restart(this.seed);
     }
 
     /**
@@ -378,6 +1087,13 @@ export class Game {
         this.ui.refreshLeaderboard();
     }
 
+    /**
+     * Get current session seed
+     */
+    get seed() {
+        return this.rng.seed;
+    }
+
     /**
      * Get scene (for adding objects)
      */
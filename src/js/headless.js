@@ -0,0 +1,162 @@
+/**
+ * Headless Systems
+ * Stand-ins for the renderer, UI, audio and input so the simulation can run
+ * without DOM, WebGL or Web Audio (Node, CI, balance studies)
+ */
+
+import * as THREE from 'three';
+import { Renderer } from './renderer.js';
+import { InputManager } from './input.js';
+import { CONFIG } from './config.js';
+
+/**
+ * Create a stand-in that accepts any method call and records it
+ * Properties present on `base` are returned as-is
+ * Calls are counted per method; the first MAX_RECORDED_CALLS are kept with their arguments
+ */
+export function createRecordingStub(base = {}) {
+    const calls = [];
+    const counts = {};
+
+    return new Proxy(base, {
+        get(target, prop) {
+            if (prop === 'calls') return calls;
+            if (prop === 'counts') return counts;
+            if (prop in target) return target[prop];
+
+            // Not a thenable, not a primitive
+            if (typeof prop === 'symbol' || prop === 'then') return undefined;
+
+            return (...args) => {
+                counts[prop] = (counts[prop] || 0) + 1;
+                if (calls.length < CONFIG.HEADLESS.MAX_RECORDED_CALLS) {
+                    calls.push({ method: prop, args });
+                }
+            };
+        }
+    });
+}
+
+/**
+ * Create headless UI (records every HUD update)
+ */
+export function createHeadlessUI() {
+    return createRecordingStub();
+}
+
+/**
+ * Create headless audio (records every sound played)
+ */
+export function createHeadlessAudio() {
+    return createRecordingStub({
+        muted: true,
+        setMuted() {}
+    });
+}
+
+/**
+ * Scene-only renderer
+ * Keeps a THREE.Scene so game objects can create meshes, but never draws
+ */
+export class HeadlessRenderer extends Renderer {
+    /**
+     * Initialize scene without canvas, WebGL or lights
+     */
+    async init() {
+        this.rendererType = 'Headless';
+        this.createScene();
+        this.ledLights = [];
+        this.backlitLEDs = [];
+
+        console.log(`Renderer initialized: ${this.rendererType}`);
+    }
+
+    /**
+     * Create the scene (no fog needed)
+     */
+    createScene() {
+        this.scene = new THREE.Scene();
+    }
+
+    /**
+     * Flash LED (no lights in headless mode)
+     */
+    flashLED() {}
+
+    /**
+     * Pulse LEDs (no lights in headless mode)
+     */
+    pulseLEDs() {}
+
+    /**
+     * Set the board color (no lights in headless mode)
+     */
+    setBoardColor() {}
+
+    /**
+     * Render (nothing to draw)
+     */
+    render() {}
+}
+
+/**
+ * Programmatic input
+ * Same buffered/recorded input path as the browser, driven by calls instead of DOM events
+ */
+export class HeadlessInput extends InputManager {
+    /**
+     * Initialize (no listeners to attach)
+     */
+    init() {
+        console.log('Input manager initialized (headless)');
+    }
+
+    /**
+     * Aim the cannon at normalized playfield coordinates (-1 to 1)
+     */
+    aim(x, y) {
+        this.mouse.x = x;
+        this.mouse.y = y;
+    }
+
+    /**
+     * Fire the cannon with power (0-1)
+     * Defaults to the power the browser fire button and rapid fire use
+     */
+    fire(power = CONFIG.CANNON.POWER.DEFAULT / 4) {
+        this.bufferInput('fire', { power });
+    }
+
+    /**
+     * Press a flipper ('left' or 'right')
+     */
+    pressFlipper(side) {
+        this.bufferInput('flipper', { side, active: true });
+    }
+
+    /**
+     * Release a flipper ('left' or 'right')
+     */
+    releaseFlipper(side) {
+        this.bufferInput('flipper', { side, active: false });
+    }
+
+    /**
+     * Pull the jackpot handle
+     */
+    pullJackpot() {
+        this.bufferInput('jackpot');
+    }
+
+    /**
+     * Nudge the table ('left', 'right' or 'up')
+     */
+    nudge(direction) {
+        this.bufferInput('nudge', { direction });
+    }
+
+    /**
+     * Update cannon UI (no DOM)
+     */
+    updateCannonUI() {}
+}
@@ -34,6 +34,9 @@ export class InputManager {
         // Input buffer
         this.inputBuffer = [];
         
+        // Last aim applied to the cannon (aim changes are executed as 'aim' inputs)
+        this.lastAim = null;
+        
         // Touch state
         this.touches = new Map();
         this.lastTouchY = 0;
@@ -44,6 +47,7 @@ export class InputManager {
         this.jackpotHandleStartY = 0;
         
         // Rapid fire state (Requirement #11)
+        // Interval runs on the simulation clock so it freezes while paused
         this.rapidFireInterval = null;
         this.rapidFireCount = 0;
         this.rapidFireMax = 10;
@@ -53,27 +57,37 @@ export class InputManager {
      * Initialize input listeners
      */
     init() {
+        const signal = this.game.signal;
+        
         // Keyboard events
-        document.addEventListener('keydown', (e) => this.onKeyDown(e));
-        document.addEventListener('keyup', (e) => this.onKeyUp(e));
+        document.addEventListener('keydown', (e) => this.onKeyDown(e), { signal });
+        document.addEventListener('keyup', (e) => this.onKeyUp(e), { signal });
+        
+        // Pause automatically when the window loses focus or the tab is hidden
+        window.addEventListener('blur', () => this.game.pause(), { signal });
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.game.pause();
+            }
+        }, { signal });
         
         // Mouse events
-        document.addEventListener('mousemove', (e) => this.onMouseMove(e));
-        document.addEventListener('mousedown', (e) => this.onMouseDown(e));
-        document.addEventListener('mouseup', (e) => this.onMouseUp(e));
-        document.addEventListener('wheel', (e) => this.onWheel(e));
+        document.addEventListener('mousemove', (e) => this.onMouseMove(e), { signal });
+        document.addEventListener('mousedown', (e) => this.onMouseDown(e), { signal });
+        document.addEventListener('mouseup', (e) => this.onMouseUp(e), { signal });
+        document.addEventListener('wheel', (e) => this.onWheel(e), { signal });
         
         // Disable right-click context menu (requirement #6)
         document.addEventListener('contextmenu', (e) => {
             e.preventDefault();
             return false;
-        });
+        }, { signal });
         
         // Touch events
         const canvas = document.getElementById('game-canvas');
-        canvas.addEventListener('touchstart', (e) => this.onTouchStart(e), { passive: false });
-        canvas.addEventListener('touchmove', (e) => this.onTouchMove(e), { passive: false });
-        canvas.addEventListener('touchend', (e) => this.onTouchEnd(e), { passive: false });
+        canvas.addEventListener('touchstart', (e) => this.onTouchStart(e), { passive: false, signal });
+        canvas.addEventListener('touchmove', (e) => this.onTouchMove(e), { passive: false, signal });
+        canvas.addEventListener('touchend', (e) => this.onTouchEnd(e), { passive: false, signal });
         
         // Flipper touch zones
         const leftZone = document.getElementById('flipper-left-zone');
@@ -81,55 +95,55 @@ export class InputManager {
         
         leftZone.addEventListener('touchstart', (e) => {
             e.preventDefault();
-            this.game.activateLeftFlipper();
-        }, { passive: false });
+            this.bufferInput('flipper', { side: 'left', active: true });
+        }, { passive: false, signal });
         
         leftZone.addEventListener('touchend', (e) => {
             e.preventDefault();
-            this.game.deactivateLeftFlipper();
-        }, { passive: false });
+            this.bufferInput('flipper', { side: 'left', active: false });
+        }, { passive: false, signal });
         
         rightZone.addEventListener('touchstart', (e) => {
             e.preventDefault();
-            this.game.activateRightFlipper();
-        }, { passive: false });
+            this.bufferInput('flipper', { side: 'right', active: true });
+        }, { passive: false, signal });
         
         rightZone.addEventListener('touchend', (e) => {
             e.preventDefault();
-            this.game.deactivateRightFlipper();
-        }, { passive: false });
+            this.bufferInput('flipper', { side: 'right', active: false });
+        }, { passive: false, signal });
         
         // Fire button
         const fireButton = document.getElementById('fire-button');
-        fireButton.addEventListener('click', () => this.onFireClick());
-        fireButton.addEventListener('mousedown', () => this.startCharging());
-        fireButton.addEventListener('mouseup', () => this.stopCharging());
+        fireButton.addEventListener('click', () => this.onFireClick(), { signal });
+        fireButton.addEventListener('mousedown', () => this.startCharging(), { signal });
+        fireButton.addEventListener('mouseup', () => this.stopCharging(), { signal });
         fireButton.addEventListener('touchstart', (e) => {
             e.preventDefault();
             this.startCharging();
-        }, { passive: false });
+        }, { passive: false, signal });
         fireButton.addEventListener('touchend', (e) => {
             e.preventDefault();
             this.stopCharging();
-        }, { passive: false });
+        }, { passive: false, signal });
         
         // Jackpot handle
         const jackpotHandle = document.getElementById('jackpot-handle');
-        jackpotHandle.addEventListener('mousedown', (e) => this.onJackpotHandleDown(e));
-        jackpotHandle.addEventListener('touchstart', (e) => this.onJackpotHandleTouchStart(e), { passive: false });
+        jackpotHandle.addEventListener('mousedown', (e) => this.onJackpotHandleDown(e), { signal });
+        jackpotHandle.addEventListener('touchstart', (e) => this.onJackpotHandleTouchStart(e), { passive: false, signal });
         
-        document.addEventListener('mousemove', (e) => this.onJackpotHandleMove(e));
-        document.addEventListener('mouseup', () => this.onJackpotHandleUp());
-        document.addEventListener('touchmove', (e) => this.onJackpotHandleTouchMove(e), { passive: false });
-        document.addEventListener('touchend', () => this.onJackpotHandleUp());
+        document.addEventListener('mousemove', (e) => this.onJackpotHandleMove(e), { signal });
+        document.addEventListener('mouseup', () => this.onJackpotHandleUp(), { signal });
+        document.addEventListener('touchmove', (e) => this.onJackpotHandleTouchMove(e), { passive: false, signal });
+        document.addEventListener('touchend', () => this.onJackpotHandleUp(), { signal });
         
         // Spin button
         const spinButton = document.getElementById('spin-button');
-        spinButton.addEventListener('click', () => this.game.triggerJackpot());
+        spinButton.addEventListener('click', () => this.game.triggerJackpot(), { signal });
         
         // Restart button
         const restartBtn = document.getElementById('restart-btn');
-        restartBtn.addEventListener('click', () => this.game.restart());
+        restartBtn.addEventListener('click', () => this.game.restart(), { signal });
         
         // Score submission
         const submitBtn = document.getElementById('submit-score-btn');
@@ -138,12 +152,12 @@ export class InputManager {
             if (initials.length > 0) {
                 this.game.submitHighScore(initials);
             }
-        });
+        }, { signal });
         
         // Cannon offset save button (Requirement #7)
         const saveOffsetBtn = document.getElementById('save-cannon-offset');
         if (saveOffsetBtn) {
-            saveOffsetBtn.addEventListener('click', () => this.saveCannonOffset());
+            saveOffsetBtn.addEventListener('click', () => this.saveCannonOffset(), { signal });
         }
         
         // Load saved cannon offset from localStorage (fallback)
@@ -243,6 +257,12 @@ export class InputManager {
      * Update input state
      */
     update(deltaTime) {
+        // During replay playback, recorded inputs replace live ones
+        if (this.game.replay && this.game.replay.isActive) {
+            this.game.replay.feed(this.game.clock.tick);
+            return;
+        }
+        
         // Process continuous keyboard input
         this.processKeyboardInput(deltaTime);
         
@@ -274,8 +294,8 @@ export class InputManager {
         }
         
         // Update cannon with current mouse position for aiming (Requirement #2)
-        if (this.game.cannon) {
-            this.game.cannon.setMousePosition(this.mouse.x, this.mouse.y);
+        if (!this.lastAim || this.lastAim.x !== this.mouse.x || this.lastAim.y !== this.mouse.y) {
+            this.executeInput({ type: 'aim', data: { x: this.mouse.x, y: this.mouse.y } });
         }
         
         this.updateCannonUI();
@@ -292,51 +312,128 @@ export class InputManager {
     }
 
     /**
-     * Execute a buffered input
+     * Execute an input on the current simulation tick
+     * Every action that affects the simulation passes through here so it can be recorded
      */
     executeInput(input) {
+        if (this.game.recorder) {
+            this.game.recorder.record(input);
+        }
+        
         switch (input.type) {
+            case 'aim':
+                this.lastAim = { x: input.data.x, y: input.data.y };
+                if (this.game.cannon) {
+                    this.game.cannon.setMousePosition(input.data.x, input.data.y);
+                }
+                break;
             case 'fire':
-                this.game.fireCannon();
+                this.game.fireCannon(input.data.power);
+                break;
+            case 'flipper':
+                this.setFlipper(input.data.side, input.data.active);
                 break;
             case 'jackpot':
                 this.game.triggerJackpot();
                 break;
+            case 'nudge':
+                this.game.nudge(input.data.direction);
+                break;
+        }
+    }
+
+    /**
+     * Activate or deactivate a flipper
+     */
+    setFlipper(side, active) {
+        if (side === 'left') {
+            if (active) {
+                this.game.activateLeftFlipper();
+            } else {
+                this.game.deactivateLeftFlipper();
+            }
+        } else if (active) {
+            this.game.activateRightFlipper();
+        } else {
+            this.game.deactivateRightFlipper();
         }
     }
 
     /**
      * Buffer an input action
+     * Flipper changes are never dropped so a release can't be lost to a full buffer
+     * While paused (or editing the table) only flipper changes are kept, so a key released during the pause applies on resume
      */
     bufferInput(type, data = {}) {
-        if (this.inputBuffer.length < CONFIG.INPUT.BUFFER_SIZE) {
+        // Live input is ignored while a replay is playing
+        if (this.game.replay && this.game.replay.isActive) return;
+        
+        if ((this.game.isPaused || this.game.isEditing) && type !== 'flipper') return;
+        
+        if (type === 'flipper' || this.inputBuffer.length < CONFIG.INPUT.BUFFER_SIZE) {
             this.inputBuffer.push({ type, data, time: performance.now() });
         }
     }
 
+    /**
+     * Buffer a fire action with the power at the moment of input
+     */
+    bufferFire() {
+        this.bufferInput('fire', { power: this.getCannonPower() });
+    }
+
+    /**
+     * Clear buffered inputs and aim state (new session)
+     */
+    reset() {
+        this.inputBuffer = [];
+        this.lastAim = null;
+        this.stopRapidFire();
+        this.stopCharging();
+    }
+
     /**
      * Handle keydown
      */
     onKeyDown(e) {
+        // The table editor handles its own keys
+        if (this.game.isEditing) return;
+        
         this.keys[e.code] = true;
         
         switch (e.code) {
+            case 'Escape':
+            case 'KeyP':
+                e.preventDefault();
+                this.game.togglePause();
+                break;
+                
+            case 'KeyF':
+                // Developer frame step: one simulation tick while paused
+                this.game.stepTick();
+                break;
+                
+            case 'Backquote':
+                // Developer view: trigger volume wireframes
+                this.game.triggers.toggleDebug();
+                break;
+                
             case 'Space':
             case 'Enter':
                 e.preventDefault();
-                this.bufferInput('fire');
+                this.bufferFire();
                 break;
                 
             case 'KeyZ':
             case 'KeyQ':
                 e.preventDefault();
-                this.game.activateLeftFlipper();
+                this.bufferInput('flipper', { side: 'left', active: true });
                 break;
                 
             case 'Slash':
             case 'KeyE':
                 e.preventDefault();
-                this.game.activateRightFlipper();
+                this.bufferInput('flipper', { side: 'right', active: true });
                 break;
                 
             case 'KeyJ':
@@ -344,14 +441,29 @@ export class InputManager {
                 this.bufferInput('jackpot');
                 break;
                 
+            case 'KeyX':
+                e.preventDefault();
+                if (!e.repeat) this.bufferInput('nudge', { direction: 'left' });
+                break;
+                
+            case 'Period':
+                e.preventDefault();
+                if (!e.repeat) this.bufferInput('nudge', { direction: 'right' });
+                break;
+                
+            case 'KeyC':
+                e.preventDefault();
+                if (!e.repeat) this.bufferInput('nudge', { direction: 'up' });
+                break;
+                
             case 'ShiftLeft':
                 e.preventDefault();
-                this.game.activateLeftFlipper();
+                this.bufferInput('flipper', { side: 'left', active: true });
                 break;
                 
             case 'ShiftRight':
                 e.preventDefault();
-                this.game.activateRightFlipper();
+                this.bufferInput('flipper', { side: 'right', active: true });
                 break;
         }
     }
@@ -366,13 +478,13 @@ export class InputManager {
             case 'KeyZ':
             case 'KeyQ':
             case 'ShiftLeft':
-                this.game.deactivateLeftFlipper();
+                this.bufferInput('flipper', { side: 'left', active: false });
                 break;
                 
             case 'Slash':
             case 'KeyE':
             case 'ShiftRight':
-                this.game.deactivateRightFlipper();
+                this.bufferInput('flipper', { side: 'right', active: false });
                 break;
         }
     }
@@ -397,10 +509,13 @@ export class InputManager {
      * Requirement #11: Middle mouse button fires mortar cannon; click+hold rapid fires
      */
     onMouseDown(e) {
+        // Clicks in the table editor never reach the table
+        if (this.game.isEditing) return;
+        
         if (e.button === 0) {
             this.mouse.leftDown = true;
             // Left click always triggers left flipper (requirement #6)
-            this.game.activateLeftFlipper();
+            this.bufferInput('flipper', { side: 'left', active: true });
         } else if (e.button === 1) {
             // Middle mouse button fires cannon (Requirement #11)
             e.preventDefault();
@@ -410,7 +525,7 @@ export class InputManager {
             // Right click is now disabled via context menu prevention
             // But we can still use it for right flipper if desired
             this.mouse.rightDown = true;
-            this.game.activateRightFlipper();
+            this.bufferInput('flipper', { side: 'right', active: true });
         }
     }
 
@@ -420,14 +535,14 @@ export class InputManager {
     onMouseUp(e) {
         if (e.button === 0) {
             this.mouse.leftDown = false;
-            this.game.deactivateLeftFlipper();
+            this.bufferInput('flipper', { side: 'left', active: false });
         } else if (e.button === 1) {
             // Middle mouse button released - stop rapid fire
             this.mouse.middleDown = false;
             this.stopRapidFire();
         } else if (e.button === 2) {
             this.mouse.rightDown = false;
-            this.game.deactivateRightFlipper();
+            this.bufferInput('flipper', { side: 'right', active: false });
         }
     }
     
@@ -439,29 +554,27 @@ export class InputManager {
     startRapidFire() {
         // Fire first ball immediately with default power from config
         this.cannonPower = (CONFIG.CANNON.POWER.DEFAULT || 2.0) * 25; // Scale default power to UI range
-        this.bufferInput('fire');
+        this.bufferFire();
         this.rapidFireCount = 1;
         this.rapidFireMax = CONFIG.CANNON.RAPID_FIRE.MAX_BALLS;
         
         // Start rapid fire interval - 5x faster than before
-        this.rapidFireInterval = setInterval(() => {
+        this.rapidFireInterval = this.game.clock.scheduleInterval(() => {
             if (this.rapidFireCount >= this.rapidFireMax || !this.mouse.middleDown) {
                 this.stopRapidFire();
                 return;
             }
-            this.bufferInput('fire');
+            this.bufferFire();
             this.rapidFireCount++;
-        }, CONFIG.CANNON.RAPID_FIRE.INTERVAL);
+        }, CONFIG.CANNON.RAPID_FIRE.INTERVAL / 1000);
     }
     
     /**
      * Stop rapid fire mode
      */
     stopRapidFire() {
-        if (this.rapidFireInterval) {
-            clearInterval(this.rapidFireInterval);
-            this.rapidFireInterval = null;
-        }
+        this.game.clock.cancel(this.rapidFireInterval);
+        this.rapidFireInterval = null;
         this.rapidFireCount = 0;
     }
 
@@ -535,7 +648,7 @@ export class InputManager {
             if (touchData) {
                 // Fire if power was charged
                 if (this.cannonPower > 10) {
-                    this.bufferInput('fire');
+                    this.bufferFire();
                 }
                 
                 this.touches.delete(touch.identifier);
@@ -554,7 +667,7 @@ export class InputManager {
         if (this.cannonPower < 10) {
             this.cannonPower = 50; // Default power for click
         }
-        this.bufferInput('fire');
+        this.bufferFire();
         this.cannonPower = 0;
         this.updateCannonUI();
     }
@@ -571,19 +684,19 @@ export class InputManager {
         fireButton.classList.add('charging');
         
         // Fire first ball immediately
-        this.bufferInput('fire');
+        this.bufferFire();
         this.rapidFireCount = 1;
         this.rapidFireMax = CONFIG.CANNON.RAPID_FIRE.MAX_BALLS;
         
         // Start rapid fire on hold - 5x faster than before
-        this.rapidFireInterval = setInterval(() => {
+        this.rapidFireInterval = this.game.clock.scheduleInterval(() => {
             if (this.rapidFireCount >= this.rapidFireMax || !this.isCharging) {
                 this.stopCharging();
                 return;
             }
-            this.bufferInput('fire');
+            this.bufferFire();
             this.rapidFireCount++;
-        }, CONFIG.CANNON.RAPID_FIRE.INTERVAL);
+        }, CONFIG.CANNON.RAPID_FIRE.INTERVAL / 1000);
     }
 
     /**
@@ -595,10 +708,8 @@ export class InputManager {
             this.cannonPower = 0;
             
             // Stop rapid fire
-            if (this.rapidFireInterval) {
-                clearInterval(this.rapidFireInterval);
-                this.rapidFireInterval = null;
-            }
+            this.game.clock.cancel(this.rapidFireInterval);
+            this.rapidFireInterval = null;
             this.rapidFireCount = 0;
             
             const fireButton = document.getElementById('fire-button');
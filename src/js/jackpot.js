@@ -1,17 +1,36 @@
 /**
  * Jackpot Machine Module
  * Handles 3D slot machine with spinning reels
+ * Each ball through the start pocket (the jackpot funnel) reserves a spin (horyu); up to
+ * CONFIG.JACKPOT.MAX_RESERVED wait in line, shown as reserve lamps, and play back to back.
+ * A reserved spin draws its reels' random numbers when it is reserved, so its lamp can
+ * foreshadow the result; the draws become symbols when the spin starts, weighted for the
+ * probability state at that moment.
  */
 
 import * as THREE from 'three';
 import { CONFIG } from './config.js';
+import { RNG_STREAMS } from './rng.js';
+import { GameEvents } from './events.js';
+
+/**
+ * Reserve lamp colours (no spin reserved, reserved, reserved with a hot hint)
+ */
+const RESERVE_LAMP_COLORS = {
+    empty: 0x222222,
+    normal: 0x66ccff,
+    hot: 0xff2222
+};
 
 export class JackpotMachine {
     constructor(game) {
         this.game = game;
         
         // State
-        this.ballsInChute = 0;
+        // Reserved spins in play order: { draws, hint } (a draw in [0, 1) per reel, 'normal' or 'hot' lamp)
+        this.reserved = [];
+        // Reserved spin being played: { draws, hint, reels } (reels are its symbols)
+        this.currentSpin = null;
         this.isSpinning = false;
         this.autoSpinCountdown = 0;
         
@@ -22,14 +41,17 @@ export class JackpotMachine {
         // Visual components
         this.machine = null;
         this.reelMeshes = [];
+        this.reserveLamps = [];
     }
 
     /**
      * Create jackpot machine visuals
      */
     create() {
-        // Generate reel icon textures
-        this.generateReelIcons();
+        // Generate reel icon textures (canvas-drawn, skipped when headless)
+        if (!this.game.headless) {
+            this.generateReelIcons();
+        }
         
         // Create 3D machine with spinning reels
         this.createMachineVisual();
@@ -196,24 +218,9 @@ export class JackpotMachine {
             
             // Create a material array for the cylinder sides (the icons)
             const symbols = CONFIG.JACKPOT.SYMBOLS;
-            const numSymbols = symbols.length;
             
             // Create texture strip with all symbols
-            const stripCanvas = document.createElement('canvas');
-            stripCanvas.width = 128 * numSymbols;
-            stripCanvas.height = 128;
-            const stripCtx = stripCanvas.getContext('2d');
-            
-            symbols.forEach((symbol, idx) => {
-                if (this.reelTextures[symbol]) {
-                    // Draw texture from stored canvas (re-create for strip)
-                    this.drawSymbolToStrip(stripCtx, symbol, idx * 128, 0, 128, 128);
-                }
-            });
-            
-            const stripTexture = new THREE.CanvasTexture(stripCanvas);
-            stripTexture.wrapS = THREE.RepeatWrapping;
-            stripTexture.repeat.set(1, 1);
+            const stripTexture = this.createReelStripTexture(symbols);
             
             const reelMaterial = new THREE.MeshStandardMaterial({
                 map: stripTexture,
@@ -261,8 +268,7 @@ export class JackpotMachine {
         
         // Add "JACKPOT" text sign on top - flush with surface
         const signGeometry = new THREE.PlaneGeometry(3.5, 0.5);
-        const signCanvas = this.createJackpotSign();
-        const signTexture = new THREE.CanvasTexture(signCanvas);
+        const signTexture = this.game.headless ? null : new THREE.CanvasTexture(this.createJackpotSign());
         const signMaterial = new THREE.MeshBasicMaterial({
             map: signTexture,
             transparent: true
@@ -303,10 +309,31 @@ export class JackpotMachine {
         // LED border around the jackpot machine
         this.createJackpotLEDBorder(group, slotArea.WIDTH, slotArea.HEIGHT);
         
+        // Reserved spin lamps under the reels
+        this.createReserveLamps(group, slotArea.HEIGHT);
+        
         this.machine = group;
         this.game.renderer.add(group);
     }
     
+    /**
+     * Create one lamp per reservable spin along the bottom of the display
+     */
+    createReserveLamps(group, height) {
+        const count = CONFIG.JACKPOT.MAX_RESERVED;
+        const spacing = 0.35;
+        
+        for (let i = 0; i < count; i++) {
+            const lamp = new THREE.Mesh(
+                new THREE.SphereGeometry(0.08, 8, 8),
+                new THREE.MeshBasicMaterial({ color: RESERVE_LAMP_COLORS.empty })
+            );
+            lamp.position.set((i - (count - 1) / 2) * spacing, -height / 2 + 0.2, 0.02);
+            group.add(lamp);
+            this.reserveLamps.push(lamp);
+        }
+    }
+    
     /**
      * Create LED border around jackpot machine for visibility
      */
@@ -350,6 +377,32 @@ export class JackpotMachine {
         group.add(led);
     }
     
+    /**
+     * Create a reel texture strip with all symbols side by side
+     * Returns null when headless (no canvas available)
+     */
+    createReelStripTexture(symbols) {
+        if (this.game.headless) return null;
+        
+        const stripCanvas = document.createElement('canvas');
+        stripCanvas.width = 128 * symbols.length;
+        stripCanvas.height = 128;
+        const stripCtx = stripCanvas.getContext('2d');
+        
+        symbols.forEach((symbol, idx) => {
+            if (this.reelTextures[symbol]) {
+                // Draw texture from stored canvas (re-create for strip)
+                this.drawSymbolToStrip(stripCtx, symbol, idx * 128, 0, 128, 128);
+            }
+        });
+        
+        const stripTexture = new THREE.CanvasTexture(stripCanvas);
+        stripTexture.wrapS = THREE.RepeatWrapping;
+        stripTexture.repeat.set(1, 1);
+        
+        return stripTexture;
+    }
+    
     /**
      * Draw a symbol to a canvas strip
      */
@@ -426,7 +479,11 @@ export class JackpotMachine {
      */
     startIdleSpinning() {
         this.idleSpinning = true;
-        this.animateIdleReels();
+        
+        // Idle animation runs on requestAnimationFrame (browser only)
+        if (!this.game.headless) {
+            this.animateIdleReels();
+        }
     }
     
     /**
@@ -436,16 +493,18 @@ export class JackpotMachine {
         if (!this.idleSpinning || this.isSpinning) return;
         
         const animate = () => {
-            if (!this.idleSpinning || this.isSpinning) return;
+            if (!this.idleSpinning || this.isSpinning || this.game.signal.aborted) return;
             
-            // Slowly rotate each reel
+            // Slowly rotate each reel (at the simulation's time scale, still while paused)
+            const clock = this.game.clock;
+            const rate = clock.paused ? 0 : clock.timeScale;
             this.reel3DObjects.forEach((reel, i) => {
-                reel.rotation += 0.02 + i * 0.005;
+                reel.rotation += (0.02 + i * 0.005) * rate;
                 reel.reel.rotation.x = reel.rotation;
             });
             
             // Animate cabinet lights
-            const time = performance.now() * 0.003;
+            const time = clock.time * 3;
             this.cabinetLights.forEach((light, i) => {
                 const brightness = Math.sin(time + light.phase) * 0.5 + 0.5;
                 light.mesh.material.opacity = brightness;
@@ -460,8 +519,8 @@ export class JackpotMachine {
      * Update jackpot machine
      */
     update(deltaTime) {
-        // Update auto-spin countdown
-        if (this.ballsInChute >= CONFIG.JACKPOT.THRESHOLD && !this.isSpinning) {
+        // Update auto-spin countdown (runs from RESERVED_SPIN_DELAY after a payout)
+        if (this.game.state === 'JACKPOT_READY' && !this.isSpinning) {
             if (this.autoSpinCountdown <= 0) {
                 this.autoSpinCountdown = CONFIG.JACKPOT.AUTO_SPIN_DELAY;
             } else {
@@ -474,32 +533,78 @@ export class JackpotMachine {
             }
         }
         
-        // Animate machine glow when ready
-        if (this.ballsInChute >= CONFIG.JACKPOT.THRESHOLD && this.machine) {
-            const time = performance.now() * 0.003;
+        // Animate machine glow while spins are reserved
+        if (this.reserved.length > 0 && this.machine) {
+            const time = this.game.clock.time * 3;
             const intensity = 0.3 + Math.sin(time) * 0.2;
             this.machine.children[2].material.opacity = intensity;
         }
     }
 
     /**
-     * Add ball to chute
+     * Reserve a spin for a ball through the start pocket
+     * The spin's reel draws are taken now, and its lamp picked from the symbols they give in
+     * the current state; with every spin already reserved the ball is refunded to the
+     * inventory or discarded (CONFIG.JACKPOT.OVERFLOW)
      */
-    addBall() {
-        this.ballsInChute++;
-        this.game.ui.updateJackpotCount(this.ballsInChute, CONFIG.JACKPOT.THRESHOLD);
-        
-        if (this.ballsInChute >= CONFIG.JACKPOT.THRESHOLD) {
-            this.game.ui.showJackpotReady();
+    reserveSpin() {
+        if (this.reserved.length >= CONFIG.JACKPOT.MAX_RESERVED) {
+            const refunded = CONFIG.JACKPOT.OVERFLOW === 'refund';
+            if (refunded) {
+                this.game.balls.totalBalls++;
+                this.game.ui.updateBallCount(this.game.balls.totalBalls);
+            }
+            this.game.events.emit(GameEvents.JACKPOT_OVERFLOW, { refunded });
+            return;
         }
+        
+        const reelStream = this.game.rng.stream(RNG_STREAMS.REELS);
+        const draws = [0, 1, 2].map(() => reelStream.next());
+        const hint = this.rollHint(this.getReelSymbols(draws));
+        this.reserved.push({ draws, hint });
+        
+        this.game.events.emit(GameEvents.JACKPOT_RESERVE, {
+            reserved: this.reserved.length,
+            hint
+        });
+        this.updateReserveLamps();
+    }
+
+    /**
+     * Lamp for a reserved spin: 'hot' foreshadows a win (and now and then fakes one), else 'normal'
+     * A state change before the spin plays can turn a foreshadowed win into a loss, or the other way
+     */
+    rollHint(reels) {
+        const chance = CONFIG.JACKPOT.HOT_HOLD_CHANCE;
+        const isWin = this.evaluateResult(reels).isWin;
+        const roll = this.game.rng.stream(RNG_STREAMS.HOLD_HINTS).next();
+        
+        return roll < (isWin ? chance.WIN : chance.LOSS) ? 'hot' : 'normal';
+    }
+
+    /**
+     * Light the reserve lamps on the machine and the HUD
+     */
+    updateReserveLamps() {
+        const hints = this.reserved.map(spin => spin.hint);
+        
+        this.reserveLamps.forEach((lamp, i) => {
+            lamp.material.color.setHex(RESERVE_LAMP_COLORS[hints[i] || 'empty']);
+        });
+        this.game.ui.updateReservedSpins(hints, CONFIG.JACKPOT.MAX_RESERVED);
     }
 
     /**
-     * Spin the reels
+     * Play the next reserved spin
      */
     spin() {
         if (this.isSpinning) return;
-        if (this.ballsInChute < CONFIG.JACKPOT.THRESHOLD) return;
+        if (this.reserved.length === 0) return;
+        
+        // Roll the reels from the spin's draws for the state the machine is in now
+        const spin = this.reserved.shift();
+        this.currentSpin = { ...spin, reels: this.getReelSymbols(spin.draws) };
+        this.updateReserveLamps();
         
         this.isSpinning = true;
         this.autoSpinCountdown = 0;
@@ -508,8 +613,10 @@ export class JackpotMachine {
         // Show overlay
         this.game.ui.showJackpotOverlay();
         
-        // Play spin sound
-        this.game.audio.playSound('reelSpin');
+        this.game.events.emit(GameEvents.JACKPOT_SPIN, {
+            hint: this.currentSpin.hint,
+            reserved: this.reserved.length
+        });
         
         // Start spinning animation
         this.startSpinAnimation();
@@ -519,9 +626,10 @@ export class JackpotMachine {
      * Start reel spinning animation
      */
     startSpinAnimation() {
-        const spinDuration = CONFIG.JACKPOT.SPIN_DURATION * 1000;
+        // The probability state sets the spin time and reel weights
+        const spinDuration = this.game.probability.getSpinDuration();
         const symbols = CONFIG.JACKPOT.SYMBOLS;
-        const weights = CONFIG.JACKPOT.SYMBOL_WEIGHTS;
+        const weights = this.game.probability.getSymbolWeights();
         
         // Start all reels spinning
         for (let i = 0; i < 3; i++) {
@@ -529,14 +637,14 @@ export class JackpotMachine {
         }
         
         // Create spin intervals
-        const spinInterval = setInterval(() => {
+        const spinInterval = this.game.clock.scheduleInterval(() => {
             // Randomize displayed symbols during spin
             for (let i = 0; i < 3; i++) {
                 const randomSymbol = this.getWeightedRandomSymbol(symbols, weights);
                 this.game.ui.stopReel(i, randomSymbol);
                 this.game.ui.startReelSpinning(i);
             }
-        }, 100);
+        }, 0.1);
         
         // Schedule reel stops
         const stopDelays = [
@@ -548,19 +656,21 @@ export class JackpotMachine {
         this.reelResults = [];
         
         stopDelays.forEach((delay, index) => {
-            setTimeout(() => {
+            this.game.clock.schedule(() => {
                 // Clear spinning animation for this reel
-                clearInterval(spinInterval);
+                this.game.clock.cancel(spinInterval);
                 
-                // Get final symbol using GPU noise RNG
-                const finalSymbol = this.getRandomSymbol();
+                // Final symbol was rolled when the spin started
+                const finalSymbol = this.currentSpin.reels[index];
                 this.reelResults[index] = finalSymbol;
                 
                 // Stop reel at final symbol
                 this.game.ui.stopReel(index, this.getSymbolDisplay(finalSymbol));
                 
-                // Play stop sound
-                this.game.audio.playSound('reelStop');
+                this.game.events.emit(GameEvents.JACKPOT_REEL_STOP, {
+                    reel: index,
+                    symbol: finalSymbol
+                });
                 
                 // Check for completion
                 if (index === 2) {
@@ -571,46 +681,27 @@ export class JackpotMachine {
     }
 
     /**
-     * Get weighted random symbol
+     * Get weighted random symbol for the spinning display
+     * Draws from its own stream so display flicker never shifts reel results
      */
     getWeightedRandomSymbol(symbols, weights) {
-        const totalWeight = weights.reduce((a, b) => a + b, 0);
-        let random = Math.random() * totalWeight;
-        
-        for (let i = 0; i < symbols.length; i++) {
-            random -= weights[i];
-            if (random <= 0) {
-                return symbols[i];
-            }
-        }
-        
-        return symbols[0];
+        return this.game.rng.stream(RNG_STREAMS.REEL_DISPLAY).weighted(symbols, weights);
     }
 
     /**
-     * Get random symbol using GPU noise RNG
+     * Reel symbols for a spin's draws, weighted for the current probability state
+     * (a draw picks a symbol the way RNGStream.weighted does)
      */
-    getRandomSymbol() {
+    getReelSymbols(draws) {
         const symbols = CONFIG.JACKPOT.SYMBOLS;
-        const weights = CONFIG.JACKPOT.SYMBOL_WEIGHTS;
+        const weights = this.game.probability.getSymbolWeights();
         const totalWeight = weights.reduce((a, b) => a + b, 0);
         
-        // Use GPU noise RNG with fallback to Math.random()
-        let random;
-        try {
-            random = this.game.getGPUNoiseRNG() * totalWeight;
-        } catch (e) {
-            random = Math.random() * totalWeight;
-        }
-        
-        for (let i = 0; i < symbols.length; i++) {
-            random -= weights[i];
-            if (random <= 0) {
-                return symbols[i];
-            }
-        }
-        
-        return symbols[0];
+        return draws.map(draw => {
+            let remaining = draw * totalWeight;
+            const index = weights.findIndex(weight => (remaining -= weight) <= 0);
+            return symbols[Math.max(index, 0)];
+        });
     }
 
     /**
@@ -639,26 +730,33 @@ export class JackpotMachine {
         // Calculate result
         const result = this.evaluateResult(this.reelResults);
         
+        // Wins open the attacker for its rounds (mega wins for more)
+        if (result.isWin && this.game.table.attacker) {
+            result.attackerRounds = result.isMegaWin ? CONFIG.ATTACKER.MEGA_ROUNDS : CONFIG.ATTACKER.ROUNDS;
+        }
+        
+        // State the machine moves to once the result is paid out
+        result.nextState = this.game.probability.getNextState(result);
+        
         // Display result
         this.displayResult(result);
         
-        // Play appropriate sound
-        if (result.isMegaWin) {
-            this.game.audio.playSound('jackpotWin');
-        } else if (result.isWin) {
-            this.game.audio.playSound('allTargets');
-        }
+        this.game.events.emit(GameEvents.JACKPOT_RESULT, {
+            reels: this.reelResults.slice(),
+            result
+        });
         
         // Notify game after delay
-        setTimeout(() => {
+        this.game.clock.schedule(() => {
             this.game.onJackpotComplete(result);
             this.isSpinning = false;
+            this.currentSpin = null;
             
             // Hide overlay
-            setTimeout(() => {
+            this.game.clock.schedule(() => {
                 this.game.ui.hideJackpotOverlay();
-            }, 1000);
-        }, 2000);
+            }, 1);
+        }, 2);
     }
 
     /**
@@ -675,6 +773,9 @@ export class JackpotMachine {
             points: 0,
             multiplierBonus: 0,
             unlockRapidFire: false,
+            attackerRounds: 0,
+            symbol: null,
+            nextState: null,
             message: ''
         };
         
@@ -685,6 +786,7 @@ export class JackpotMachine {
             result.freeBalls = payouts.TRIPLE_JACKPOT_FREE_BALLS;
             result.points = payouts.TRIPLE_JACKPOT_POINTS;
             result.multiplierBonus = 2;
+            result.symbol = 'JACKPOT';
             result.message = '💎💎💎 MEGA JACKPOT! 💎💎💎';
             return result;
         }
@@ -695,6 +797,7 @@ export class JackpotMachine {
             result.freeBalls = payouts.TRIPLE_BONUS_FREE_BALLS;
             result.points = payouts.TRIPLE_BONUS_POINTS;
             result.unlockRapidFire = true;
+            result.symbol = 'BONUS';
             result.message = '🎁🎁🎁 TRIPLE BONUS! 🎁🎁🎁';
             return result;
         }
@@ -704,6 +807,7 @@ export class JackpotMachine {
             result.isWin = true;
             result.freeBalls = payouts.TRIPLE_FREE_BALL_FREE_BALLS;
             result.points = payouts.TRIPLE_FREE_BALL_POINTS;
+            result.symbol = 'FREE';
             result.message = '🎯🎯🎯 FREE BALL FRENZY! 🎯🎯🎯';
             return result;
         }
@@ -719,6 +823,7 @@ export class JackpotMachine {
             result.isWin = true;
             result.freeBalls = payouts.TRIPLE_MULTIPLIER_FREE_BALLS;
             result.points = this.game.score.currentScore * totalMultiplier;
+            result.symbol = `${Math.max(m1, m2, m3)}x`;
             result.message = `${totalMultiplier}x MULTIPLIER!`;
             
             if (totalMultiplier >= 60) {
@@ -733,6 +838,7 @@ export class JackpotMachine {
             result.isWin = true;
             result.freeBalls = payouts.TWO_JACKPOT_FREE_BALLS;
             result.points = payouts.TWO_JACKPOT_POINTS;
+            result.symbol = 'JACKPOT';
             result.message = '💎⭐💎 TWO JACKPOTS! 💎⭐💎';
             return result;
         }
@@ -753,6 +859,7 @@ export class JackpotMachine {
             result.isWin = true;
             result.freeBalls = payouts.CONSOLATION_FREE_BALLS * 3;
             result.points = payouts.CONSOLATION_POINTS * 2;
+            result.symbol = Object.keys(counts).find(symbol => counts[symbol] === maxMatch);
             result.message = 'TRIPLE MATCH!';
             return result;
         }
@@ -778,6 +885,12 @@ export class JackpotMachine {
         if (result.points > 0) {
             displayText += `\n+${this.formatNumber(result.points)} POINTS`;
         }
+        if (result.attackerRounds > 0) {
+            displayText += `\nATTACKER ${result.attackerRounds} ROUNDS`;
+        }
+        if (result.isWin) {
+            displayText += `\n${result.nextState}!`;
+        }
         
         this.game.ui.showJackpotResult(displayText, result.isWin, result.isMegaWin);
     }
@@ -789,17 +902,47 @@ export class JackpotMachine {
         return num.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ',');
     }
 
+    /**
+     * Payout over: the next reserved spin follows after RESERVED_SPIN_DELAY
+     */
+    onPayoutComplete() {
+        this.autoSpinCountdown = this.reserved.length > 0 ? CONFIG.JACKPOT.RESERVED_SPIN_DELAY : 0;
+    }
+
     /**
      * Reset jackpot machine
      */
     reset() {
-        this.ballsInChute = 0;
+        this.reserved = [];
+        this.currentSpin = null;
         this.isSpinning = false;
         this.autoSpinCountdown = 0;
         this.reelResults = [];
         
-        this.game.ui.updateJackpotCount(0, CONFIG.JACKPOT.THRESHOLD);
+        this.updateReserveLamps();
         this.game.ui.hideJackpotOverlay();
         this.game.ui.hideJackpotCountdown();
     }
+
+    /**
+     * Capture reserved spins and auto-spin countdown
+     * A spin in progress is put back at the front of the queue and plays again with the same draws
+     */
+    snapshot() {
+        const reserved = this.isSpinning ? [this.currentSpin, ...this.reserved] : this.reserved;
+        
+        return {
+            reserved: reserved.map(({ draws, hint }) => ({ draws: draws.slice(), hint })),
+            autoSpinCountdown: this.isSpinning ? 0 : this.autoSpinCountdown
+        };
+    }
+
+    /**
+     * Restore reserved spins (after reset)
+     */
+    restore(snapshot) {
+        this.reserved = snapshot.reserved.map(({ draws, hint }) => ({ draws: draws.slice(), hint }));
+        this.autoSpinCountdown = snapshot.autoSpinCountdown;
+        this.updateReserveLamps();
+    }
 }
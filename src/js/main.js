@@ -10,6 +10,25 @@ import { Game } from './game.js';
 // Global game instance
 let game = null;
 
+/**
+ * Read optional session seed from the URL (?seed=1234)
+ */
+function getSeedFromURL() {
+    const value = new URLSearchParams(window.location.search).get('seed');
+    if (value === null || value === '') return undefined;
+    
+    const seed = Number(value);
+    return Number.isFinite(seed) ? seed : undefined;
+}
+
+/**
+ * Read an optional table layout URL (?table=tables/my-table.json)
+ */
+function getTableFromURL() {
+    const value = new URLSearchParams(window.location.search).get('table');
+    return value || undefined;
+}
+
 /**
  * Initialize the game when DOM is ready
  */
@@ -19,8 +38,8 @@ async function init() {
         const loadingText = document.getElementById('loading-text');
         loadingText.textContent = 'Detecting GPU capabilities...';
 
-        // Create and initialize game
-        game = new Game();
+        // Create and initialize game (?seed=1234 reproduces a session, ?table= picks the layout)
+        game = new Game({ seed: getSeedFromURL(), table: getTableFromURL() });
         await game.init();
 
         // Hide loading screen
@@ -30,6 +49,12 @@ async function init() {
         // Start the game loop
         game.start();
         
+        // Save the session when the tab is hidden or closed so it can be continued
+        window.addEventListener('pagehide', () => game.saveSession(), { signal: game.signal });
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) game.saveSession();
+        }, { signal: game.signal });
+        
         console.log('3D Hybrid Pachinko/Pinball initialized successfully');
     } catch (error) {
         console.error('Failed to initialize game:', error);
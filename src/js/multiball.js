@@ -0,0 +1,443 @@
+/**
+ * Multiball
+ * Saucers (kickout holes) on the upper playfield lock the balls that drop into them.
+ * Locking LOCKS_TO_START balls starts multiball: every locked ball is ejected at once,
+ * drained multiball balls are given back during the ball-save window, and the
+ * saucers kick balls straight back out. During multiball every bumper is lit for a
+ * jackpot; once they are all collected any target scores the super jackpot and the
+ * bumpers relight. Multiball ends when its last ball leaves play.
+ */
+
+import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+import { CONFIG } from './config.js';
+import { GameEvents, ballPayload } from './events.js';
+
+/**
+ * Saucer rim colours per state
+ */
+const SAUCER_COLORS = {
+    lockLit: 0xffaa00,
+    held: 0x00ff66,
+    kickout: 0x00ffff
+};
+
+export class MultiballMode {
+    constructor(game) {
+        this.game = game;
+
+        // Saucers: { index, position, rim, locked }
+        this.saucers = [];
+
+        // Balls waiting to be ejected from a saucer: { saucer, timer }
+        this.pendingEjects = [];
+
+        // Whether multiball is running
+        this.active = false;
+
+        // Ids of multiball balls in play
+        this.balls = new Set();
+
+        // Drained multiball balls are given back until this tick
+        this.saveUntilTick = 0;
+
+        // Jackpot shots: lit bumper indices, and whether the super jackpot is lit on the targets
+        this.litBumpers = new Set();
+        this.superJackpotLit = false;
+        this.jackpots = 0;
+
+        // Shot lamps (rings around bumpers and targets)
+        this.bumperLamps = [];
+        this.targetLamps = [];
+    }
+
+    /**
+     * Create the table's saucers and the jackpot lamps (after the playfield)
+     */
+    create() {
+        this.game.table.saucers.forEach(({ x, y }, index) => this.createSaucer({ x, y }, index));
+
+        const playfield = this.game.playfield;
+        this.bumperLamps = playfield.bumpers.map(bumper =>
+            this.createLamp(bumper.position, CONFIG.PLAYFIELD.BUMPERS.RADIUS + 0.1, 0xffd700));
+        this.targetLamps = playfield.targets.map(target =>
+            this.createLamp(target.position, target.isBonus ? 0.75 : 0.65, 0xff00ff));
+
+        this.subscribeToEvents();
+
+        console.log(`Multiball created with ${this.saucers.length} saucers`);
+    }
+
+    /**
+     * Create a saucer: a dark hole with a state-coloured rim and a trigger volume
+     */
+    createSaucer(position, index) {
+        const radius = CONFIG.MULTIBALL.SAUCER_RADIUS;
+
+        const hole = new THREE.Mesh(
+            new THREE.CircleGeometry(radius, 24),
+            new THREE.MeshStandardMaterial({ color: 0x111111, metalness: 0.2, roughness: 0.9 })
+        );
+        hole.position.set(position.x, position.y, -0.39);
+        this.game.renderer.add(hole);
+
+        const rim = new THREE.Mesh(
+            new THREE.RingGeometry(radius, radius + 0.1, 24),
+            new THREE.MeshStandardMaterial({
+                color: SAUCER_COLORS.lockLit,
+                emissive: SAUCER_COLORS.lockLit,
+                emissiveIntensity: 0.6,
+                metalness: 0.6,
+                roughness: 0.3
+            })
+        );
+        rim.position.set(position.x, position.y, -0.38);
+        this.game.renderer.add(rim);
+
+        const saucer = { index, position, rim, locked: false };
+        this.saucers.push(saucer);
+
+        this.game.physics.createTrigger(
+            new CANNON.Sphere(radius),
+            { x: position.x, y: position.y, z: 0 },
+            { enter: (ballBody) => this.onSaucerEnter(ballBody, saucer) },
+            { userData: { isSaucer: true, index } }
+        );
+    }
+
+    /**
+     * Create a hidden shot lamp ring around a playfield device
+     */
+    createLamp(position, radius, color) {
+        const lamp = new THREE.Mesh(
+            new THREE.RingGeometry(radius, radius + 0.08, 32),
+            new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.9 })
+        );
+        lamp.position.set(position.x, position.y, -0.37);
+        lamp.visible = false;
+        this.game.renderer.add(lamp);
+        return lamp;
+    }
+
+    /**
+     * Subscribe to the shots and drains multiball reacts to
+     */
+    subscribeToEvents() {
+        const events = this.game.events;
+
+        events.on(GameEvents.BUMPER_HIT, ({ index }) => this.onBumperHit(index));
+        events.on(GameEvents.TARGET_HIT, ({ index }) => this.onTargetHit(index));
+        events.on(GameEvents.BALL_DRAIN, (event) => this.onBallDrain(event));
+    }
+
+    /**
+     * Whether a saucer is holding a ball (locked, or about to kick it out)
+     */
+    isHolding(saucer) {
+        return saucer.locked || this.pendingEjects.some(eject => eject.saucer === saucer);
+    }
+
+    /**
+     * Number of locked balls
+     */
+    get lockedCount() {
+        return this.saucers.filter(saucer => saucer.locked).length;
+    }
+
+    /**
+     * Handle a ball dropping into a saucer
+     * The ball is taken out of play and refunded; ejecting it spawns it again
+     */
+    onSaucerEnter(ballBody, saucer) {
+        // A full saucer lets the ball roll over it
+        if (this.isHolding(saucer)) return;
+
+        const payload = ballPayload(ballBody);
+        this.holdBall(ballBody);
+
+        if (this.active) {
+            this.scheduleEject(saucer, CONFIG.MULTIBALL.KICKOUT_DELAY);
+            return;
+        }
+
+        saucer.locked = true;
+        this.updateSaucerLamp(saucer);
+
+        const locked = this.lockedCount;
+        this.game.events.emit(GameEvents.BALL_LOCK, {
+            ...payload,
+            index: saucer.index,
+            locked,
+            needed: CONFIG.MULTIBALL.LOCKS_TO_START
+        });
+
+        if (locked >= CONFIG.MULTIBALL.LOCKS_TO_START) {
+            this.start();
+        }
+    }
+
+    /**
+     * Take a ball out of play and put it back in the inventory
+     */
+    holdBall(ballBody) {
+        const balls = this.game.balls;
+        balls.captureBall(ballBody);
+        balls.totalBalls++;
+        this.game.ui.updateBallCount(balls.totalBalls);
+    }
+
+    /**
+     * Start multiball: eject every locked ball at once and light the jackpots
+     */
+    start() {
+        const settings = CONFIG.MULTIBALL;
+        const clock = this.game.clock;
+
+        this.active = true;
+        this.jackpots = 0;
+        this.saveUntilTick = clock.tick + clock.secondsToTicks(settings.START_DELAY + settings.BALL_SAVE);
+
+        const locked = this.saucers.filter(saucer => saucer.locked);
+        locked.forEach(saucer => {
+            saucer.locked = false;
+            this.scheduleEject(saucer, settings.START_DELAY);
+        });
+
+        this.lightBumperJackpots();
+        this.game.events.emit(GameEvents.MULTIBALL_START, { balls: locked.length });
+    }
+
+    /**
+     * Eject the ball held in a saucer after a delay
+     */
+    scheduleEject(saucer, delay) {
+        const eject = { saucer, timer: null };
+        eject.timer = this.game.clock.schedule(() => {
+            this.pendingEjects.splice(this.pendingEjects.indexOf(eject), 1);
+            this.eject(saucer);
+        }, delay);
+
+        this.pendingEjects.push(eject);
+        this.updateSaucerLamp(saucer);
+    }
+
+    /**
+     * Kick a ball out of a saucer, down the table and away from the nearest wall
+     */
+    eject(saucer) {
+        const { SAUCER_RADIUS, EJECT_SPEED } = CONFIG.MULTIBALL;
+        const { x, y } = saucer.position;
+
+        // Spawn just below the saucer so its trigger doesn't take the ball straight back
+        const ball = this.game.balls.spawnBall(
+            { x, y: y - SAUCER_RADIUS - CONFIG.PHYSICS.BALL.RADIUS - 0.05, z: 0 },
+            { x: -Math.sign(x) * EJECT_SPEED * 0.5, y: -EJECT_SPEED, z: 0 }
+        );
+
+        // No ball when the table is full: it stays in the inventory
+        if (ball && this.active) {
+            this.balls.add(ball.id);
+        }
+
+        this.updateSaucerLamp(saucer);
+    }
+
+    /**
+     * Give back a multiball ball that drains during the ball-save window (not while tilted)
+     * Balls that fall onto the floor drain too (side 'floor'); one not given back is
+     * dropped from the mode here, and update() ends multiball after the last one
+     */
+    onBallDrain(event) {
+        if (!this.active || !this.balls.has(event.ballId)) return;
+        this.balls.delete(event.ballId);
+
+        if (this.game.clock.tick >= this.saveUntilTick || this.game.tilt.isTilted) return;
+
+        // The replacement ejected below is spawned from the inventory, so return the ball there first
+        this.game.balls.totalBalls++;
+        this.game.ui.updateBallCount(this.game.balls.totalBalls);
+
+        // Eject from the saucer with the fewest balls waiting
+        const pending = (saucer) => this.pendingEjects.filter(eject => eject.saucer === saucer).length;
+        const saucer = this.saucers.reduce((best, candidate) => pending(candidate) < pending(best) ? candidate : best);
+        this.scheduleEject(saucer, CONFIG.MULTIBALL.SAVE_EJECT_DELAY);
+
+        this.game.events.emit(GameEvents.BALL_SAVE, {
+            ballId: event.ballId,
+            position: event.position,
+            source: 'multiball'
+        });
+    }
+
+    /**
+     * Collect a lit bumper jackpot; the last one lights the super jackpot
+     */
+    onBumperHit(index) {
+        if (!this.active || !this.litBumpers.has(index) || this.game.tilt.isTilted) return;
+
+        this.litBumpers.delete(index);
+        this.bumperLamps[index].visible = false;
+        this.awardJackpot(index, false, CONFIG.MULTIBALL.JACKPOT_POINTS);
+
+        if (this.litBumpers.size === 0) {
+            this.setSuperJackpotLit(true);
+        }
+    }
+
+    /**
+     * Collect the super jackpot on any target, then relight the bumpers
+     */
+    onTargetHit(index) {
+        if (!this.active || !this.superJackpotLit || this.game.tilt.isTilted) return;
+
+        this.setSuperJackpotLit(false);
+        this.awardJackpot(index, true, CONFIG.MULTIBALL.SUPER_JACKPOT_POINTS);
+        this.lightBumperJackpots();
+    }
+
+    /**
+     * Report a jackpot (scored by the score manager)
+     */
+    awardJackpot(index, isSuper, points) {
+        this.jackpots++;
+        this.game.events.emit(GameEvents.MULTIBALL_JACKPOT, { index, isSuper, points });
+    }
+
+    /**
+     * Light a jackpot on every bumper
+     */
+    lightBumperJackpots() {
+        this.bumperLamps.forEach((lamp, index) => {
+            this.litBumpers.add(index);
+            lamp.visible = true;
+        });
+    }
+
+    /**
+     * Light or unlight the super jackpot on the targets
+     */
+    setSuperJackpotLit(lit) {
+        this.superJackpotLit = lit;
+        this.targetLamps.forEach(lamp => {
+            lamp.visible = lit;
+        });
+    }
+
+    /**
+     * End multiball once its last ball has left play and no saucer is about to eject
+     */
+    update() {
+        if (!this.active) return;
+
+        const inPlay = new Set([...this.game.balls.activeBalls].map(ball => ball.id));
+        for (const id of this.balls) {
+            if (!inPlay.has(id)) this.balls.delete(id);
+        }
+
+        if (this.balls.size === 0 && this.pendingEjects.length === 0) {
+            this.end();
+        }
+    }
+
+    /**
+     * End multiball and unlight its shots
+     */
+    end() {
+        this.active = false;
+        this.saveUntilTick = 0;
+        this.unlightShots();
+        this.saucers.forEach(saucer => this.updateSaucerLamp(saucer));
+
+        this.game.events.emit(GameEvents.MULTIBALL_END, { jackpots: this.jackpots });
+    }
+
+    /**
+     * Turn every shot lamp off
+     */
+    unlightShots() {
+        this.litBumpers.clear();
+        this.bumperLamps.forEach(lamp => {
+            lamp.visible = false;
+        });
+        this.setSuperJackpotLit(false);
+    }
+
+    /**
+     * Colour a saucer rim: holding a ball, kicking out (multiball) or lit for a lock
+     */
+    updateSaucerLamp(saucer) {
+        let color = SAUCER_COLORS.lockLit;
+        if (this.isHolding(saucer)) {
+            color = SAUCER_COLORS.held;
+        } else if (this.active) {
+            color = SAUCER_COLORS.kickout;
+        }
+
+        saucer.rim.material.color.setHex(color);
+        saucer.rim.material.emissive.setHex(color);
+    }
+
+    /**
+     * Reset for a new session (pending ejects were dropped with the clock's timers)
+     */
+    reset() {
+        this.active = false;
+        this.balls.clear();
+        this.pendingEjects = [];
+        this.saveUntilTick = 0;
+        this.jackpots = 0;
+        this.unlightShots();
+
+        this.saucers.forEach(saucer => {
+            saucer.locked = false;
+            this.updateSaucerLamp(saucer);
+        });
+    }
+
+    /**
+     * Capture locks, multiball balls, pending ejects and lit shots
+     */
+    snapshot() {
+        const clock = this.game.clock;
+
+        return {
+            locked: this.saucers.map(saucer => saucer.locked),
+            active: this.active,
+            balls: [...this.balls],
+            saveRemaining: Math.max(0, this.saveUntilTick - clock.tick),
+            pendingEjects: this.pendingEjects.map(eject => ({
+                saucer: eject.saucer.index,
+                remaining: clock.getRemaining(eject.timer)
+            })),
+            litBumpers: [...this.litBumpers],
+            superJackpotLit: this.superJackpotLit,
+            jackpots: this.jackpots
+        };
+    }
+
+    /**
+     * Restore multiball state (after reset, with balls in flight restored)
+     */
+    restore(snapshot) {
+        this.active = snapshot.active;
+        snapshot.balls.forEach(id => this.balls.add(id));
+        this.saveUntilTick = snapshot.saveRemaining > 0 ? this.game.clock.tick + snapshot.saveRemaining : 0;
+        this.jackpots = snapshot.jackpots;
+
+        snapshot.locked.forEach((locked, index) => {
+            if (this.saucers[index]) this.saucers[index].locked = locked;
+        });
+        snapshot.pendingEjects.forEach(({ saucer, remaining }) => {
+            if (this.saucers[saucer]) this.scheduleEject(this.saucers[saucer], remaining);
+        });
+
+        snapshot.litBumpers.forEach(index => {
+            if (!this.bumperLamps[index]) return;
+            this.litBumpers.add(index);
+            this.bumperLamps[index].visible = true;
+        });
+        this.setSuperJackpotLit(snapshot.superJackpotLit);
+
+        this.saucers.forEach(saucer => this.updateSaucerLamp(saucer));
+    }
+}
@@ -0,0 +1,293 @@
+/**
+ * Physics Sync
+ * Shared by the main thread and the physics worker: describes a cannon-es world
+ * as plain data, rebuilds it on the other side, and packs the state of moving
+ * bodies into a Float64Array that is transferred back and forth every step
+ *
+ * cannon-es is passed in (the worker imports it by URL, since import maps don't apply to workers)
+ */
+
+/**
+ * Floats per moving body: position(3) quaternion(4) velocity(3) angularVelocity(3) sleepState(1)
+ */
+export const BODY_STATE_SIZE = 14;
+
+const vec = (v) => [v.x, v.y, v.z];
+const quat = (q) => [q.x, q.y, q.z, q.w];
+
+/**
+ * Describe a shape as plain data
+ */
+function describeShape(CANNON, shape) {
+    const types = CANNON.Shape.types;
+    const base = { collisionResponse: shape.collisionResponse };
+
+    switch (shape.type) {
+        case types.SPHERE:
+            return { ...base, type: 'sphere', radius: shape.radius };
+        case types.BOX:
+            return { ...base, type: 'box', halfExtents: vec(shape.halfExtents) };
+        case types.PLANE:
+            return { ...base, type: 'plane' };
+        case types.CYLINDER:
+            return {
+                ...base,
+                type: 'cylinder',
+                radiusTop: shape.radiusTop,
+                radiusBottom: shape.radiusBottom,
+                height: shape.height,
+                numSegments: shape.numSegments
+            };
+        case types.CONVEXPOLYHEDRON:
+            return {
+                ...base,
+                type: 'convex',
+                vertices: shape.vertices.map(vec),
+                faces: shape.faces.map(face => face.slice())
+            };
+        case types.TRIMESH:
+            return {
+                ...base,
+                type: 'trimesh',
+                vertices: Array.from(shape.vertices),
+                indices: Array.from(shape.indices)
+            };
+        default:
+            throw new Error(`Shape type ${shape.type} can't be sent to the physics worker`);
+    }
+}
+
+/**
+ * Rebuild a shape from its description
+ */
+function buildShape(CANNON, data) {
+    let shape;
+
+    switch (data.type) {
+        case 'sphere':
+            shape = new CANNON.Sphere(data.radius);
+            break;
+        case 'box':
+            shape = new CANNON.Box(new CANNON.Vec3(...data.halfExtents));
+            break;
+        case 'plane':
+            shape = new CANNON.Plane();
+            break;
+        case 'cylinder':
+            shape = new CANNON.Cylinder(data.radiusTop, data.radiusBottom, data.height, data.numSegments);
+            break;
+        case 'convex':
+            shape = new CANNON.ConvexPolyhedron({
+                vertices: data.vertices.map(v => new CANNON.Vec3(...v)),
+                faces: data.faces
+            });
+            break;
+        case 'trimesh':
+            shape = new CANNON.Trimesh(data.vertices, data.indices);
+            break;
+        default:
+            throw new Error(`Unknown shape type ${data.type}`);
+    }
+
+    shape.collisionResponse = data.collisionResponse;
+    return shape;
+}
+
+/**
+ * Describe a body (shapes, mass and material; its moving state is sent separately)
+ */
+export function describeBody(CANNON, body, listens) {
+    return {
+        type: body.type,
+        mass: body.mass,
+        position: vec(body.position),
+        quaternion: quat(body.quaternion),
+        material: body.material ? body.material.name : null,
+        linearDamping: body.linearDamping,
+        angularDamping: body.angularDamping,
+        collisionResponse: body.collisionResponse,
+        isTrigger: body.isTrigger,
+        fixedRotation: body.fixedRotation,
+        allowSleep: body.allowSleep,
+        sleepSpeedLimit: body.sleepSpeedLimit,
+        sleepTimeLimit: body.sleepTimeLimit,
+        collisionFilterGroup: body.collisionFilterGroup,
+        collisionFilterMask: body.collisionFilterMask,
+        shapes: body.shapes.map((shape, i) => ({
+            shape: describeShape(CANNON, shape),
+            offset: vec(body.shapeOffsets[i]),
+            orientation: quat(body.shapeOrientations[i])
+        })),
+        // Whether first contacts must be reported back to the main thread
+        listens
+    };
+}
+
+/**
+ * Rebuild a body from its description
+ */
+export function buildBody(CANNON, data, materials) {
+    const body = new CANNON.Body({
+        mass: data.mass,
+        type: data.type,
+        position: new CANNON.Vec3(...data.position),
+        quaternion: new CANNON.Quaternion(...data.quaternion),
+        material: data.material ? materials.get(data.material) : undefined,
+        linearDamping: data.linearDamping,
+        angularDamping: data.angularDamping,
+        collisionResponse: data.collisionResponse,
+        isTrigger: data.isTrigger,
+        fixedRotation: data.fixedRotation,
+        allowSleep: data.allowSleep,
+        sleepSpeedLimit: data.sleepSpeedLimit,
+        sleepTimeLimit: data.sleepTimeLimit,
+        collisionFilterGroup: data.collisionFilterGroup,
+        collisionFilterMask: data.collisionFilterMask
+    });
+
+    data.shapes.forEach(({ shape, offset, orientation }) => {
+        body.addShape(
+            buildShape(CANNON, shape),
+            new CANNON.Vec3(...offset),
+            new CANNON.Quaternion(...orientation)
+        );
+    });
+
+    return body;
+}
+
+/**
+ * Describe a contact material
+ */
+function describeContactMaterial(contactMaterial) {
+    const [a, b] = contactMaterial.materials;
+    return {
+        materials: [a ? a.name : null, b ? b.name : null],
+        friction: contactMaterial.friction,
+        restitution: contactMaterial.restitution,
+        contactEquationStiffness: contactMaterial.contactEquationStiffness,
+        contactEquationRelaxation: contactMaterial.contactEquationRelaxation,
+        frictionEquationStiffness: contactMaterial.frictionEquationStiffness,
+        frictionEquationRelaxation: contactMaterial.frictionEquationRelaxation
+    };
+}
+
+/**
+ * Describe a whole world
+ * @param {Map} bodyIds - Body -> id, filled in world order
+ * @param {function(Object): boolean} listens - Whether a body's first contacts are reported
+ */
+export function describeWorld(CANNON, world, bodyIds, listens) {
+    const materials = new Map();
+    const addMaterial = (material) => {
+        if (material && !materials.has(material.name)) {
+            materials.set(material.name, { name: material.name, friction: material.friction, restitution: material.restitution });
+        }
+    };
+
+    world.contactmaterials.forEach(contactMaterial => contactMaterial.materials.forEach(addMaterial));
+    world.bodies.forEach(body => addMaterial(body.material));
+
+    const bodies = world.bodies.map(body => {
+        bodyIds.set(body, bodyIds.size);
+        return describeBody(CANNON, body, listens(body));
+    });
+
+    return {
+        gravity: vec(world.gravity),
+        iterations: world.solver.iterations,
+        tolerance: world.solver.tolerance,
+        broadphase: world.broadphase instanceof CANNON.SAPBroadphase ? 'sap' : 'naive',
+        allowSleep: world.allowSleep,
+        materials: [...materials.values()],
+        defaultContactMaterial: describeContactMaterial(world.defaultContactMaterial),
+        contactMaterials: world.contactmaterials.map(describeContactMaterial),
+        bodies
+    };
+}
+
+/**
+ * Rebuild a world from its description
+ * @returns {{world: Object, bodies: Object[], materials: Map}}
+ */
+export function buildWorld(CANNON, data) {
+    const world = new CANNON.World();
+    world.gravity.set(...data.gravity);
+    world.solver.iterations = data.iterations;
+    world.solver.tolerance = data.tolerance;
+    world.broadphase = data.broadphase === 'sap' ? new CANNON.SAPBroadphase(world) : new CANNON.NaiveBroadphase();
+    world.allowSleep = data.allowSleep;
+
+    const materials = new Map();
+    data.materials.forEach(({ name, friction, restitution }) => {
+        const material = new CANNON.Material(name);
+        material.friction = friction;
+        material.restitution = restitution;
+        materials.set(name, material);
+    });
+
+    const applyContactSettings = (contactMaterial, settings) => {
+        contactMaterial.friction = settings.friction;
+        contactMaterial.restitution = settings.restitution;
+        contactMaterial.contactEquationStiffness = settings.contactEquationStiffness;
+        contactMaterial.contactEquationRelaxation = settings.contactEquationRelaxation;
+        contactMaterial.frictionEquationStiffness = settings.frictionEquationStiffness;
+        contactMaterial.frictionEquationRelaxation = settings.frictionEquationRelaxation;
+    };
+
+    applyContactSettings(world.defaultContactMaterial, data.defaultContactMaterial);
+    data.contactMaterials.forEach(settings => {
+        const [a, b] = settings.materials.map(name => materials.get(name));
+        const contactMaterial = new CANNON.ContactMaterial(a, b, {});
+        applyContactSettings(contactMaterial, settings);
+        world.addContactMaterial(contactMaterial);
+    });
+
+    const bodies = data.bodies.map(bodyData => {
+        const body = buildBody(CANNON, bodyData, materials);
+        world.addBody(body);
+        return body;
+    });
+
+    return { world, bodies, materials };
+}
+
+/**
+ * Whether a body moves (its state is exchanged every step)
+ */
+export function isMoving(CANNON, body) {
+    return body.type !== CANNON.Body.STATIC;
+}
+
+/**
+ * Write a body's moving state at an offset
+ */
+export function writeBodyState(array, offset, body) {
+    const { position: p, quaternion: q, velocity: v, angularVelocity: w } = body;
+    array[offset] = p.x;
+    array[offset + 1] = p.y;
+    array[offset + 2] = p.z;
+    array[offset + 3] = q.x;
+    array[offset + 4] = q.y;
+    array[offset + 5] = q.z;
+    array[offset + 6] = q.w;
+    array[offset + 7] = v.x;
+    array[offset + 8] = v.y;
+    array[offset + 9] = v.z;
+    array[offset + 10] = w.x;
+    array[offset + 11] = w.y;
+    array[offset + 12] = w.z;
+    array[offset + 13] = body.sleepState;
+}
+
+/**
+ * Read a body's moving state from an offset
+ */
+export function readBodyState(array, offset, body) {
+    body.position.set(array[offset], array[offset + 1], array[offset + 2]);
+    body.quaternion.set(array[offset + 3], array[offset + 4], array[offset + 5], array[offset + 6]);
+    body.velocity.set(array[offset + 7], array[offset + 8], array[offset + 9]);
+    body.angularVelocity.set(array[offset + 10], array[offset + 11], array[offset + 12]);
+    body.sleepState = array[offset + 13];
+    body.aabbNeedsUpdate = true;
+}
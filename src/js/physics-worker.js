@@ -0,0 +1,114 @@
+/**
+ * Physics Worker
+ * Steps a copy of the cannon-es world off the main thread.
+ * The main thread keeps its bodies as the source of truth for gameplay code:
+ * every step it sends the state of moving bodies, the worker
+ * steps, and sends back the new state plus the first contacts of listening bodies.
+ *
+ * Messages in:  init { cannonUrl, world }, add { id, body }, listen { id }, remove { id },
+ *               step { dt, state }
+ * Messages out: ready, error { message }, step { state, collisions }
+ * (the state buffer is transferred both ways and reused)
+ */
+
+import {
+    BODY_STATE_SIZE,
+    buildWorld,
+    buildBody,
+    isMoving,
+    writeBodyState,
+    readBodyState
+} from './physics-sync.js';
+
+let CANNON = null;
+let world = null;
+let materials = null;
+
+// Body id -> body (ids are assigned by the main thread)
+const bodies = new Map();
+
+// Ids of moving bodies, in state buffer order
+let movingIds = [];
+
+// First contacts reported during the current step: [targetId, otherId, ...]
+let collisions = [];
+
+/**
+ * Report first contacts of a body
+ */
+function listen(id) {
+    bodies.get(id).addEventListener('collide', (event) => {
+        collisions.push(id, event.body.userData.id);
+    });
+}
+
+/**
+ * Add a body under an id
+ */
+function addBody(id, body, listens) {
+    bodies.set(id, body);
+    body.userData = { id };
+
+    if (listens) {
+        listen(id);
+    }
+
+    if (isMoving(CANNON, body)) {
+        movingIds.push(id);
+    }
+}
+
+/**
+ * Build the world from the main thread's description
+ */
+async function init({ cannonUrl, world: description }) {
+    CANNON = await import(cannonUrl);
+
+    const built = buildWorld(CANNON, description);
+    world = built.world;
+    materials = built.materials;
+
+    built.bodies.forEach((body, id) => addBody(id, body, description.bodies[id].listens));
+}
+
+/**
+ * Apply the main thread's state, step once and return the new state
+ */
+function step({ dt, state }) {
+    movingIds.forEach((id, i) => readBodyState(state, i * BODY_STATE_SIZE, bodies.get(id)));
+
+    collisions = [];
+    world.step(dt);
+
+    movingIds.forEach((id, i) => writeBodyState(state, i * BODY_STATE_SIZE, bodies.get(id)));
+
+    self.postMessage({ type: 'step', state, collisions }, [state.buffer]);
+}
+
+self.onmessage = async ({ data }) => {
+    try {
+        switch (data.type) {
+            case 'init':
+                await init(data);
+                self.postMessage({ type: 'ready' });
+                break;
+            case 'add':
+                addBody(data.id, buildBody(CANNON, data.body, materials), data.body.listens);
+                world.addBody(bodies.get(data.id));
+                break;
+            case 'listen':
+                listen(data.id);
+                break;
+            case 'remove':
+                world.removeBody(bodies.get(data.id));
+                bodies.delete(data.id);
+                movingIds = movingIds.filter(id => id !== data.id);
+                break;
+            case 'step':
+                step(data);
+                break;
+        }
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
@@ -6,6 +6,14 @@
 
 import * as CANNON from 'cannon-es';
 import { CONFIG } from './config.js';
+import {
+    BODY_STATE_SIZE,
+    describeWorld,
+    describeBody,
+    isMoving,
+    writeBodyState,
+    readBodyState
+} from './physics-sync.js';
 
 export class Physics {
     constructor(game) {
@@ -15,6 +23,14 @@ export class Physics {
         this.contactMaterials = [];
         this.bodies = [];
         this.debugMode = false;
+        
+        // Collision handlers per body, and first contacts waiting to be dispatched
+        // (handlers run after the step, so worker and main-thread stepping behave the same)
+        this.collisionListeners = new Map();
+        this.pendingCollisions = [];
+        
+        // Physics worker link (null while stepping on the main thread)
+        this.workerLink = null;
     }
 
     /**
@@ -68,24 +84,14 @@ export class Physics {
         const height = CONFIG.PLAYFIELD.HEIGHT;
         const depth = CONFIG.PLAYFIELD.DEPTH;
         
-        // Back wall (behind the playfield)
-        const backWall = this.createBox(
-            { x: width / 2 + 1, y: height / 2 + 1, z: 0.1 },
-            0,
-            { x: 0, y: 0, z: -depth / 2 - 0.1 },
-            null,
-            this.materials.wall
-        );
+        // Back wall (behind the playfield) and front glass (invisible barrier)
+        // Planes, so fast balls can't pass through them between steps as they could through thin boxes
+        const backWall = this.createPlane({ x: 0, y: 0, z: -depth / 2 }, null, this.materials.wall);
+        backWall.userData = { isBackWall: true };
         this.addBody(backWall);
         
-        // Front wall (glass in front of playfield - invisible barrier)
-        const frontWall = this.createBox(
-            { x: width / 2 + 1, y: height / 2 + 1, z: 0.1 },
-            0,
-            { x: 0, y: 0, z: depth / 2 + 0.5 },
-            null,
-            this.materials.wall
-        );
+        const frontWall = this.createPlane({ x: 0, y: 0, z: depth / 2 + 0.4 }, { x: 0, y: Math.PI, z: 0 }, this.materials.wall);
+        frontWall.userData = { isFrontGlass: true };
         this.addBody(frontWall);
         
         // Top containment (above ball entry)
@@ -203,14 +209,98 @@ export class Physics {
     }
 
     /**
-     * Update physics simulation
+     * Advance physics simulation by one fixed tick
+     * Accumulation and catch-up are handled by the simulation clock
      */
     update(deltaTime) {
-        // Fixed timestep with substeps for stability
-        const fixedTimeStep = 1 / 60;
-        const maxSubSteps = CONFIG.PHYSICS.SUBSTEPS;
+        this.world.step(deltaTime);
+        this.dispatchCollisions();
+    }
+
+    /**
+     * Advance one fixed tick in the physics worker
+     * Falls back to main-thread stepping for good if the worker fails
+     * @returns {Promise<boolean>} false if the step was discarded (see discardPendingStep)
+     */
+    async updateAsync(deltaTime) {
+        try {
+            if (!await this.workerLink.step(deltaTime)) return false;
+        } catch (error) {
+            console.warn('Physics worker failed, stepping on the main thread:', error);
+            this.stopWorker();
+            this.world.step(deltaTime);
+        }
+        
+        this.dispatchCollisions();
+        return true;
+    }
+
+    /**
+     * Whether the world is stepped in a worker
+     */
+    get usesWorker() {
+        return this.workerLink !== null;
+    }
+
+    /**
+     * Move stepping to a Web Worker (call once every startup body exists)
+     * Keeps stepping on the main thread when workers are unavailable or the world can't be sent
+     * @returns {Promise<boolean>} Whether the worker is running
+     */
+    async startWorker() {
+        if (!CONFIG.PHYSICS.WORKER.ENABLED || typeof Worker === 'undefined' || typeof import.meta.resolve !== 'function') {
+            return false;
+        }
+        
+        const link = new PhysicsWorkerLink(this);
+        try {
+            await link.start();
+        } catch (error) {
+            console.warn('Physics worker unavailable, stepping on the main thread:', error);
+            link.terminate();
+            return false;
+        }
         
-        this.world.step(fixedTimeStep, deltaTime, maxSubSteps);
+        this.workerLink = link;
+        console.log('Physics stepping in a Web Worker');
+        return true;
+    }
+
+    /**
+     * Go back to stepping on the main thread
+     */
+    stopWorker() {
+        if (this.workerLink) {
+            this.workerLink.terminate();
+            this.workerLink = null;
+        }
+    }
+
+    /**
+     * Drop the result of a worker step still in flight (the session was reset meanwhile)
+     */
+    discardPendingStep() {
+        if (this.workerLink) {
+            this.workerLink.discard();
+        }
+    }
+
+    /**
+     * Run the collision handlers for first contacts of the last step
+     */
+    dispatchCollisions() {
+        const collisions = this.pendingCollisions;
+        this.pendingCollisions = [];
+        
+        for (const [target, other] of collisions) {
+            // Skip contacts with bodies removed by an earlier handler
+            if (!target.world || !other.world) continue;
+            
+            const event = { type: 'collide', target, body: other };
+            for (const callback of this.collisionListeners.get(target)) {
+                callback(event);
+            }
+        }
     }
 
     /**
@@ -300,19 +390,14 @@ export class Physics {
 
     /**
      * Create a trigger volume (sensor)
+     * Volumes are not world bodies: the trigger system tracks balls inside them after each step
+     * @param {Object} shape - CANNON.Sphere or CANNON.Box
+     * @param {Object} position - Volume centre {x, y, z}
+     * @param {Object} handlers - enter/stay/exit callbacks (see triggers.js)
+     * @param {Object} [options] - cooldown, stayTime, rotation, userData
      */
-    createTrigger(shape, position, callback) {
-        const body = new CANNON.Body({
-            mass: 0,
-            shape: shape,
-            position: new CANNON.Vec3(position.x, position.y, position.z),
-            isTrigger: true,
-            collisionResponse: false
-        });
-        
-        body.addEventListener('collide', callback);
-        
-        return body;
+    createTrigger(shape, position, handlers, options = {}) {
+        return this.game.triggers.add(shape, position, handlers, options);
     }
 
     /**
@@ -321,6 +406,10 @@ export class Physics {
     addBody(body) {
         this.world.addBody(body);
         this.bodies.push(body);
+        
+        if (this.workerLink) {
+            this.workerLink.addBody(body);
+        }
         return body;
     }
 
@@ -329,12 +418,29 @@ export class Physics {
      */
     removeBody(body) {
         this.world.removeBody(body);
+        
+        if (this.workerLink) {
+            this.workerLink.removeBody(body);
+        }
+        
         const index = this.bodies.indexOf(body);
         if (index > -1) {
             this.bodies.splice(index, 1);
         }
     }
 
+    /**
+     * Remove every body from the world (game destroyed)
+     */
+    destroy() {
+        this.discardPendingStep();
+        this.stopWorker();
+        this.collisionListeners.clear();
+        this.pendingCollisions = [];
+        [...this.world.bodies].forEach(body => this.world.removeBody(body));
+        this.bodies = [];
+    }
+
     /**
      * Apply impulse to a body
      */
@@ -348,6 +454,15 @@ export class Physics {
         }
     }
 
+    /**
+     * Set a body's speed along a unit direction, keeping its motion across it
+     */
+    setSpeedAlong(body, direction, speed) {
+        const dir = new CANNON.Vec3(direction.x, direction.y, direction.z);
+        const along = body.velocity.dot(dir);
+        body.velocity.vadd(dir.scale(speed - along), body.velocity);
+    }
+
     /**
      * Set body velocity
      */
@@ -378,42 +493,26 @@ export class Physics {
         };
     }
 
-    /**
-     * Create a hinge constraint (for flippers)
-     */
-    createHingeConstraint(bodyA, bodyB, pivotA, pivotB, axisA, axisB) {
-        const constraint = new CANNON.HingeConstraint(bodyA, bodyB, {
-            pivotA: new CANNON.Vec3(pivotA.x, pivotA.y, pivotA.z),
-            pivotB: new CANNON.Vec3(pivotB.x, pivotB.y, pivotB.z),
-            axisA: new CANNON.Vec3(axisA.x, axisA.y, axisA.z),
-            axisB: new CANNON.Vec3(axisB.x, axisB.y, axisB.z)
-        });
-        
-        this.world.addConstraint(constraint);
-        return constraint;
-    }
-
-    /**
-     * Enable motor on hinge constraint
-     */
-    enableMotor(constraint, speed, maxForce) {
-        constraint.enableMotor();
-        constraint.setMotorSpeed(speed);
-        constraint.setMotorMaxForce(maxForce);
-    }
-
-    /**
-     * Disable motor on hinge constraint
-     */
-    disableMotor(constraint) {
-        constraint.disableMotor();
-    }
-
     /**
      * Add collision event listener
+     * The callback receives { type, target, body } for each first contact,
+     * once the step that produced it has finished
      */
     addCollisionListener(body, callback) {
-        body.addEventListener('collide', callback);
+        const listeners = this.collisionListeners.get(body);
+        if (listeners) {
+            listeners.push(callback);
+            return;
+        }
+        
+        this.collisionListeners.set(body, [callback]);
+        body.addEventListener('collide', (event) => {
+            this.pendingCollisions.push([body, event.body]);
+        });
+        
+        if (this.workerLink) {
+            this.workerLink.listen(body);
+        }
     }
 
     /**
@@ -455,3 +554,169 @@ export class Physics {
         body.wakeUp();
     }
 }
+
+/**
+ * Main-thread side of the physics worker (see physics-worker.js)
+ * The main world stays the source of truth: each step sends the state of its
+ * moving bodies, and applies the state the worker sends back
+ */
+class PhysicsWorkerLink {
+    constructor(physics) {
+        this.physics = physics;
+        this.worker = null;
+        
+        // Body <-> worker id
+        this.bodyIds = new Map();
+        this.bodiesById = [];
+        
+        // Moving bodies in state buffer order
+        this.moving = [];
+        
+        // The state buffer comes back from the worker and is reused
+        this.state = null;
+        
+        // Step in flight: { resolve, reject, discarded, moving }
+        this.pending = null;
+    }
+
+    /**
+     * Send the world and wait for the worker to build it
+     */
+    async start() {
+        const world = this.physics.world;
+        const description = describeWorld(CANNON, world, this.bodyIds, body => this.physics.collisionListeners.has(body));
+        
+        this.bodyIds.forEach((id, body) => { this.bodiesById[id] = body; });
+        this.moving = world.bodies.filter(body => isMoving(CANNON, body));
+        
+        this.worker = new Worker(new URL('./physics-worker.js', import.meta.url), { type: 'module' });
+        
+        await new Promise((resolve, reject) => {
+            this.worker.onmessage = ({ data }) => {
+                if (data.type === 'ready') resolve();
+                else reject(new Error(data.message));
+            };
+            this.worker.onerror = (event) => reject(new Error(event.message || 'Physics worker failed to load'));
+            
+            // Import maps don't apply inside workers, so pass the resolved library URL
+            this.worker.postMessage({ type: 'init', cannonUrl: import.meta.resolve('cannon-es'), world: description });
+        });
+        
+        this.worker.onmessage = ({ data }) => this.onMessage(data);
+        this.worker.onerror = (event) => this.fail(new Error(event.message || 'Physics worker error'));
+    }
+
+    /**
+     * Step the worker's world once
+     * @returns {Promise<boolean>} false if the result was discarded
+     */
+    step(dt) {
+        const stateLength = this.moving.length * BODY_STATE_SIZE;
+        const state = this.state && this.state.length === stateLength ? this.state : new Float64Array(stateLength);
+        this.state = null;
+        
+        this.moving.forEach((body, i) => writeBodyState(state, i * BODY_STATE_SIZE, body));
+        
+        return new Promise((resolve, reject) => {
+            this.pending = { resolve, reject, discarded: false, moving: this.moving };
+            this.worker.postMessage({ type: 'step', dt, state }, [state.buffer]);
+        });
+    }
+
+    /**
+     * Apply a finished step, or fail the step in flight
+     */
+    onMessage(data) {
+        if (data.type === 'error') {
+            this.fail(new Error(data.message));
+            return;
+        }
+        if (data.type !== 'step' || !this.pending) return;
+        
+        const { resolve, discarded, moving } = this.pending;
+        this.pending = null;
+        this.state = data.state;
+        
+        if (discarded) {
+            resolve(false);
+            return;
+        }
+        
+        moving.forEach((body, i) => readBodyState(data.state, i * BODY_STATE_SIZE, body));
+        
+        const collisions = data.collisions;
+        for (let i = 0; i < collisions.length; i += 2) {
+            this.physics.pendingCollisions.push([this.bodiesById[collisions[i]], this.bodiesById[collisions[i + 1]]]);
+        }
+        
+        resolve(true);
+    }
+
+    /**
+     * Reject the step in flight (the caller falls back to the main thread)
+     */
+    fail(error) {
+        if (this.pending) {
+            const { resolve, reject, discarded } = this.pending;
+            this.pending = null;
+            if (discarded) resolve(false);
+            else reject(error);
+        }
+    }
+
+    /**
+     * Ignore the result of the step in flight
+     */
+    discard() {
+        if (this.pending) {
+            this.pending.discarded = true;
+        }
+    }
+
+    /**
+     * Send a body added after startup
+     */
+    addBody(body) {
+        const id = this.bodiesById.length;
+        this.bodyIds.set(body, id);
+        this.bodiesById[id] = body;
+        // New arrays, so a step in flight still applies its own buffer layout
+        if (isMoving(CANNON, body)) {
+            this.moving = [...this.moving, body];
+        }
+        
+        this.worker.postMessage({ type: 'add', id, body: describeBody(CANNON, body, this.physics.collisionListeners.has(body)) });
+    }
+
+    /**
+     * Report first contacts of a body that got its first listener after being sent
+     */
+    listen(body) {
+        if (this.bodyIds.has(body)) {
+            this.worker.postMessage({ type: 'listen', id: this.bodyIds.get(body) });
+        }
+    }
+
+    /**
+     * Remove a body from the worker's world
+     */
+    removeBody(body) {
+        const id = this.bodyIds.get(body);
+        if (id === undefined) return;
+        
+        this.bodyIds.delete(body);
+        this.moving = this.moving.filter(b => b !== body);
+        this.worker.postMessage({ type: 'remove', id });
+    }
+
+    /**
+     * Stop the worker
+     */
+    terminate() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.fail(new Error('Physics worker stopped'));
+    }
+}
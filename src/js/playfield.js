@@ -1,12 +1,17 @@
 /**
  * Playfield Module
  * Creates the game board with pegs, bumpers, ramps, walls, and funnel
- * Now includes authentic Pachinko features: V-Pockets, Tulip Gates, Feature Zones
+ * Device positions come from the loaded table layout (see table.js)
+ * Now includes authentic Pachinko features: V-Pockets, Feature Zones (tulip gates are in tulips.js)
  */
 
 import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
 import { CONFIG } from './config.js';
+import { GameEvents, ballPayload } from './events.js';
+import { PEG_MATERIALS, getPegLayout, getRampPoints, getArcSegments, toRadians } from './table.js';
+
+const Z_AXIS = new CANNON.Vec3(0, 0, 1);
 
 export class Playfield {
     constructor(game) {
@@ -21,9 +26,17 @@ export class Playfield {
         
         // New Pachinko features
         this.vPockets = [];
-        this.tulipGates = [];
         this.featureZones = [];
         
+        // Jackpot funnel capture volume (the start pocket, widened by the probability state)
+        this.funnelTrigger = null;
+        
+        // Attacker (big electric tulip opened for rounds by jackpot wins; null when the table has none)
+        this.attacker = null;
+        
+        // Skill-shot lanes on the top arch (lit by the skill shot)
+        this.skillShotLanes = [];
+        
         // Visual meshes
         this.meshes = [];
         
@@ -32,6 +45,13 @@ export class Playfield {
         
         // Target completion tracking
         this.targetsHit = new Set();
+        
+        // Pending target reset after completion (simulation clock id)
+        this.targetResetTimer = null;
+        
+        // Fever mode end timer (simulation clock id) and its multiplier
+        this.feverTimer = null;
+        this.feverMultiplier = 1;
     }
 
     /**
@@ -52,8 +72,8 @@ export class Playfield {
         this.createDrains();
         this.createFloor();
         this.createVPockets();      // Authentic Pachinko V-Pockets
-        this.createTulipGates();    // Mechanical tulip gates
         this.createFeatureZones();  // Special feature zones
+        this.createAttacker();      // Jackpot attacker
         this.createStartPocket();   // Ball entry guide
         
         console.log('Playfield created with tilted surface and ball catcher');
@@ -237,6 +257,49 @@ export class Playfield {
         console.log('Semi-circular top created');
     }
 
+    /**
+     * Create the skill-shot lanes just inside an arc wall
+     * Each lane is a lamp and a trigger turned along the arc; the skill shot lights one
+     */
+    createSkillShotLanes(arch) {
+        const { LANES, ARC_START, ARC_END, ARC_INSET, LANE_HALF_SIZE } = CONFIG.SKILL_SHOT;
+        const radius = arch.radius - ARC_INSET;
+        
+        for (let index = 0; index < LANES; index++) {
+            const angle = Math.PI * (ARC_START + (ARC_END - ARC_START) * index / (LANES - 1));
+            const position = {
+                x: arch.center.x + Math.cos(angle) * radius,
+                y: arch.center.y + Math.sin(angle) * radius
+            };
+            
+            const lamp = new THREE.Mesh(
+                new THREE.CircleGeometry(LANE_HALF_SIZE * 0.6, 16),
+                new THREE.MeshStandardMaterial({
+                    color: 0x333333,
+                    emissive: 0xff00ff,
+                    emissiveIntensity: 0,
+                    metalness: 0.3,
+                    roughness: 0.4
+                })
+            );
+            lamp.position.set(position.x, position.y, -0.38);
+            this.game.renderer.add(lamp);
+            this.meshes.push(lamp);
+            
+            const trigger = this.game.physics.createTrigger(
+                new CANNON.Box(new CANNON.Vec3(LANE_HALF_SIZE, LANE_HALF_SIZE, CONFIG.PLAYFIELD.DEPTH / 2)),
+                { x: position.x, y: position.y, z: 0 },
+                { enter: (ballBody) => this.game.skillShot.onLaneEnter(ballBody, index) },
+                {
+                    rotation: { x: 0, y: 0, z: angle - Math.PI / 2 },
+                    userData: { isSkillShotLane: true, index }
+                }
+            );
+            
+            this.skillShotLanes.push({ index, position, lamp, trigger });
+        }
+    }
+
     /**
      * Create the backboard (playing surface) with procedurally generated background
      * Includes starfield, arcade-style geometric patterns, neon grid lines,
@@ -251,8 +314,9 @@ export class Playfield {
         const loader = new THREE.TextureLoader();
         
         // Visual backboard with generated texture (always generate as fallback)
+        // Headless games have no canvas to draw on
         const geometry = new THREE.PlaneGeometry(width, height);
-        const backgroundTexture = this.generateBackgroundTexture(width, height);
+        const backgroundTexture = this.game.headless ? null : this.generateBackgroundTexture(width, height);
         
         const material = new THREE.MeshStandardMaterial({
             map: backgroundTexture,
@@ -269,18 +333,20 @@ export class Playfield {
         this.backboardMesh = mesh;
         
         // Try to load the SVG background image (will use procedural if loading fails)
-        loader.load(
-            'images/playfield-background.svg',
-            (texture) => {
-                console.log('Loaded background image: images/playfield-background.svg');
-                material.map = texture;
-                material.needsUpdate = true;
-            },
-            undefined,
-            (error) => {
-                console.log('Using procedural background texture (image not found)');
-            }
-        );
+        if (!this.game.headless) {
+            loader.load(
+                'images/playfield-background.svg',
+                (texture) => {
+                    console.log('Loaded background image: images/playfield-background.svg');
+                    material.map = texture;
+                    material.needsUpdate = true;
+                },
+                undefined,
+                (error) => {
+                    console.log('Using procedural background texture (image not found)');
+                }
+            );
+        }
         
         // Add decorative patterns
         this.addBackboardDecorations(width, height);
@@ -814,68 +880,42 @@ export class Playfield {
      * The shape resembles a tombstone/arch with rounded top and straight sides
      */
     createWalls() {
-        const width = CONFIG.PLAYFIELD.WIDTH;
-        const height = CONFIG.PLAYFIELD.HEIGHT;
-        const depth = CONFIG.PLAYFIELD.DEPTH;
-        const wallThickness = 0.3;
-        
         // Wall material
         const material = this.game.renderer.createMaterial(CONFIG.MATERIALS.WALL);
         
-        // Calculate arch dimensions - arch takes up top portion of playfield
-        const archRadius = width / 2; // Radius of the curved top
-        const archCenterY = height / 2 - archRadius; // Y position where arch meets straight walls
-        const straightWallHeight = height / 2 + archCenterY; // Height of the straight portion
-        
-        // Left straight wall (from bottom to where arch begins)
-        this.createWall(
-            { x: -width/2 - wallThickness/2, y: -height/4, z: 0 },
-            { x: wallThickness/2, y: straightWallHeight / 2 + 1, z: depth/2 },
-            material
-        );
-        
-        // Right straight wall (from bottom to where arch begins)
-        this.createWall(
-            { x: width/2 + wallThickness/2, y: -height/4, z: 0 },
-            { x: wallThickness/2, y: straightWallHeight / 2 + 1, z: depth/2 },
-            material
-        );
-        
-        // Create curved arch at top using multiple segments
-        this.createArchWall(archCenterY, archRadius, wallThickness, material);
+        // Side walls, the curved top and the lower guide walls come from the table
+        this.game.table.walls.forEach(wall => {
+            if (wall.type === 'arc') {
+                this.createArchWall(wall, material);
+            } else {
+                this.createWall(
+                    { x: wall.position.x, y: wall.position.y, z: 0 },
+                    wall.halfExtents,
+                    material,
+                    wall.angle ? { x: 0, y: 0, z: toRadians(wall.angle) } : null
+                );
+            }
+        });
         
-        // Add angled walls for ball funneling
-        this.createAngledWalls(material);
+        // Skill-shot lanes run just inside the table's arch
+        const arch = this.game.table.walls.find(wall => wall.type === 'arc');
+        if (arch) {
+            this.createSkillShotLanes(arch);
+        }
     }
     
     /**
-     * Create curved arch wall at top of playfield using segments
+     * Create a curved wall (the arch at the top of the playfield) from box segments
      */
-    createArchWall(centerY, radius, thickness, material) {
-        const numSegments = 16; // Number of segments to approximate the arch
-        const startAngle = 0; // Start from left (pointing right)
-        const endAngle = Math.PI; // End at right (half circle)
-        const depth = CONFIG.PLAYFIELD.DEPTH;
-        // Segment overlap factor to ensure no gaps between wall segments
-        const SEGMENT_OVERLAP_FACTOR = 1.1;
+    createArchWall(wall, material) {
+        const { thickness, halfDepth } = wall;
         
-        for (let i = 0; i < numSegments; i++) {
-            const angle1 = startAngle + (endAngle - startAngle) * (i / numSegments);
-            const angle2 = startAngle + (endAngle - startAngle) * ((i + 1) / numSegments);
-            const midAngle = (angle1 + angle2) / 2;
-            
-            // Calculate position on the arc
-            const x = Math.cos(midAngle) * radius;
-            const y = centerY + Math.sin(midAngle) * radius;
-            
-            // Calculate segment length with overlap to prevent gaps
-            const segmentLength = radius * (angle2 - angle1) * SEGMENT_OVERLAP_FACTOR;
-            
+        getArcSegments(wall).forEach(({ x, y, length, angle }) => {
             // Create wall segment
-            const segmentGeo = new THREE.BoxGeometry(segmentLength, thickness, depth);
+            const segmentGeo = new THREE.BoxGeometry(length, thickness, halfDepth * 2);
             const segmentMesh = new THREE.Mesh(segmentGeo, material);
             segmentMesh.position.set(x, y, 0);
-            segmentMesh.rotation.z = midAngle + Math.PI / 2;
+            segmentMesh.rotation.z = angle;
             segmentMesh.castShadow = true;
             segmentMesh.receiveShadow = true;
             
@@ -883,24 +923,24 @@ export class Playfield {
             this.meshes.push(segmentMesh);
             
             // Physics body for the segment
-            const halfExtents = { x: segmentLength / 2, y: thickness / 2, z: depth / 2 };
+            const halfExtents = { x: length / 2, y: thickness / 2, z: halfDepth };
             const body = this.game.physics.createBox(
                 halfExtents,
                 0,
                 { x, y, z: 0 },
-                { x: 0, y: 0, z: midAngle + Math.PI / 2 },
+                { x: 0, y: 0, z: angle },
                 this.game.physics.materials.wall
             );
             
             this.game.physics.addBody(body);
             this.walls.push({ mesh: segmentMesh, body });
-        }
+        });
     }
 
     /**
-     * Create a single wall
+     * Create a single wall (optionally turned about the playfield normal)
      */
-    createWall(position, halfExtents, material) {
+    createWall(position, halfExtents, material, rotation = null) {
         // Visual mesh
         const geometry = new THREE.BoxGeometry(
             halfExtents.x * 2,
@@ -909,6 +949,9 @@ export class Playfield {
         );
         const mesh = new THREE.Mesh(geometry, material);
         mesh.position.set(position.x, position.y, position.z);
+        if (rotation) {
+            mesh.rotation.z = rotation.z;
+        }
         mesh.castShadow = true;
         mesh.receiveShadow = true;
         
@@ -920,7 +963,7 @@ export class Playfield {
             halfExtents,
             0, // Static
             position,
-            null,
+            rotation,
             this.game.physics.materials.wall
         );
         
@@ -928,47 +971,6 @@ export class Playfield {
         this.walls.push({ mesh, body });
     }
 
-    /**
-     * Create angled walls for U-shape
-     */
-    createAngledWalls(material) {
-        const width = CONFIG.PLAYFIELD.WIDTH;
-        
-        // Lower left angled wall (guides toward center)
-        const leftAnglePos = { x: -4, y: -6, z: 0 };
-        const leftAngleHalf = { x: 1.5, y: 0.15, z: 0.5 };
-        const leftAngleRot = { x: 0, y: 0, z: Math.PI / 6 };
-        
-        const leftAngleGeo = new THREE.BoxGeometry(3, 0.3, 1);
-        const leftAngleMesh = new THREE.Mesh(leftAngleGeo, material);
-        leftAngleMesh.position.set(leftAnglePos.x, leftAnglePos.y, leftAnglePos.z);
-        leftAngleMesh.rotation.z = leftAngleRot.z;
-        leftAngleMesh.castShadow = true;
-        this.game.renderer.add(leftAngleMesh);
-        
-        const leftAngleBody = this.game.physics.createBox(
-            leftAngleHalf, 0, leftAnglePos, leftAngleRot,
-            this.game.physics.materials.wall
-        );
-        this.game.physics.addBody(leftAngleBody);
-        
-        // Lower right angled wall
-        const rightAnglePos = { x: 4, y: -6, z: 0 };
-        const rightAngleRot = { x: 0, y: 0, z: -Math.PI / 6 };
-        
-        const rightAngleMesh = new THREE.Mesh(leftAngleGeo, material);
-        rightAngleMesh.position.set(rightAnglePos.x, rightAnglePos.y, rightAnglePos.z);
-        rightAngleMesh.rotation.z = rightAngleRot.z;
-        rightAngleMesh.castShadow = true;
-        this.game.renderer.add(rightAngleMesh);
-        
-        const rightAngleBody = this.game.physics.createBox(
-            leftAngleHalf, 0, rightAnglePos, rightAngleRot,
-            this.game.physics.materials.wall
-        );
-        this.game.physics.addBody(rightAngleBody);
-    }
-
     /**
      * Create peg field - Authentic Pachinko layout (Requirement #10)
      * Based on reference: https://vintagepachinko.wordpress.com/wp-content/uploads/2010/11/heiwa-vp0137-01.jpg
@@ -977,317 +979,25 @@ export class Playfield {
      * - Feature pockets and bumper areas with clear zones
      * - Diagonal guide lines leading to pockets
      * - Decreasing density toward the bottom
+     * The pins themselves are the table's peg patterns and single pegs
      */
     createPegs() {
-        const cfg = CONFIG.PLAYFIELD.PEGS;
-        const width = CONFIG.PLAYFIELD.WIDTH;
-        const height = CONFIG.PLAYFIELD.HEIGHT;
-        
-        // Silver pins (like reference image)
-        const silverMaterial = this.game.renderer.createMaterial({
-            ...CONFIG.MATERIALS.PEG,
-            color: 0xC0C0C0, // Silver
-            metalness: 0.9,
-            roughness: 0.15
-        });
-        
-        // Gold accent pins for rails/guides
-        const goldMaterial = this.game.renderer.createMaterial({
-            ...CONFIG.MATERIALS.PEG,
-            color: 0xD4A84B, // Gold
-            metalness: 0.85,
-            roughness: 0.2
+        // One material per peg finish the table uses (silver pins, gold guides, red highlights)
+        const materials = {};
+        Object.entries(PEG_MATERIALS).forEach(([name, finish]) => {
+            materials[name] = this.game.renderer.createMaterial({
+                ...CONFIG.MATERIALS.PEG,
+                ...finish
+            });
         });
         
-        // Red accent pins (feature highlights)
-        const redMaterial = this.game.renderer.createMaterial({
-            ...CONFIG.MATERIALS.PEG,
-            color: 0xff3333,
-            metalness: 0.6,
-            roughness: 0.3,
-            emissive: 0x660000,
-            emissiveIntensity: 0.3
+        // Generated patterns (clear of the devices' keep-out zones), then single pegs
+        getPegLayout(this.game.table).forEach(({ x, y, material }) => {
+            this.createPeg({ x, y, z: 0 }, materials[material]);
         });
         
-        // Skip zones for slot machine, bumpers, and pockets
-        const SKIP_ZONES = {
-            // Central slot machine area
-            SLOT_MACHINE: { 
-                xMin: -2.2, 
-                xMax: 2.2, 
-                yMin: -1.8, 
-                yMax: 1.8 
-            },
-            // Bumper positions
-            BUMPERS: [
-                { x: -3, y: 4, radius: 0.8 },
-                { x: 3, y: 4, radius: 0.8 },
-                { x: 0, y: 4.5, radius: 0.6 }
-            ],
-            // V-Pocket catchment areas
-            V_POCKETS: [
-                { x: -3, y: -2, radius: 0.7 },
-                { x: 0, y: -1.5, radius: 0.9 },
-                { x: 3, y: -2, radius: 0.7 }
-            ],
-            // Ramp entrances
-            RAMPS: [
-                { x: -4.5, y: -4, radius: 1.0 },
-                { x: 4.5, y: -4, radius: 1.0 }
-            ]
-        };
-        
-        // === AUTHENTIC PACHINKO LAYOUT (Requirement #10) ===
-        // Based on vintage Pachinko reference image
-        
-        // 1. Top entry distribution arc
-        this.createPegArc(0, height/2 - 1.5, 4, 12, silverMaterial);
-        this.createPegArc(0, height/2 - 2.2, 3.5, 10, goldMaterial);
-        
-        // 2. Upper play area - dense staggered pattern
-        this.createAuthenticPegZone(
-            -width/2 + 1, width/2 - 1,
-            height/2 - 3, 3,
-            0.55, 0.65,
-            silverMaterial, SKIP_ZONES
-        );
-        
-        // 3. Middle feature area - around bumpers with gaps
-        this.createAuthenticPegZone(
-            -width/2 + 1, width/2 - 1,
-            2.5, -0.5,
-            0.6, 0.7,
-            silverMaterial, SKIP_ZONES
-        );
-        
-        // 4. Central jackpot area - sparse pins around machine
-        this.createJackpotAreaPins(goldMaterial, SKIP_ZONES);
-        
-        // 5. Lower collection area - diagonal guides
-        this.createLowerGuidePins(goldMaterial, silverMaterial, SKIP_ZONES);
-        
-        // 6. Diamond pattern around bumpers (vintage style)
-        this.createDiamondPattern(-3, 4, 1.5, silverMaterial);
-        this.createDiamondPattern(3, 4, 1.5, silverMaterial);
-        
-        // 7. Highlight pins (red accents at key positions)
-        this.createHighlightPins(redMaterial);
-        
         console.log(`Created ${this.pegs.length} pins in authentic Pachinko layout`);
     }
-    
-    /**
-     * Create an arc of pegs (for top distribution)
-     */
-    createPegArc(centerX, centerY, radius, numPegs, material) {
-        const startAngle = Math.PI * 0.15;
-        const endAngle = Math.PI * 0.85;
-        const angleStep = (endAngle - startAngle) / (numPegs - 1);
-        
-        for (let i = 0; i < numPegs; i++) {
-            const angle = startAngle + i * angleStep;
-            const x = centerX + Math.cos(angle) * radius;
-            const y = centerY + Math.sin(angle) * (radius * 0.25);
-            this.createPeg({ x, y, z: 0 }, material);
-        }
-    }
-    
-    /**
-     * Create authentic Pachinko peg zone with staggered rows
-     */
-    createAuthenticPegZone(xMin, xMax, yMax, yMin, hSpacing, vSpacing, material, skipZones) {
-        let row = 0;
-        for (let y = yMax; y > yMin; y -= vSpacing) {
-            const isStaggered = row % 2 === 1;
-            const offset = isStaggered ? hSpacing / 2 : 0;
-            
-            const zoneWidth = xMax - xMin;
-            const numPegs = Math.floor(zoneWidth / hSpacing);
-            
-            for (let i = 0; i < numPegs; i++) {
-                const x = xMin + offset + i * hSpacing;
-                
-                if (this.shouldSkipPeg(x, y, skipZones)) continue;
-                
-                this.createPeg({ x, y, z: 0 }, material);
-            }
-            row++;
-        }
-    }
-    
-    /**
-     * Create pins around the jackpot machine area
-     */
-    createJackpotAreaPins(material, skipZones) {
-        // Pins forming a frame around the jackpot
-        const framePositions = [];
-        
-        // Top of jackpot
-        for (let x = -2.5; x <= 2.5; x += 0.6) {
-            framePositions.push({ x, y: 2.2 });
-        }
-        
-        // Bottom of jackpot
-        for (let x = -2.5; x <= 2.5; x += 0.6) {
-            framePositions.push({ x, y: -2.2 });
-        }
-        
-        // Left side
-        for (let y = -2; y <= 2; y += 0.6) {
-            framePositions.push({ x: -2.5, y });
-        }
-        
-        // Right side
-        for (let y = -2; y <= 2; y += 0.6) {
-            framePositions.push({ x: 2.5, y });
-        }
-        
-        framePositions.forEach(pos => {
-            if (!this.shouldSkipPeg(pos.x, pos.y, skipZones)) {
-                this.createPeg({ x: pos.x, y: pos.y, z: 0 }, material);
-            }
-        });
-    }
-    
-    /**
-     * Create lower guide pins leading to pockets
-     */
-    createLowerGuidePins(goldMaterial, silverMaterial, skipZones) {
-        // Left diagonal guide
-        for (let i = 0; i < 8; i++) {
-            const t = i / 7;
-            const x = -5 + t * 2;
-            const y = -1 - t * 4;
-            if (!this.shouldSkipPeg(x, y, skipZones)) {
-                this.createPeg({ x, y, z: 0 }, goldMaterial);
-            }
-        }
-        
-        // Right diagonal guide
-        for (let i = 0; i < 8; i++) {
-            const t = i / 7;
-            const x = 5 - t * 2;
-            const y = -1 - t * 4;
-            if (!this.shouldSkipPeg(x, y, skipZones)) {
-                this.createPeg({ x, y, z: 0 }, goldMaterial);
-            }
-        }
-        
-        // Center guides leading to jackpot pocket
-        for (let i = 0; i < 5; i++) {
-            const t = i / 4;
-            this.createPeg({ x: -1.5 - t * 0.5, y: -2.5 - t * 2, z: 0 }, goldMaterial);
-            this.createPeg({ x: 1.5 + t * 0.5, y: -2.5 - t * 2, z: 0 }, goldMaterial);
-        }
-        
-        // Additional silver pins in lower area
-        for (let y = -3; y > -5.5; y -= 0.7) {
-            for (let x = -4; x <= 4; x += 0.65) {
-                if (!this.shouldSkipPeg(x, y, skipZones)) {
-                    this.createPeg({ x, y, z: 0 }, silverMaterial);
-                }
-            }
-        }
-    }
-    
-    /**
-     * Create diamond pattern of pins around a point (vintage Pachinko style)
-     */
-    createDiamondPattern(centerX, centerY, size, material) {
-        const offsets = [
-            { x: 0, y: size },
-            { x: size, y: 0 },
-            { x: 0, y: -size },
-            { x: -size, y: 0 },
-            { x: size * 0.7, y: size * 0.7 },
-            { x: size * 0.7, y: -size * 0.7 },
-            { x: -size * 0.7, y: size * 0.7 },
-            { x: -size * 0.7, y: -size * 0.7 }
-        ];
-        
-        offsets.forEach(offset => {
-            this.createPeg({ 
-                x: centerX + offset.x, 
-                y: centerY + offset.y, 
-                z: 0 
-            }, material);
-        });
-    }
-    
-    /**
-     * Create highlight pins at key positions (red accents)
-     */
-    createHighlightPins(material) {
-        const positions = [
-            // Top entry points
-            { x: -4, y: 6 },
-            { x: 4, y: 6 },
-            // Feature zone markers
-            { x: -5.5, y: 3 },
-            { x: 5.5, y: 3 },
-            // Bottom pocket indicators
-            { x: -3, y: -5.5 },
-            { x: 0, y: -5 },
-            { x: 3, y: -5.5 }
-        ];
-        
-        positions.forEach(pos => {
-            this.createPeg({ x: pos.x, y: pos.y, z: 0 }, material);
-        });
-    }
-    
-    /**
-     * Check if a peg position should be skipped
-     */
-    shouldSkipPeg(x, y, skipZones) {
-        // Check slot machine area
-        if (x >= skipZones.SLOT_MACHINE.xMin && 
-            x <= skipZones.SLOT_MACHINE.xMax &&
-            y >= skipZones.SLOT_MACHINE.yMin && 
-            y <= skipZones.SLOT_MACHINE.yMax) {
-            return true;
-        }
-        
-        // Check bumper zones
-        for (const bz of skipZones.BUMPERS) {
-            const dist = Math.sqrt(Math.pow(x - bz.x, 2) + Math.pow(y - bz.y, 2));
-            if (dist < bz.radius) return true;
-        }
-        
-        // Check V-pocket zones
-        for (const vp of skipZones.V_POCKETS) {
-            const dist = Math.sqrt(Math.pow(x - vp.x, 2) + Math.pow(y - vp.y, 2));
-            if (dist < vp.radius) return true;
-        }
-        
-        // Check ramp zones
-        for (const ramp of skipZones.RAMPS) {
-            const dist = Math.sqrt(Math.pow(x - ramp.x, 2) + Math.pow(y - ramp.y, 2));
-            if (dist < ramp.radius) return true;
-        }
-        
-        // Check outer bounds
-        const width = CONFIG.PLAYFIELD.WIDTH;
-        if (Math.abs(x) > width / 2 - 0.8) return true;
-        
-        return false;
-    }
-
-    /**
-     * Create curved arch of pegs at top
-     */
-    createCurvedPegArch(centerY, radius, numPegs, material) {
-        const startAngle = Math.PI * 0.15;
-        const endAngle = Math.PI * 0.85;
-        const angleStep = (endAngle - startAngle) / (numPegs - 1);
-        
-        for (let i = 0; i < numPegs; i++) {
-            const angle = startAngle + i * angleStep;
-            const x = Math.cos(angle) * radius;
-            const y = centerY + Math.sin(angle) * (radius * 0.2);
-            this.createPeg({ x, y, z: 0 }, material);
-        }
-    }
 
     /**
      * Create a single peg (silver pin) - positioned at the back playing surface (Requirement #4)
@@ -1323,7 +1033,7 @@ export class Playfield {
         );
         
         // Add collision callback
-        body.addEventListener('collide', (e) => {
+        this.game.physics.addCollisionListener(body, (e) => {
             this.onPegHit(e, mesh, bodyPosition);
         });
         
@@ -1331,6 +1041,13 @@ export class Playfield {
         this.pegs.push({ mesh, body, position: bodyPosition });
     }
 
+    /**
+     * Emit a gameplay event for a ball, stamped with its id and position
+     */
+    emitBallEvent(type, ballBody, payload = {}) {
+        return this.game.events.emit(type, { ...ballPayload(ballBody), ...payload });
+    }
+
     /**
      * Handle peg collision with LED lighting effect
      */
@@ -1338,11 +1055,8 @@ export class Playfield {
         // Check if collision is with a ball
         const otherBody = event.body;
         if (otherBody.userData && otherBody.userData.isBall) {
-            // Add score
-            this.game.score.addPegHit();
-            
-            // Play sound
-            this.game.audio.playSound('peg', 0.3);
+            // Scoring, sound and LEDs react to the event
+            this.emitBallEvent(GameEvents.PEG_HIT, otherBody, { pegPosition: position });
             
             // Visual flash effect with LED glow
             const originalColor = mesh.material.color.getHex();
@@ -1350,16 +1064,11 @@ export class Playfield {
             mesh.material.emissive.setHex(0xffff00);
             mesh.material.emissiveIntensity = 1.5;
             
-            // Flash nearby LED
-            if (this.game.renderer.flashLED) {
-                this.game.renderer.flashLED(position.x, position.y, 0xffff00);
-            }
-            
-            setTimeout(() => {
+            this.game.clock.scheduleEffect(() => {
                 mesh.material.color.setHex(originalColor);
                 mesh.material.emissive.setHex(0x000000);
                 mesh.material.emissiveIntensity = 0;
-            }, 80);
+            }, 0.08);
         }
     }
 
@@ -1367,20 +1076,8 @@ export class Playfield {
      * Create pop bumpers
      */
     createBumpers() {
-        const cfg = CONFIG.PLAYFIELD.BUMPERS;
-        
-        // Bumper positions (6 bumpers symmetrically placed)
-        const positions = [
-            { x: -3, y: 3, z: 0 },
-            { x: 0, y: 4, z: 0 },
-            { x: 3, y: 3, z: 0 },
-            { x: -2, y: 1, z: 0 },
-            { x: 2, y: 1, z: 0 },
-            { x: 0, y: 2, z: 0 }
-        ];
-        
-        positions.forEach((pos, index) => {
-            this.createBumper(pos, index);
+        this.game.table.bumpers.forEach(({ x, y }, index) => {
+            this.createBumper({ x, y, z: 0 }, index);
         });
         
         console.log(`Created ${this.bumpers.length} bumpers`);
@@ -1418,13 +1115,13 @@ export class Playfield {
         body.userData = { isBumper: true, index };
         
         // Add collision callback
-        body.addEventListener('collide', (e) => {
+        this.game.physics.addCollisionListener(body, (e) => {
             this.onBumperHit(e, mesh, body, index);
         });
         
         this.game.physics.addBody(body);
         this.bumpers.push({ mesh, body, position, index });
-        this.bumperCooldowns.set(index, 0);
+        this.bumperCooldowns.set(index, -Infinity);
     }
 
     /**
@@ -1434,67 +1131,43 @@ export class Playfield {
         const otherBody = event.body;
         if (!otherBody.userData || !otherBody.userData.isBall) return;
         
-        // Check cooldown
-        const now = performance.now();
-        const lastHit = this.bumperCooldowns.get(index) || 0;
-        if (now - lastHit < CONFIG.PLAYFIELD.BUMPERS.COOLDOWN * 1000) return;
+        // Check cooldown (simulation time)
+        const now = this.game.clock.time;
+        const lastHit = this.bumperCooldowns.get(index);
+        if (now - lastHit < CONFIG.PLAYFIELD.BUMPERS.COOLDOWN) return;
         
         this.bumperCooldowns.set(index, now);
         
-        // Apply impulse to ball
-        const impulse = CONFIG.PLAYFIELD.BUMPERS.IMPULSE;
+        // Kick the ball straight out from the bumper. Handlers run after the step, when the
+        // solver has already bounced the ball off, so the kick replaces that bounce
         const direction = new THREE.Vector3(
             otherBody.position.x - body.position.x,
             otherBody.position.y - body.position.y,
             0
         ).normalize();
         
-        this.game.physics.applyImpulse(otherBody, {
-            x: direction.x * impulse,
-            y: direction.y * impulse,
-            z: direction.z * impulse * 0.5
-        });
+        this.game.physics.setSpeedAlong(otherBody, direction, CONFIG.PLAYFIELD.BUMPERS.KICK_SPEED);
         
-        // Add score
-        this.game.score.addBumperHit();
-        
-        // Play sound
-        this.game.audio.playSound('bumper');
+        this.emitBallEvent(GameEvents.BUMPER_HIT, otherBody, { index });
         
         // Visual effect
         const originalEmissive = mesh.material.emissive.getHex();
         mesh.material.emissive.setHex(CONFIG.MATERIALS.BUMPER_HIT.emissive);
         mesh.material.emissiveIntensity = 2;
         
-        setTimeout(() => {
+        this.game.clock.scheduleEffect(() => {
             mesh.material.emissive.setHex(originalEmissive);
             mesh.material.emissiveIntensity = 1;
-        }, 200);
+        }, 0.2);
     }
 
     /**
      * Create targets
      */
     createTargets() {
-        // Standard targets (3x)
-        const standardPositions = [
-            { x: -4, y: 0, z: 0 },
-            { x: 0, y: -1, z: 0 },
-            { x: 4, y: 0, z: 0 }
-        ];
-        
-        standardPositions.forEach((pos, i) => {
-            this.createTarget(pos, i, false);
-        });
-        
-        // Bonus targets (2x)
-        const bonusPositions = [
-            { x: -2, y: -4, z: 0 },
-            { x: 2, y: -4, z: 0 }
-        ];
-        
-        bonusPositions.forEach((pos, i) => {
-            this.createTarget(pos, i + 3, true);
+        // Standard and bonus targets, numbered in table order
+        this.game.table.targets.forEach(({ x, y, bonus }, index) => {
+            this.createTarget({ x, y, z: 0 }, index, bonus);
         });
         
         console.log(`Created ${this.targets.length} targets`);
@@ -1522,66 +1195,58 @@ export class Playfield {
         this.game.renderer.add(mesh);
         this.meshes.push(mesh);
         
-        // Physics body (trigger)
-        const shape = new CANNON.Sphere(size);
-        const body = new CANNON.Body({
-            mass: 0,
-            shape: shape,
-            position: new CANNON.Vec3(position.x, position.y, position.z),
-            collisionResponse: false
-        });
-        
-        body.userData = { isTarget: true, index, isBonus };
-        
-        body.addEventListener('collide', (e) => {
-            this.onTargetHit(e, mesh, index, isBonus);
-        });
+        // Trigger volume
+        const trigger = this.game.physics.createTrigger(
+            new CANNON.Sphere(size),
+            position,
+            { enter: (ballBody) => this.onTargetHit(ballBody, mesh, index, isBonus) },
+            { userData: { isTarget: true, index, isBonus } }
+        );
         
-        this.game.physics.addBody(body);
-        this.targets.push({ mesh, body, position, index, isBonus, hit: false });
+        this.targets.push({ mesh, trigger, position, index, isBonus, hit: false });
     }
 
     /**
      * Handle target hit
      */
-    onTargetHit(event, mesh, index, isBonus) {
-        const otherBody = event.body;
-        if (!otherBody.userData || !otherBody.userData.isBall) return;
-        
+    onTargetHit(otherBody, mesh, index, isBonus) {
         // Check if already hit
         if (this.targetsHit.has(index)) return;
         this.targetsHit.add(index);
         
-        // Add score
-        this.game.score.addTargetHit(isBonus);
-        
-        // Play sound
-        this.game.audio.playSound('target');
+        this.emitBallEvent(GameEvents.TARGET_HIT, otherBody, { index, isBonus });
         
         // Visual effect - target lights up
         mesh.material.emissiveIntensity = 1;
         
         // Check if all targets complete
         if (this.targetsHit.size >= this.targets.length) {
-            this.onAllTargetsComplete();
+            this.onAllTargetsComplete(otherBody);
         }
     }
 
     /**
      * Handle all targets complete
      */
-    onAllTargetsComplete() {
-        this.game.score.addAllTargetsComplete();
+    onAllTargetsComplete(ballBody) {
+        this.emitBallEvent(GameEvents.TARGETS_COMPLETE, ballBody);
         this.game.cannon.enableRapidFire();
-        this.game.audio.playSound('allTargets');
         
         // Award bonus balls
         this.game.balls.addBalls(CONFIG.PLAYFIELD.TARGETS.FREE_BALLS_ON_COMPLETE);
         
         // Reset targets after delay
-        setTimeout(() => {
+        this.scheduleTargetReset(3);
+    }
+
+    /**
+     * Schedule the post-completion target reset
+     */
+    scheduleTargetReset(delay) {
+        this.targetResetTimer = this.game.clock.schedule(() => {
+            this.targetResetTimer = null;
             this.resetTargets();
-        }, 3000);
+        }, delay);
     }
 
     /**
@@ -1599,11 +1264,10 @@ export class Playfield {
      * Create ramps - Requirement #9: Add ramps inline with flippers for balls to return to top
      */
     createRamps() {
-        // Left return ramp - aligned with left flipper direction
-        this.createReturnRamp('left');
-        
-        // Right return ramp - aligned with right flipper direction
-        this.createReturnRamp('right');
+        // Return ramps (the default table aligns them with the flippers)
+        this.game.table.ramps.forEach(ramp => {
+            this.createReturnRamp(ramp);
+        });
         
         console.log(`Created ${this.ramps.length} return ramps`);
     }
@@ -1611,36 +1275,22 @@ export class Playfield {
     /**
      * Create a return ramp that provides lift for balls (shorter ramp - balls propelled through air)
      */
-    createReturnRamp(side) {
+    createReturnRamp(rampData) {
+        const side = rampData.side;
         const isLeft = side === 'left';
         
-        // Ramp position aligned with flipper hitting direction
-        const flipperX = isLeft ? CONFIG.FLIPPERS.LEFT.POSITION.x : CONFIG.FLIPPERS.RIGHT.POSITION.x;
-        const flipperY = CONFIG.FLIPPERS.LEFT.POSITION.y;
-        
         // Ramp entrance positioned where flippers would hit balls
-        const entranceX = isLeft ? flipperX + 2 : flipperX - 2;
-        const entranceY = flipperY + 1;
+        const entranceX = rampData.entrance.x;
+        const entranceY = rampData.entrance.y;
         
-        // Create SHORT curved ramp using fewer segments - only provides lift
+        // Create SHORT ramp using few segments - only provides lift
         // Balls are propelled through the air to the top
-        const rampWidth = 0.8;
+        const rampWidth = rampData.width;
         const rampHeight = 0.15;
-        const numSegments = 3; // Reduced from 8 to 3 for shorter ramp
+        const numSegments = rampData.segments;
         
-        // Calculate short ramp path - only provides initial lift
-        const rampPoints = [];
-        for (let i = 0; i <= numSegments; i++) {
-            const t = i / numSegments;
-            
-            // Short ramp - only goes up about 20% of playfield height (instead of 70%)
-            // The steeper angle propels balls through the air to the top
-            const x = entranceX + (isLeft ? 1 : -1) * t * (CONFIG.PLAYFIELD.WIDTH / 12);
-            const y = entranceY + t * (CONFIG.PLAYFIELD.HEIGHT * 0.2);
-            const z = 0.1 + t * 0.5; // Steeper rise for better lift
-            
-            rampPoints.push({ x, y, z });
-        }
+        // Short, steep ramp path from the entrance up to the exit
+        const rampPoints = getRampPoints(rampData);
         
         // Ramp material - metallic with LED glow
         const rampMaterial = new THREE.MeshStandardMaterial({
@@ -1702,7 +1352,82 @@ export class Playfield {
         // Add ramp exit at top
         this.createRampExit(rampPoints[numSegments], isLeft);
         
-        this.ramps.push({ side, points: rampPoints });
+        // Direction up the ramp on the playfield plane (to tell a ball rolling back out)
+        const run = Math.hypot(rampPoints[1].x - entranceX, rampPoints[1].y - entranceY);
+        const ramp = {
+            side,
+            points: rampPoints,
+            direction: {
+                x: (rampPoints[1].x - entranceX) / run,
+                y: (rampPoints[1].y - entranceY) / run
+            },
+            // Ball id -> { stage, startTick, timer } for balls on their way up
+            traversals: new Map()
+        };
+        this.ramps.push(ramp);
+        
+        this.createRampCheckpoints(ramp, rampWidth);
+    }
+    
+    /**
+     * Create entry, mid and exit checkpoints along a ramp
+     * A completion counts only when one ball passes all three in order within the traversal window
+     */
+    createRampCheckpoints(ramp, rampWidth) {
+        const physics = this.game.physics;
+        const points = ramp.points;
+        const last = points.length - 1;
+        
+        // Box over the ramp surface around a point, aligned with the segment it lies on
+        const checkpoint = (from, to, t) => {
+            const dx = to.x - from.x;
+            const dy = to.y - from.y;
+            const dz = to.z - from.z;
+            return {
+                position: {
+                    x: from.x + dx * t,
+                    y: from.y + dy * t,
+                    z: from.z + dz * t + 0.15
+                },
+                rotation: {
+                    x: Math.atan2(dz, Math.hypot(dx, dy)),
+                    y: 0,
+                    z: -Math.atan2(dx, dy)
+                }
+            };
+        };
+        const shape = () => new CANNON.Box(new CANNON.Vec3(rampWidth / 2, 0.3, 0.3));
+        
+        // Entry: across the flared mouth
+        physics.createTrigger(
+            new CANNON.Box(new CANNON.Vec3(0.6, 0.4, 0.3)),
+            { x: points[0].x, y: points[0].y + 0.4, z: 0.1 },
+            {
+                enter: (ballBody) => this.onRampEnter(ballBody, ramp),
+                exit: (ballBody) => this.onRampEntryLeft(ballBody, ramp)
+            },
+            { userData: { isRampCheckpoint: true, side: ramp.side, checkpoint: 'entry' } }
+        );
+        
+        // Mid: halfway along the ramp
+        const middle = last / 2;
+        const segment = Math.floor(middle);
+        const mid = checkpoint(points[segment], points[segment + 1], middle - segment);
+        physics.createTrigger(
+            shape(),
+            mid.position,
+            { enter: (ballBody) => this.onRampCheckpoint(ballBody, ramp, 'entry', 'mid') },
+            { rotation: mid.rotation, userData: { isRampCheckpoint: true, side: ramp.side, checkpoint: 'mid' } }
+        );
+        
+        // Exit: the lip at the top
+        const exit = checkpoint(points[last - 1], points[last], 1);
+        physics.createTrigger(
+            shape(),
+            exit.position,
+            { enter: (ballBody) => this.onRampCheckpoint(ballBody, ramp, 'mid', 'exit') },
+            { rotation: exit.rotation, userData: { isRampCheckpoint: true, side: ramp.side, checkpoint: 'exit' } }
+        );
     }
     
     /**
@@ -1824,20 +1549,92 @@ export class Playfield {
     }
 
     /**
-     * Handle ramp entry
+     * Handle a ball reaching the ramp entry checkpoint (starts a traversal)
      */
-    onRampEnter(event, side) {
-        const otherBody = event.body;
-        if (!otherBody.userData || !otherBody.userData.isBall) return;
+    onRampEnter(otherBody, ramp) {
+        const ballId = otherBody.userData.ballId;
         
-        // Play ramp sound
-        this.game.audio.playSound('rampEnter');
+        // A ball rolling back down through the mouth is still on its traversal
+        if (ramp.traversals.has(ballId)) return;
         
-        // Add score after delay (when ball exits)
-        setTimeout(() => {
-            this.game.score.addRampCompletion();
-            this.game.audio.playSound('rampExit');
-        }, 500);
+        this.emitBallEvent(GameEvents.RAMP_ENTER, otherBody, { side: ramp.side });
+        this.startRampTraversal(ramp, ballId, 'entry', 0, CONFIG.PLAYFIELD.RAMPS.TRAVERSAL_WINDOW);
+    }
+    
+    /**
+     * Track a ball on its way up a ramp; it fails if the window runs out first
+     * @param {number} elapsed - Ticks already spent on the ramp (restoring a saved session)
+     */
+    startRampTraversal(ramp, ballId, stage, elapsed, duration) {
+        const timer = this.game.clock.schedule(() => {
+            this.failRampTraversal(ramp, ballId, 'timeout');
+        }, duration);
+        
+        ramp.traversals.set(ballId, { stage, startTick: this.game.clock.tick - elapsed, timer });
+    }
+    
+    /**
+     * Handle a ball leaving the entry checkpoint (back out of the mouth means it rolled back)
+     */
+    onRampEntryLeft(otherBody, ramp) {
+        const ballId = otherBody.userData.ballId;
+        if (!ramp.traversals.has(ballId)) return;
+        
+        const { velocity } = otherBody;
+        if (velocity.x * ramp.direction.x + velocity.y * ramp.direction.y < 0) {
+            this.failRampTraversal(ramp, ballId, 'rollback');
+        }
+    }
+    
+    /**
+     * Advance a traversal when its ball reaches the next checkpoint in order
+     */
+    onRampCheckpoint(otherBody, ramp, from, to) {
+        const ballId = otherBody.userData.ballId;
+        const traversal = ramp.traversals.get(ballId);
+        if (!traversal || traversal.stage !== from) return;
+        
+        if (to === 'exit') {
+            this.completeRampTraversal(otherBody, ramp, traversal);
+        } else {
+            traversal.stage = to;
+        }
+    }
+    
+    /**
+     * Award a ramp: report how long the ball took and how fast it left the top
+     */
+    completeRampTraversal(otherBody, ramp, traversal) {
+        const clock = this.game.clock;
+        clock.cancel(traversal.timer);
+        ramp.traversals.delete(otherBody.userData.ballId);
+        
+        this.emitBallEvent(GameEvents.RAMP_COMPLETE, otherBody, {
+            side: ramp.side,
+            time: (clock.tick - traversal.startTick) * clock.fixedDelta,
+            speed: otherBody.velocity.length()
+        });
+    }
+    
+    /**
+     * Drop a traversal that didn't make it (balls that left play are dropped silently)
+     * @param {string} reason - 'rollback' or 'timeout'
+     */
+    failRampTraversal(ramp, ballId, reason) {
+        const traversal = ramp.traversals.get(ballId);
+        if (!traversal) return;
+        
+        this.game.clock.cancel(traversal.timer);
+        ramp.traversals.delete(ballId);
+        
+        const ball = [...this.game.balls.activeBalls].find(active => active.id === ballId);
+        if (ball) {
+            this.emitBallEvent(GameEvents.RAMP_FAIL, ball.body, {
+                side: ramp.side,
+                reason,
+                stage: traversal.stage
+            });
+        }
     }
 
     /**
@@ -1846,8 +1643,8 @@ export class Playfield {
      */
     createFunnel() {
         const cfg = CONFIG.PLAYFIELD.FUNNEL;
-        // Position funnel above the slot machine (centered, in middle-lower section)
-        const position = { x: -2, y: -2, z: 0 }; // Left of center, above slot machine
+        // Funnel mouth from the table (left of the slot machine on the default table)
+        const position = { x: this.game.table.funnel.x, y: this.game.table.funnel.y, z: 0 };
         
         // Visual funnel (smaller cone to guide balls)
         const geometry = new THREE.ConeGeometry(
@@ -1933,58 +1730,49 @@ export class Playfield {
      * Create trigger at funnel bottom
      */
     createFunnelTrigger(funnelPosition) {
-        const shape = new CANNON.Sphere(CONFIG.PLAYFIELD.FUNNEL.BOTTOM_RADIUS);
-        const body = new CANNON.Body({
-            mass: 0,
-            shape: shape,
-            position: new CANNON.Vec3(
-                funnelPosition.x,
-                funnelPosition.y - CONFIG.PLAYFIELD.FUNNEL.HEIGHT,
-                funnelPosition.z
-            ),
-            collisionResponse: false
-        });
-        
-        body.userData = { isFunnelTrigger: true };
-        
-        body.addEventListener('collide', (e) => {
-            this.onFunnelCapture(e);
-        });
-        
-        this.game.physics.addBody(body);
+        this.funnelTrigger = this.game.physics.createTrigger(
+            new CANNON.Sphere(CONFIG.PLAYFIELD.FUNNEL.BOTTOM_RADIUS),
+            {
+                x: funnelPosition.x,
+                y: funnelPosition.y - CONFIG.PLAYFIELD.FUNNEL.HEIGHT,
+                z: funnelPosition.z
+            },
+            { enter: (ballBody) => this.onFunnelCapture(ballBody) },
+            { userData: { isFunnelTrigger: true } }
+        );
     }
 
     /**
      * Handle ball entering funnel
      */
-    onFunnelCapture(event) {
-        const otherBody = event.body;
-        if (!otherBody.userData || !otherBody.userData.isBall) return;
+    onFunnelCapture(otherBody) {
+        // Emit before the ball is moved out of play
+        this.emitBallEvent(GameEvents.FUNNEL_CAPTURE, otherBody);
         
         // Remove ball from play
         this.game.balls.captureBall(otherBody);
         
-        // Add to jackpot
-        this.game.jackpot.addBall();
-        
-        // Add score
-        this.game.score.addJackpotEntry();
-        
-        // Play sound
-        this.game.audio.playSound('jackpotTrigger');
+        // Reserve a jackpot spin
+        this.game.jackpot.reserveSpin();
+    }
+
+    /**
+     * Widen (or narrow back) the start pocket's capture zone: the funnel's capture volume
+     * and the cone that shows it. The guide ring around the mouth keeps its size
+     * @param {number} scale - 1 for the normal size
+     */
+    setStartPocketScale(scale) {
+        this.game.triggers.setRadius(this.funnelTrigger, CONFIG.PLAYFIELD.FUNNEL.BOTTOM_RADIUS * scale);
+        this.funnelMesh.scale.set(scale, 1, scale);
     }
 
     /**
      * Create drain zones
      */
     createDrains() {
-        const drains = CONFIG.PLAYFIELD.DRAINS;
-        
-        // Left drain
-        this.createDrain(drains.LEFT, 'left');
-        
-        // Right drain
-        this.createDrain(drains.RIGHT, 'right');
+        this.game.table.drains.forEach(({ side, x, y }) => {
+            this.createDrain({ x, y }, side);
+        });
     }
 
     /**
@@ -2003,40 +1791,31 @@ export class Playfield {
         
         this.game.renderer.add(mesh);
         
-        // Physics trigger
-        const shape = new CANNON.Box(new CANNON.Vec3(1, 0.5, 1));
-        const body = new CANNON.Body({
-            mass: 0,
-            shape: shape,
-            position: new CANNON.Vec3(position.x, position.y, 0),
-            collisionResponse: false
-        });
-        
-        body.userData = { isDrain: true, side };
-        
-        body.addEventListener('collide', (e) => {
-            this.onDrain(e, side);
-        });
-        
-        this.game.physics.addBody(body);
+        // Trigger volume
+        this.game.physics.createTrigger(
+            new CANNON.Box(new CANNON.Vec3(1, 0.5, 1)),
+            { x: position.x, y: position.y, z: 0 },
+            { enter: (ballBody) => this.onDrain(ballBody, side) },
+            { userData: { isDrain: true, side } }
+        );
     }
 
     /**
-     * Handle ball drain
+     * Handle ball drain (through a drain, or onto the floor)
      */
-    onDrain(event, side) {
-        const otherBody = event.body;
-        if (!otherBody.userData || !otherBody.userData.isBall) return;
+    onDrain(otherBody, side) {
+        // A ball touching the floor and a drain in one step drains once
+        if (!this.game.balls.isInPlay(otherBody)) return;
+        
+        // Emit before the ball is moved out of play
+        this.emitBallEvent(GameEvents.BALL_DRAIN, otherBody, { side });
         
         // Remove ball
         this.game.balls.drainBall(otherBody);
-        
-        // Play sound
-        this.game.audio.playSound('drain');
     }
 
     /**
-     * Create floor (catches any escaped balls)
+     * Create floor (catches any escaped balls; they drain like balls through a drain)
      */
     createFloor() {
         const body = this.game.physics.createPlane(
@@ -2047,10 +1826,10 @@ export class Playfield {
         
         body.userData = { isFloor: true };
         
-        body.addEventListener('collide', (e) => {
+        this.game.physics.addCollisionListener(body, (e) => {
             const otherBody = e.body;
             if (otherBody.userData && otherBody.userData.isBall) {
-                this.game.balls.drainBall(otherBody);
+                this.onDrain(otherBody, 'floor');
             }
         });
         
@@ -2061,7 +1840,7 @@ export class Playfield {
      * Create V-Pockets - Special winning pockets (authentic Pachinko feature)
      */
     createVPockets() {
-        const vPockets = CONFIG.PLAYFIELD.PACHINKO.V_POCKETS;
+        const vPockets = this.game.table.pockets;
         
         vPockets.forEach((pocket, index) => {
             // Visual representation - glowing pocket
@@ -2089,28 +1868,21 @@ export class Playfield {
             rimMesh.position.set(pocket.x, pocket.y, -0.38);
             this.game.renderer.add(rimMesh);
             
-            // Physics trigger
-            const shape = new CANNON.Sphere(0.35);
-            const body = new CANNON.Body({
-                mass: 0,
-                shape: shape,
-                position: new CANNON.Vec3(pocket.x, pocket.y, 0),
-                collisionResponse: false
-            });
-            
-            body.userData = { 
-                isVPocket: true, 
-                index, 
-                points: pocket.points, 
-                freeBalls: pocket.freeBalls,
-                label: pocket.label
-            };
-            
-            body.addEventListener('collide', (e) => {
-                this.onVPocketHit(e, pocketMesh, pocket, index);
-            });
-            
-            this.game.physics.addBody(body);
+            // Trigger volume
+            this.game.physics.createTrigger(
+                new CANNON.Sphere(0.35),
+                { x: pocket.x, y: pocket.y, z: 0 },
+                { enter: (ballBody) => this.onVPocketHit(ballBody, pocketMesh, pocket, index) },
+                {
+                    userData: {
+                        isVPocket: true,
+                        index,
+                        points: pocket.points,
+                        freeBalls: pocket.freeBalls,
+                        label: pocket.label
+                    }
+                }
+            );
         });
         
         console.log(`Created ${vPockets.length} V-Pockets`);
@@ -2119,152 +1891,32 @@ export class Playfield {
     /**
      * Handle V-Pocket hit
      */
-    onVPocketHit(event, mesh, pocket, index) {
-        const otherBody = event.body;
-        if (!otherBody.userData || !otherBody.userData.isBall) return;
-        
-        // Award points
-        this.game.score.addScore(pocket.points);
+    onVPocketHit(otherBody, mesh, pocket, index) {
+        this.emitBallEvent(GameEvents.VPOCKET_ENTER, otherBody, {
+            index,
+            label: pocket.label,
+            points: pocket.points,
+            freeBalls: pocket.freeBalls
+        });
         
         // Award free balls
         if (pocket.freeBalls > 0) {
             this.game.balls.addBalls(pocket.freeBalls);
         }
         
-        // Play special sound
-        this.game.audio.playSound('jackpotTrigger');
-        
         // Flash effect
         const originalEmissive = mesh.material.emissiveIntensity;
         mesh.material.emissiveIntensity = 1.5;
-        setTimeout(() => {
+        this.game.clock.scheduleEffect(() => {
             mesh.material.emissiveIntensity = originalEmissive;
-        }, 300);
-        
-        // Show notification
-        this.game.ui.showEventNotification(`${pocket.label}! +${pocket.points} +${pocket.freeBalls} BALLS`, '#ff0000');
-    }
-
-    /**
-     * Create Tulip Gates - Mechanical opening/closing gates (authentic Pachinko feature)
-     */
-    createTulipGates() {
-        const tulipGates = CONFIG.PLAYFIELD.PACHINKO.TULIP_GATES;
-        this.tulipGates = [];
-        
-        tulipGates.forEach((gate, index) => {
-            // Create tulip gate visuals (two petals that open/close)
-            const petalGeometry = new THREE.BoxGeometry(0.3, 0.6, 0.2);
-            const petalMaterial = new THREE.MeshStandardMaterial({
-                color: 0x22cc66,
-                metalness: 0.5,
-                roughness: 0.3
-            });
-            
-            // Left petal
-            const leftPetal = new THREE.Mesh(petalGeometry, petalMaterial);
-            leftPetal.position.set(gate.x - 0.25, gate.y, 0);
-            this.game.renderer.add(leftPetal);
-            
-            // Right petal
-            const rightPetal = new THREE.Mesh(petalGeometry, petalMaterial);
-            rightPetal.position.set(gate.x + 0.25, gate.y, 0);
-            this.game.renderer.add(rightPetal);
-            
-            // Base
-            const baseGeometry = new THREE.BoxGeometry(0.8, 0.15, 0.2);
-            const baseMaterial = new THREE.MeshStandardMaterial({
-                color: 0x888888,
-                metalness: 0.6,
-                roughness: 0.3
-            });
-            const baseMesh = new THREE.Mesh(baseGeometry, baseMaterial);
-            baseMesh.position.set(gate.x, gate.y - 0.35, 0);
-            this.game.renderer.add(baseMesh);
-            
-            // Physics trigger for center (when open)
-            const shape = new CANNON.Box(new CANNON.Vec3(0.25, 0.3, 0.2));
-            const body = new CANNON.Body({
-                mass: 0,
-                shape: shape,
-                position: new CANNON.Vec3(gate.x, gate.y, 0),
-                collisionResponse: false
-            });
-            body.userData = { isTulipGate: true, index, isOpen: false };
-            
-            body.addEventListener('collide', (e) => {
-                this.onTulipGateHit(e, index);
-            });
-            
-            this.game.physics.addBody(body);
-            
-            // Store gate for animation
-            this.tulipGates.push({
-                leftPetal,
-                rightPetal,
-                body,
-                isOpen: false,
-                openTimer: 0,
-                closeTimer: 0,
-                config: gate
-            });
-        });
-        
-        // Start tulip gate animation cycle
-        this.startTulipGateCycle();
-        
-        console.log(`Created ${tulipGates.length} Tulip Gates`);
-    }
-
-    /**
-     * Start tulip gate animation cycle
-     */
-    startTulipGateCycle() {
-        setInterval(() => {
-            this.tulipGates.forEach((gate, index) => {
-                // Toggle gate state periodically
-                gate.isOpen = !gate.isOpen;
-                gate.body.userData.isOpen = gate.isOpen;
-                
-                // Animate petals
-                if (gate.isOpen) {
-                    gate.leftPetal.rotation.z = -0.5;
-                    gate.rightPetal.rotation.z = 0.5;
-                    gate.leftPetal.material.emissive.setHex(0x00ff00);
-                    gate.leftPetal.material.emissiveIntensity = 0.3;
-                    gate.rightPetal.material.emissive.setHex(0x00ff00);
-                    gate.rightPetal.material.emissiveIntensity = 0.3;
-                } else {
-                    gate.leftPetal.rotation.z = 0;
-                    gate.rightPetal.rotation.z = 0;
-                    gate.leftPetal.material.emissiveIntensity = 0;
-                    gate.rightPetal.material.emissiveIntensity = 0;
-                }
-            });
-        }, 2500); // Toggle every 2.5 seconds
-    }
-
-    /**
-     * Handle Tulip Gate hit
-     */
-    onTulipGateHit(event, index) {
-        const otherBody = event.body;
-        if (!otherBody.userData || !otherBody.userData.isBall) return;
-        
-        const gate = this.tulipGates[index];
-        if (gate && gate.isOpen) {
-            // Ball went through open gate - bonus!
-            this.game.score.addScore(300);
-            this.game.audio.playSound('target');
-            this.game.ui.showEventNotification('TULIP GATE! +300', '#22cc66');
-        }
+        }, 0.3);
     }
 
     /**
      * Create Feature Zones - Special scoring zones (authentic Pachinko feature)
      */
     createFeatureZones() {
-        const featureZones = CONFIG.PLAYFIELD.PACHINKO.FEATURE_ZONES;
+        const featureZones = this.game.table.featureZones;
         this.featureZones = [];
         
         featureZones.forEach((zone, index) => {
@@ -2289,23 +1941,15 @@ export class Playfield {
             this.game.renderer.add(zoneMesh);
             this.meshes.push(zoneMesh);
             
-            // Physics trigger
-            const shape = new CANNON.Sphere(0.5);
-            const body = new CANNON.Body({
-                mass: 0,
-                shape: shape,
-                position: new CANNON.Vec3(zone.x, zone.y, 0),
-                collisionResponse: false
-            });
-            body.userData = { isFeatureZone: true, index, ...zone };
-            
-            body.addEventListener('collide', (e) => {
-                this.onFeatureZoneHit(e, zoneMesh, zone, index);
-            });
-            
-            this.game.physics.addBody(body);
+            // Trigger volume (a ball can't re-trigger the zone for a while)
+            const trigger = this.game.physics.createTrigger(
+                new CANNON.Sphere(0.5),
+                { x: zone.x, y: zone.y, z: 0 },
+                { enter: (ballBody) => this.onFeatureZoneHit(ballBody, zoneMesh, zone, index) },
+                { cooldown: 3, userData: { isFeatureZone: true, index, ...zone } }
+            );
             
-            this.featureZones.push({ mesh: zoneMesh, body, config: zone, cooldown: 0 });
+            this.featureZones.push({ mesh: zoneMesh, trigger, config: zone });
         });
         
         console.log(`Created ${featureZones.length} Feature Zones`);
@@ -2314,35 +1958,24 @@ export class Playfield {
     /**
      * Handle Feature Zone hit
      */
-    onFeatureZoneHit(event, mesh, zone, index) {
-        const otherBody = event.body;
-        if (!otherBody.userData || !otherBody.userData.isBall) return;
+    onFeatureZoneHit(otherBody, mesh, zone, index) {
+        // Multiplier zones are applied by the score manager
+        this.emitBallEvent(GameEvents.FEATURE_ZONE_HIT, otherBody, {
+            index,
+            zoneType: zone.type,
+            value: zone.value,
+            duration: zone.duration
+        });
         
-        const featureZone = this.featureZones[index];
-        if (!featureZone || featureZone.cooldown > 0) return;
-        
-        // Set cooldown
-        featureZone.cooldown = 3;
-        setTimeout(() => { featureZone.cooldown = 0; }, 3000);
-        
-        // Handle based on zone type
-        switch(zone.type) {
-            case 'MULTIPLIER':
-                this.game.score.setSessionMultiplier(zone.value);
-                this.game.ui.showEventNotification(`${zone.value}x MULTIPLIER ACTIVE!`, '#9900ff');
-                break;
-            case 'FEVER':
-                this.activateFeverMode(zone.duration);
-                break;
+        if (zone.type === 'FEVER') {
+            this.activateFeverMode(zone.duration);
         }
         
         // Visual flash
         mesh.material.emissiveIntensity = 1.0;
-        setTimeout(() => {
+        this.game.clock.scheduleEffect(() => {
             mesh.material.emissiveIntensity = 0.4;
-        }, 500);
-        
-        this.game.audio.playSound('allTargets');
+        }, 0.5);
     }
 
     /**
@@ -2351,23 +1984,390 @@ export class Playfield {
     activateFeverMode(duration) {
         const feverConfig = CONFIG.PLAYFIELD.PACHINKO.FEVER_MODE;
         
-        // Show fever notification
-        this.game.ui.showEventNotification(`🔥 FEVER MODE! ${feverConfig.MULTIPLIER}x FOR ${duration}s! 🔥`, '#ff00ff');
-        
-        // Set high multiplier
-        this.game.score.setSessionMultiplier(feverConfig.MULTIPLIER);
+        // Multiplier, sound and notification react to the event
+        this.game.events.emit(GameEvents.FEVER_START, {
+            multiplier: feverConfig.MULTIPLIER,
+            duration
+        });
         
         // Award bonus balls
         this.game.balls.addBalls(feverConfig.BALL_BONUS);
         
-        // Play fever sound
-        this.game.audio.playSound('jackpotWin');
+        // End fever mode after duration (restarting it extends the timer)
+        this.feverMultiplier = feverConfig.MULTIPLIER;
+        this.scheduleFeverEnd(duration);
+    }
+
+    /**
+     * Schedule the end of fever mode, replacing any pending end
+     */
+    scheduleFeverEnd(duration) {
+        this.game.clock.cancel(this.feverTimer);
+        this.feverTimer = this.game.clock.schedule(() => {
+            this.feverTimer = null;
+            this.feverMultiplier = 1;
+            this.game.events.emit(GameEvents.FEVER_END);
+        }, duration);
+    }
+
+    /**
+     * Create the Attacker - big electric tulip that jackpot wins open for rounds (authentic Pachinko)
+     * A pocket below a door hinged at its right end; the door swings up to open the mouth.
+     * Balls caught inside pay out, and the V-zone at the left of the floor continues the rounds
+     */
+    createAttacker() {
+        const layout = this.game.table.attacker;
+        if (!layout) return;
+        
+        const settings = CONFIG.ATTACKER;
+        const physics = this.game.physics;
+        const { x, y, width } = layout;
+        const floorY = y - settings.DEPTH;
         
-        // End fever mode after duration
-        setTimeout(() => {
-            this.game.score.setSessionMultiplier(1);
-            this.game.ui.showEventNotification('Fever Mode Ended', '#ffffff');
-        }, duration * 1000);
+        // Pocket and door span the playfield depth like the walls
+        const height = CONFIG.PLAYFIELD.DEPTH;
+        const z = 0;
+        
+        // Pocket sides and floor
+        const frameMaterial = new THREE.MeshStandardMaterial({
+            color: 0xd4a84b,
+            metalness: 0.8,
+            roughness: 0.2
+        });
+        [-1, 1].forEach(side => {
+            this.createWall(
+                { x: x + side * (width / 2 + 0.05), y: y - settings.DEPTH / 2, z },
+                { x: 0.05, y: settings.DEPTH / 2, z: height / 2 },
+                frameMaterial
+            );
+        });
+        this.createWall({ x, y: floorY - 0.05, z }, { x: width / 2 + 0.1, y: 0.05, z: height / 2 }, frameMaterial);
+        
+        // V-zone lamp on the pocket floor
+        const vZoneX = x - width / 2 + settings.V_ZONE_WIDTH / 2;
+        const vLamp = new THREE.Mesh(
+            new THREE.PlaneGeometry(settings.V_ZONE_WIDTH, settings.DEPTH),
+            new THREE.MeshStandardMaterial({
+                color: 0x333333,
+                emissive: 0xff0066,
+                emissiveIntensity: 0.1,
+                metalness: 0.3,
+                roughness: 0.5
+            })
+        );
+        vLamp.position.set(vZoneX, y - settings.DEPTH / 2, -0.39);
+        this.game.renderer.add(vLamp);
+        this.meshes.push(vLamp);
+        
+        // Door: a kinematic box on the hinge, offset to the left along the mouth
+        const hinge = { x: x + width / 2, y, z };
+        const doorPivot = new THREE.Group();
+        doorPivot.position.set(hinge.x, hinge.y, hinge.z);
+        const doorMaterial = new THREE.MeshStandardMaterial({
+            color: 0xcc2233,
+            emissive: 0xff3344,
+            emissiveIntensity: 0,
+            metalness: 0.5,
+            roughness: 0.3
+        });
+        const doorMesh = new THREE.Mesh(new THREE.BoxGeometry(width, 0.08, height), doorMaterial);
+        doorMesh.position.x = -width / 2;
+        doorPivot.add(doorMesh);
+        this.game.renderer.add(doorPivot);
+        
+        const door = new CANNON.Body({
+            type: CANNON.Body.KINEMATIC,
+            position: new CANNON.Vec3(hinge.x, hinge.y, hinge.z),
+            material: physics.materials.wall
+        });
+        door.addShape(
+            new CANNON.Box(new CANNON.Vec3(width / 2, 0.04, height / 2)),
+            new CANNON.Vec3(-width / 2, 0, 0)
+        );
+        
+        // A sleeping kinematic body stops moving
+        door.allowSleep = false;
+        door.userData = { isAttackerDoor: true };
+        physics.addBody(door);
+        
+        this.attacker = {
+            door,
+            doorPivot,
+            doorMaterial,
+            vLamp,
+            isOpen: false,
+            angle: -CONFIG.ATTACKER.DOOR_SLOPE,
+            swingSpeed: 0,
+            rounds: 0,          // Rounds won (0 = idle)
+            round: 0,           // Current round
+            balls: 0,           // Balls counted this round
+            vPassed: false,     // A ball went through the V-zone this round
+            paid: 0,            // Balls paid out since the attacker opened
+            roundTimer: null,
+            intervalTimer: null,
+            held: null          // { round, interval } seconds left while firing is locked out
+        };
+        
+        // The V-zone is tested first, so a ball on the boundary counts as a V
+        physics.createTrigger(
+            new CANNON.Box(new CANNON.Vec3(settings.V_ZONE_WIDTH / 2, settings.CATCH_DEPTH / 2, height / 2)),
+            { x: vZoneX, y: floorY + settings.CATCH_DEPTH / 2, z: 0 },
+            { enter: (ballBody) => this.onAttackerEnter(ballBody, true) },
+            { userData: { isAttackerVZone: true } }
+        );
+        physics.createTrigger(
+            new CANNON.Box(new CANNON.Vec3(width / 2, settings.CATCH_DEPTH / 2, height / 2)),
+            { x, y: floorY + settings.CATCH_DEPTH / 2, z: 0 },
+            { enter: (ballBody) => this.onAttackerEnter(ballBody, false) },
+            { userData: { isAttacker: true } }
+        );
+        
+        this.applyAttackerPose();
+        
+        console.log('Attacker created');
+    }
+
+    /**
+     * Open the attacker for a number of rounds (jackpot wins)
+     * A win while the rounds are running adds its rounds
+     */
+    startAttacker(rounds) {
+        const attacker = this.attacker;
+        if (!attacker || rounds <= 0) return;
+        
+        const isRunning = attacker.rounds > 0;
+        attacker.rounds += rounds;
+        this.game.events.emit(GameEvents.ATTACKER_START, { rounds: attacker.rounds });
+        
+        if (!isRunning) {
+            attacker.paid = 0;
+            this.startAttackerRound();
+        }
+    }
+
+    /**
+     * Start the next round
+     */
+    startAttackerRound() {
+        const attacker = this.attacker;
+        
+        attacker.intervalTimer = null;
+        attacker.round++;
+        attacker.balls = 0;
+        attacker.vPassed = false;
+        this.game.events.emit(GameEvents.ATTACKER_ROUND, { round: attacker.round, rounds: attacker.rounds });
+        
+        this.openAttackerRound(CONFIG.ATTACKER.ROUND_TIME);
+    }
+
+    /**
+     * Open the door until BALLS_PER_ROUND balls are caught or the round time runs out
+     */
+    openAttackerRound(duration) {
+        const attacker = this.attacker;
+        
+        this.setAttackerOpen(true);
+        if (attacker.held) {
+            attacker.held.round = duration;
+        } else {
+            attacker.roundTimer = this.game.clock.schedule(() => {
+                attacker.roundTimer = null;
+                this.endAttackerRound('timeout');
+            }, duration);
+        }
+        this.updateAttackerLamps();
+    }
+
+    /**
+     * Handle a ball caught in the attacker
+     * Every caught ball pays out; balls caught while the door is open count towards the round
+     */
+    onAttackerEnter(otherBody, isVZone) {
+        const attacker = this.attacker;
+        const settings = CONFIG.ATTACKER;
+        const balls = this.game.balls;
+        const counts = attacker.isOpen;
+        const payload = ballPayload(otherBody);
+        
+        balls.captureBall(otherBody);
+        balls.totalBalls += settings.PAYOUT;
+        this.game.ui.updateBallCount(balls.totalBalls);
+        attacker.paid += settings.PAYOUT;
+        
+        if (counts) {
+            attacker.balls++;
+            if (isVZone) attacker.vPassed = true;
+        }
+        
+        this.game.events.emit(GameEvents.ATTACKER_ENTER, {
+            ...payload,
+            round: attacker.round,
+            count: counts ? attacker.balls : null,
+            isVZone,
+            payout: settings.PAYOUT,
+            points: settings.POINTS
+        });
+        
+        if (counts && attacker.balls >= settings.BALLS_PER_ROUND) {
+            this.endAttackerRound('full');
+        } else {
+            this.updateAttackerLamps();
+        }
+    }
+
+    /**
+     * End the current round: shut the door, then start the next round if a ball went
+     * through the V-zone and rounds are left, or end the attacker
+     * @param {string} reason - 'full' (ball count reached) or 'timeout'
+     */
+    endAttackerRound(reason) {
+        const attacker = this.attacker;
+        
+        this.game.clock.cancel(attacker.roundTimer);
+        attacker.roundTimer = null;
+        if (attacker.held) attacker.held.round = null;
+        this.setAttackerOpen(false);
+        
+        const continues = attacker.vPassed && attacker.round < attacker.rounds;
+        this.game.events.emit(GameEvents.ATTACKER_ROUND_END, {
+            round: attacker.round,
+            balls: attacker.balls,
+            vPassed: attacker.vPassed,
+            reason
+        });
+        
+        if (continues) {
+            this.scheduleAttackerRound(CONFIG.ATTACKER.ROUND_INTERVAL);
+            this.updateAttackerLamps();
+        } else {
+            this.endAttacker();
+        }
+    }
+
+    /**
+     * Start the next round after the interval between rounds
+     */
+    scheduleAttackerRound(delay) {
+        const attacker = this.attacker;
+        
+        if (attacker.held) {
+            attacker.held.interval = delay;
+        } else {
+            attacker.intervalTimer = this.game.clock.schedule(() => this.startAttackerRound(), delay);
+        }
+    }
+
+    /**
+     * Stop or restart the round and interval clocks. They wait while the cannon can't fire
+     * (jackpot spins and payouts, tilt), so a chain of reserved spins doesn't run a round out
+     */
+    holdAttacker(isHeld) {
+        const attacker = this.attacker;
+        if (!attacker || (attacker.held !== null) === isHeld) return;
+        
+        const clock = this.game.clock;
+        if (isHeld) {
+            const remaining = (timer) => timer === null ? null : clock.getRemaining(timer);
+            attacker.held = { round: remaining(attacker.roundTimer), interval: remaining(attacker.intervalTimer) };
+            clock.cancel(attacker.roundTimer);
+            clock.cancel(attacker.intervalTimer);
+            attacker.roundTimer = null;
+            attacker.intervalTimer = null;
+            return;
+        }
+        
+        const { round, interval } = attacker.held;
+        attacker.held = null;
+        if (round !== null) {
+            this.openAttackerRound(round);
+        } else if (interval !== null) {
+            this.scheduleAttackerRound(interval);
+        }
+    }
+
+    /**
+     * Close the attacker after its last round
+     */
+    endAttacker() {
+        const attacker = this.attacker;
+        
+        this.game.events.emit(GameEvents.ATTACKER_END, { rounds: attacker.round, paid: attacker.paid });
+        
+        attacker.rounds = 0;
+        attacker.round = 0;
+        attacker.balls = 0;
+        attacker.vPassed = false;
+        this.updateAttackerLamps();
+    }
+
+    /**
+     * Open or close the attacker door (it swings there over the next ticks)
+     */
+    setAttackerOpen(isOpen) {
+        const attacker = this.attacker;
+        
+        attacker.isOpen = isOpen;
+        attacker.doorMaterial.emissiveIntensity = isOpen ? 0.6 : 0;
+    }
+
+    /**
+     * Light the V-zone lamp and refresh the HUD round display (hidden when idle)
+     */
+    updateAttackerLamps() {
+        const attacker = this.attacker;
+        
+        attacker.vLamp.material.emissiveIntensity = attacker.vPassed ? 1.2 : (attacker.rounds > 0 ? 0.4 : 0.1);
+        
+        if (attacker.rounds === 0) {
+            this.game.ui.updateAttacker(null);
+            return;
+        }
+        
+        const remaining = attacker.held
+            ? attacker.held.round ?? 0
+            : attacker.roundTimer === null ? 0 : this.game.clock.getRemaining(attacker.roundTimer);
+        this.game.ui.updateAttacker({
+            round: attacker.round,
+            rounds: attacker.rounds,
+            balls: attacker.balls,
+            ballsPerRound: CONFIG.ATTACKER.BALLS_PER_ROUND,
+            vPassed: attacker.vPassed,
+            isOpen: attacker.isOpen,
+            timeLeft: remaining / CONFIG.ATTACKER.ROUND_TIME
+        });
+    }
+
+    /**
+     * Swing the attacker door and count down the round on the HUD
+     * (once per simulation tick, after the physics step)
+     */
+    update(deltaTime) {
+        const attacker = this.attacker;
+        if (!attacker) return;
+        
+        const settings = CONFIG.ATTACKER;
+        
+        // The door turned by swingSpeed during the step
+        attacker.angle += attacker.swingSpeed * deltaTime;
+        const target = attacker.isOpen ? settings.DOOR_OPEN_ANGLE : -settings.DOOR_SLOPE;
+        const speed = (target - attacker.angle) / deltaTime;
+        attacker.swingSpeed = Math.max(-settings.DOOR_SWING_SPEED, Math.min(settings.DOOR_SWING_SPEED, speed));
+        this.applyAttackerPose();
+        
+        if (attacker.roundTimer !== null) {
+            this.updateAttackerLamps();
+        }
+    }
+
+    /**
+     * Turn the door mesh and body to the current angle (clockwise, so the free end rises)
+     */
+    applyAttackerPose() {
+        const attacker = this.attacker;
+        
+        attacker.doorPivot.rotation.z = -attacker.angle;
+        attacker.door.quaternion.setFromAxisAngle(Z_AXIS, -attacker.angle);
+        attacker.door.angularVelocity.set(0, 0, -attacker.swingSpeed);
     }
 
     /**
@@ -2427,4 +2427,123 @@ export class Playfield {
         
         console.log('Start Pocket created');
     }
+
+    /**
+     * Reset playfield state for a new session
+     * Called after the simulation clock is reset (pending timers are already gone)
+     */
+    reset() {
+        this.resetTargets();
+        
+        this.bumpers.forEach(bumper => {
+            this.bumperCooldowns.set(bumper.index, -Infinity);
+        });
+        
+        this.ramps.forEach(ramp => ramp.traversals.clear());
+        
+        this.targetResetTimer = null;
+        this.feverTimer = null;
+        this.feverMultiplier = 1;
+        
+        if (this.attacker) {
+            Object.assign(this.attacker, {
+                rounds: 0,
+                round: 0,
+                balls: 0,
+                vPassed: false,
+                paid: 0,
+                roundTimer: null,
+                intervalTimer: null,
+                held: null
+            });
+            this.placeAttackerDoor(false);
+            this.updateAttackerLamps();
+        }
+    }
+
+    /**
+     * Set the attacker door open or shut with the door already at its stop
+     */
+    placeAttackerDoor(isOpen) {
+        const attacker = this.attacker;
+        
+        this.setAttackerOpen(isOpen);
+        attacker.angle = isOpen ? CONFIG.ATTACKER.DOOR_OPEN_ANGLE : -CONFIG.ATTACKER.DOOR_SLOPE;
+        attacker.swingSpeed = 0;
+        this.applyAttackerPose();
+    }
+
+    /**
+     * Capture target completion, mode timers, attacker rounds and balls on the ramps
+     * Timers are stored as remaining simulation seconds
+     */
+    snapshot() {
+        const clock = this.game.clock;
+        const remaining = (id) => id === null ? null : clock.getRemaining(id);
+        
+        return {
+            targetsHit: [...this.targetsHit],
+            targetReset: remaining(this.targetResetTimer),
+            fever: this.feverTimer === null ? null : {
+                remaining: clock.getRemaining(this.feverTimer),
+                multiplier: this.feverMultiplier
+            },
+            attacker: this.attacker === null ? null : {
+                rounds: this.attacker.rounds,
+                round: this.attacker.round,
+                balls: this.attacker.balls,
+                vPassed: this.attacker.vPassed,
+                paid: this.attacker.paid,
+                roundRemaining: this.attacker.held ? this.attacker.held.round : remaining(this.attacker.roundTimer),
+                intervalRemaining: this.attacker.held ? this.attacker.held.interval : remaining(this.attacker.intervalTimer)
+            },
+            rampTraversals: this.ramps.map(ramp => [...ramp.traversals].map(([ballId, traversal]) => ({
+                ballId,
+                stage: traversal.stage,
+                elapsed: clock.tick - traversal.startTick,
+                remaining: remaining(traversal.timer)
+            })))
+        };
+    }
+
+    /**
+     * Restore playfield state (after reset)
+     * Fever mode is resumed silently; the score manager restores its own multiplier
+     */
+    restore(snapshot) {
+        snapshot.targetsHit.forEach(index => {
+            const target = this.targets[index];
+            if (!target) return;
+            this.targetsHit.add(index);
+            target.mesh.material.emissiveIntensity = 1;
+        });
+        if (snapshot.targetReset !== null) {
+            this.scheduleTargetReset(snapshot.targetReset);
+        }
+        
+        if (snapshot.fever) {
+            this.feverMultiplier = snapshot.fever.multiplier;
+            this.scheduleFeverEnd(snapshot.fever.remaining);
+        }
+        
+        if (snapshot.attacker && this.attacker) {
+            const { roundRemaining, intervalRemaining, ...state } = snapshot.attacker;
+            Object.assign(this.attacker, state);
+            if (roundRemaining !== null) {
+                this.placeAttackerDoor(true);
+                this.openAttackerRound(roundRemaining);
+            } else if (intervalRemaining !== null) {
+                this.scheduleAttackerRound(intervalRemaining);
+            }
+            this.updateAttackerLamps();
+        }
+        
+        snapshot.rampTraversals.forEach((traversals, index) => {
+            const ramp = this.ramps[index];
+            if (!ramp) return;
+            traversals.forEach(({ ballId, stage, elapsed, remaining }) => {
+                this.startRampTraversal(ramp, ballId, stage, elapsed, remaining);
+            });
+        });
+    }
 }
@@ -0,0 +1,165 @@
+/**
+ * Probability States
+ * Like a pachinko machine, the jackpot machine changes state after a win. Kakuhen
+ * (high probability) boosts the jackpot symbols on the reels; jitan (time shortened)
+ * spins the reels faster. Both widen the start pocket's capture zone (the jackpot
+ * funnel's capture volume, not its guide ring) and light the board in their colour.
+ *
+ * The jackpot machine reads the weights and spin time as each spin plays, so a state
+ * entered while spins are reserved applies to them too.
+ *
+ * The winning symbol picks the next state: kakuhen symbols (CONFIG.PROBABILITY.KAKUHEN_SYMBOLS)
+ * enter kakuhen, any other win enters jitan. A state lasts until the next win, or until
+ * its spin limit runs out on losing spins and the machine falls back to normal.
+ */
+
+import { CONFIG } from './config.js';
+import { GameEvents } from './events.js';
+
+/**
+ * State names
+ */
+export const ProbabilityStates = {
+    NORMAL: 'NORMAL',
+    KAKUHEN: 'KAKUHEN',
+    JITAN: 'JITAN'
+};
+
+export class ProbabilityState {
+    constructor(game) {
+        this.game = game;
+
+        this.state = ProbabilityStates.NORMAL;
+
+        // Losing spins left before falling back to normal (null = until the next win)
+        this.spinsLeft = null;
+    }
+
+    /**
+     * Initialize the board and HUD for the normal state
+     */
+    init() {
+        this.apply();
+
+        console.log('Probability state initialized');
+    }
+
+    /**
+     * Settings of the current state
+     */
+    get settings() {
+        return CONFIG.PROBABILITY.STATES[this.state];
+    }
+
+    /**
+     * Reel symbol weights in the current state (CONFIG.JACKPOT.SYMBOL_WEIGHTS with the state's boosts)
+     */
+    getSymbolWeights() {
+        const boost = this.settings.WEIGHT_BOOST;
+
+        return CONFIG.JACKPOT.SYMBOLS.map((symbol, i) => CONFIG.JACKPOT.SYMBOL_WEIGHTS[i] * (boost[symbol] ?? 1));
+    }
+
+    /**
+     * Seconds a spin takes in the current state
+     */
+    getSpinDuration() {
+        return this.settings.SPIN_DURATION ?? CONFIG.JACKPOT.SPIN_DURATION;
+    }
+
+    /**
+     * State the machine will be in after a spin with this result
+     */
+    getNextState(result) {
+        if (result.isWin) {
+            return CONFIG.PROBABILITY.KAKUHEN_SYMBOLS.includes(result.symbol)
+                ? ProbabilityStates.KAKUHEN
+                : ProbabilityStates.JITAN;
+        }
+
+        return this.spinsLeft === 1 ? ProbabilityStates.NORMAL : this.state;
+    }
+
+    /**
+     * Move on after a spin has paid out: a win enters the state its symbol picks
+     * (again if already in it), a losing spin counts down the spin limit
+     */
+    onSpinResult(result) {
+        if (result.isWin) {
+            this.setState(this.getNextState(result), result.symbol);
+            return;
+        }
+
+        if (this.spinsLeft === null) return;
+
+        this.spinsLeft--;
+        if (this.spinsLeft <= 0) {
+            this.setState(ProbabilityStates.NORMAL, 'spins');
+        } else {
+            this.updateIndicator();
+        }
+    }
+
+    /**
+     * Enter a state
+     * @param {string} cause - Winning symbol, or 'spins' when the spin limit ran out
+     */
+    setState(state, cause) {
+        const previous = this.state;
+
+        this.state = state;
+        this.spinsLeft = this.settings.SPINS || null;
+        this.apply();
+
+        this.game.events.emit(GameEvents.PROBABILITY_CHANGE, {
+            state,
+            previous,
+            cause,
+            spinsLeft: this.spinsLeft
+        });
+    }
+
+    /**
+     * Widen the start pocket, light the board and update the HUD for the current state
+     */
+    apply() {
+        this.game.playfield.setStartPocketScale(this.settings.POCKET_SCALE);
+        this.game.renderer.setBoardColor(this.settings.COLOR);
+        this.updateIndicator();
+    }
+
+    /**
+     * Refresh the HUD indicator
+     */
+    updateIndicator() {
+        this.game.ui.updateProbabilityState(this.state, this.spinsLeft);
+    }
+
+    /**
+     * Reset for a new session (normal state)
+     */
+    reset() {
+        this.state = ProbabilityStates.NORMAL;
+        this.spinsLeft = null;
+        this.apply();
+    }
+
+    /**
+     * Capture the state and its spin limit
+     */
+    snapshot() {
+        return {
+            state: this.state,
+            spinsLeft: this.spinsLeft
+        };
+    }
+
+    /**
+     * Restore the state (after reset)
+     */
+    restore(snapshot) {
+        this.state = snapshot.state;
+        this.spinsLeft = snapshot.spinsLeft;
+        this.apply();
+    }
+}
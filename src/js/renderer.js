@@ -5,6 +5,8 @@
 
 import * as THREE from 'three';
 import { CONFIG } from './config.js';
+import { GameEvents } from './events.js';
+import { NUDGE_DIRECTIONS } from './tilt.js';
 
 export class Renderer {
     constructor(game) {
@@ -16,6 +18,9 @@ export class Renderer {
         this.rendererType = 'Unknown';
         this.qualityLevel = 'high';
         
+        // Camera shake in progress: { direction, startTime } (nudges)
+        this.shake = null;
+        
         // Post-processing
         this.composer = null;
         this.bloomPass = null;
@@ -45,8 +50,23 @@ export class Renderer {
         // Setup lighting
         this.setupLighting();
         
+        // Flash the LED nearest to each peg hit
+        this.game.events.on(GameEvents.PEG_HIT, ({ pegPosition }) => {
+            this.flashLED(pegPosition.x, pegPosition.y, 0xffff00);
+        });
+        
+        // Shake the camera with each nudge
+        this.game.events.on(GameEvents.NUDGE, ({ direction }) => this.shakeCamera(NUDGE_DIRECTIONS[direction]));
+        
+        // Pulse every LED during a ball search
+        this.game.events.on(GameEvents.BALL_STUCK, ({ action }) => {
+            if (action === 'search') {
+                this.pulseLEDs(0xffaa00, CONFIG.BALLS.STUCK.SEARCH_PULSE);
+            }
+        });
+        
         // Handle resize
-        window.addEventListener('resize', () => this.onResize());
+        window.addEventListener('resize', () => this.onResize(), { signal: this.game.signal });
         this.onResize();
         
         // Update renderer info UI
@@ -252,7 +272,10 @@ export class Renderer {
      */
     animateBacklitLEDs() {
         const animate = () => {
-            const time = performance.now() * 0.001;
+            if (this.game.signal.aborted) return;
+            
+            // Simulation time, so the lights follow time scale and pause
+            const time = this.game.clock.time;
             
             this.backlitLEDs.forEach((led, index) => {
                 // Create subtle pulsing effect
@@ -329,11 +352,12 @@ export class Renderer {
             light.position.set(pos.x, pos.y, pos.z);
             this.scene.add(light);
             
-            // Store for animation
+            // Store for animation (color is the current one, baseColor the LED's own)
             this.ledLights.push({
                 light,
                 baseIntensity: 0.3,
                 color,
+                baseColor: color,
                 phase: Math.random() * Math.PI * 2
             });
             
@@ -359,7 +383,9 @@ export class Renderer {
      */
     animateLEDs() {
         const animate = () => {
-            const time = performance.now() * 0.002;
+            if (this.game.signal.aborted) return;
+            
+            const time = this.game.clock.time * 2;
             
             this.ledLights.forEach((led, index) => {
                 // Create wave pattern along the LEDs
@@ -377,7 +403,7 @@ export class Renderer {
     }
     
     /**
-     * Flash a specific LED color (called when peg is hit)
+     * Flash a specific LED color (on peg hit events)
      */
     flashLED(x, y, color = 0xffffff) {
         // Find nearest LED and flash it
@@ -400,13 +426,47 @@ export class Renderer {
             nearestLED.light.intensity = 2.0;
             nearestLED.light.color.setHex(color);
             
-            setTimeout(() => {
+            this.game.clock.scheduleEffect(() => {
                 nearestLED.light.intensity = originalIntensity;
                 nearestLED.light.color.setHex(nearestLED.color);
-            }, 100);
+            }, 0.1);
         }
     }
 
+    /**
+     * Light every LED in one color for a moment (ball search)
+     */
+    pulseLEDs(color, duration) {
+        this.ledLights.forEach(led => {
+            led.light.intensity = 2.0;
+            led.light.color.setHex(color);
+        });
+        
+        this.game.clock.scheduleEffect(() => {
+            this.ledLights.forEach(led => {
+                led.light.intensity = led.baseIntensity;
+                led.light.color.setHex(led.color);
+            });
+        }, duration);
+    }
+
+    /**
+     * Light the whole board in one color (probability states), or in the LEDs' own colors again (null)
+     */
+    setBoardColor(color) {
+        this.ledLights.forEach(led => {
+            led.color = color ?? led.baseColor;
+            led.light.color.setHex(led.color);
+            if (led.mesh) {
+                led.mesh.material.color.setHex(led.color);
+            }
+        });
+        
+        this.backlitLEDs.forEach(led => {
+            led.light.color.setHex(color ?? led.baseColor);
+        });
+    }
+
     /**
      * Handle window resize
      */
@@ -424,9 +484,42 @@ export class Renderer {
      * Render the scene
      */
     render() {
+        this.applyCameraShake();
         this.renderer.render(this.scene, this.camera);
     }
 
+    /**
+     * Start a camera shake along a playfield direction (nudge)
+     */
+    shakeCamera(direction) {
+        this.shake = { direction, startTime: this.game.clock.time };
+    }
+
+    /**
+     * Offset the camera for the shake in progress (a damped wobble on simulation time)
+     */
+    applyCameraShake() {
+        const base = CONFIG.CAMERA.POSITION;
+        let offset = 0;
+        
+        if (this.shake) {
+            const { AMPLITUDE, DURATION } = CONFIG.TILT.SHAKE;
+            const t = (this.game.clock.time - this.shake.startTime) / DURATION;
+            if (t < 1) {
+                offset = AMPLITUDE * (1 - t) * Math.sin(t * Math.PI * 4);
+            } else {
+                this.shake = null;
+            }
+        }
+        
+        const direction = this.shake ? this.shake.direction : { x: 0, y: 0 };
+        this.camera.position.set(
+            base.x + direction.x * offset,
+            base.y + direction.y * offset,
+            base.z
+        );
+    }
+
     /**
      * Adaptive quality adjustment based on FPS
      */
@@ -514,4 +607,42 @@ export class Renderer {
     remove(object) {
         this.scene.remove(object);
     }
+
+    /**
+     * Dispose every geometry, material and texture in the scene, then the WebGL renderer
+     * The canvas is kept so a new game can render to it
+     */
+    destroy() {
+        const disposeMaterial = (material) => {
+            Object.values(material).forEach(value => {
+                if (value && value.isTexture) value.dispose();
+            });
+            material.dispose();
+        };
+        
+        if (this.scene) {
+            this.scene.traverse(object => {
+                if (object.geometry) object.geometry.dispose();
+                if (object.material) {
+                    [].concat(object.material).forEach(disposeMaterial);
+                }
+            });
+            
+            if (this.scene.background && this.scene.background.isTexture) {
+                this.scene.background.dispose();
+            }
+            this.scene.clear();
+        }
+        
+        if (this.composer) {
+            this.composer.dispose();
+        }
+        
+        if (this.renderer) {
+            this.renderer.dispose();
+        }
+        
+        this.ledLights = [];
+        this.backlitLEDs = [];
+    }
 }
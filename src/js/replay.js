@@ -0,0 +1,341 @@
+/**
+ * Replay System
+ * Records every simulation-affecting input against its simulation tick and
+ * plays recordings back from the session seed to reproduce a game exactly
+ */
+
+import { CONFIG } from './config.js';
+
+// 2: collision handlers run after the physics step instead of during it
+// 3: kinematic flippers
+// 4: sensors report enter/stay/exit from trigger volumes, ramp entrances are live
+// 5: ramps complete through entry, mid and exit checkpoints
+// 6: multiball saucers
+// 7: launch ball save and skill-shot lanes
+// 8: table layouts (recordings name the table they were played on)
+// 9: default table keeps pegs clear of the real bumper and ramp positions
+// 10: hinged tulip petals that capture and pay out balls
+// 11: tulip petals and cups span the playfield depth
+// 12: jackpot-triggered attacker
+// 13: kakuhen/jitan probability states
+// 14: reserved jackpot spins with pre-rolled reels
+// 15: bumper kicks are speed-limited, balls that leave the cabinet are removed
+// 16: ramp speed record bonus
+// 17: no multiball ball save while tilted
+// 18: skill-shot lanes moved inside the arc wall
+// 19: recordings carry a hash of the table layout, not just its name
+// 20: default table layout passes the table lint
+// 21: default table back to the version 19 layout, with its lint findings accepted
+// 22: bumpers kick balls out at a set speed in place of their bounce
+// 23: front glass and back wall are planes; balls that leave the cabinet are refunded
+// 24: reserved spins take their reel symbols from the probability state when they play
+// 25: the attacker's round clock waits while jackpot spins, payouts and tilt lock out firing
+// 26: the skill shot is used up by any physics contact, not only by scored events
+export const REPLAY_VERSION = 26;
+
+/**
+ * Playback speed limits
+ */
+export const REPLAY_SPEED = {
+    MIN: 0.25,
+    MAX: 4
+};
+
+/**
+ * @typedef {Object} ReplayEvent
+ * @property {number} tick - Simulation tick the input was executed on
+ * @property {string} type - Input type ('aim', 'fire', 'flipper', 'jackpot', 'nudge')
+ * @property {Object} data - Input payload
+ */
+
+/**
+ * @typedef {Object} Recording
+ * @property {number} version - Recording format version
+ * @property {number} seed - Session seed
+ * @property {string} table - Name of the table the session was played on
+ * @property {string} tableHash - Hash of that table's layout (see getTableHash)
+ * @property {Object} config - CONFIG snapshot at session start
+ * @property {{x: number, y: number}} cannonOffset - Cannon offset at session start
+ * @property {ReplayEvent[]} events - Recorded inputs in tick order
+ * @property {number} finalTick - Last simulated tick
+ * @property {number} finalScore - Score at the last tick
+ */
+
+/**
+ * Deep-copy plain JSON data
+ */
+function cloneData(data) {
+    return JSON.parse(JSON.stringify(data));
+}
+
+/**
+ * Copy values from source onto target, recursing into nested objects
+ */
+function assignDeep(target, source) {
+    Object.entries(source).forEach(([key, value]) => {
+        if (value && typeof value === 'object' && !Array.isArray(value) &&
+            target[key] && typeof target[key] === 'object') {
+            assignDeep(target[key], value);
+        } else {
+            target[key] = value;
+        }
+    });
+}
+
+export class InputRecorder {
+    constructor(game) {
+        this.game = game;
+        this.recording = null;
+    }
+
+    /**
+     * Start a new recording for the current session
+     * Called when a session starts (tick zero)
+     */
+    start() {
+        this.recording = {
+            version: REPLAY_VERSION,
+            seed: this.game.seed,
+            table: this.game.table.name,
+            tableHash: this.game.tableHash,
+            config: cloneData(CONFIG),
+            cannonOffset: {
+                x: this.game.cannon.offsetX,
+                y: this.game.cannon.offsetY
+            },
+            recordedAt: new Date().toISOString(),
+            events: []
+        };
+    }
+
+    /**
+     * Stop recording (a continued session doesn't start at tick zero)
+     */
+    stop() {
+        this.recording = null;
+    }
+
+    /**
+     * Record an executed input on the current tick
+     */
+    record(input) {
+        if (!this.recording || this.game.replay.isActive) return;
+
+        this.recording.events.push({
+            tick: this.game.clock.tick,
+            type: input.type,
+            data: { ...input.data }
+        });
+    }
+
+    /**
+     * Get the current recording, stamped with the final tick and score
+     * @returns {Recording|null}
+     */
+    getRecording() {
+        if (!this.recording) return null;
+
+        return {
+            ...this.recording,
+            events: this.recording.events.slice(),
+            finalTick: this.game.clock.tick,
+            finalScore: this.game.score.currentScore
+        };
+    }
+}
+
+export class ReplayPlayer {
+    constructor(game) {
+        this.game = game;
+
+        // Loaded recording
+        this.recording = null;
+        this.eventIndex = 0;
+
+        // Playback state
+        this.isActive = false;
+        this.isPlaying = false;
+        this.speed = 1;
+
+        // Live settings restored when playback stops
+        this.savedConfig = null;
+        this.savedCannonOffset = null;
+    }
+
+    /**
+     * Validate a recording
+     */
+    validate(recording) {
+        if (!recording || recording.version !== REPLAY_VERSION) {
+            throw new Error(`Unsupported replay version: ${recording && recording.version}`);
+        }
+        if (typeof recording.seed !== 'number' || !Array.isArray(recording.events)) {
+            throw new Error('Replay is missing its seed or events');
+        }
+        if (recording.tableHash !== this.game.tableHash) {
+            throw new Error(`Replay was recorded on another table layout: ${recording.table}`);
+        }
+    }
+
+    /**
+     * Start playing a recording from tick zero
+     * @param {Recording} recording
+     */
+    start(recording) {
+        this.validate(recording);
+
+        if (!this.isActive) {
+            this.savedConfig = cloneData(CONFIG);
+            this.savedCannonOffset = {
+                x: this.game.cannon.offsetX,
+                y: this.game.cannon.offsetY
+            };
+        }
+
+        this.recording = recording;
+        this.isActive = true;
+
+        // Recorded tuning overrides the live settings during playback
+        if (recording.config) {
+            assignDeep(CONFIG, recording.config);
+        }
+
+        this.restartSession();
+        this.game.ui.showReplayBar(this.getDuration());
+        this.play();
+
+        console.log(`Replay started: seed ${recording.seed}, ${recording.events.length} inputs`);
+    }
+
+    /**
+     * Restart the game from the recording's seed
+     */
+    restartSession() {
+        this.game.restart(this.recording.seed);
+        this.eventIndex = 0;
+
+        if (this.recording.cannonOffset) {
+            this.game.cannon.offsetX = this.recording.cannonOffset.x;
+            this.game.cannon.offsetY = this.recording.cannonOffset.y;
+        }
+    }
+
+    /**
+     * Execute every recorded input for a tick (called from the input update)
+     */
+    feed(tick) {
+        const events = this.recording.events;
+
+        while (this.eventIndex < events.length && events[this.eventIndex].tick <= tick) {
+            this.game.input.executeInput(events[this.eventIndex]);
+            this.eventIndex++;
+        }
+
+        // Hold on the last frame of the recording
+        if (tick >= this.getDuration()) {
+            this.pause();
+        }
+    }
+
+    /**
+     * Resume playback
+     */
+    play() {
+        if (!this.isActive) return;
+
+        // Restart from the beginning if we're at the end
+        if (this.game.clock.tick >= this.getDuration()) {
+            this.seek(0);
+        }
+
+        this.isPlaying = true;
+        this.applyTimeScale();
+    }
+
+    /**
+     * Pause playback
+     */
+    pause() {
+        this.isPlaying = false;
+        this.applyTimeScale();
+    }
+
+    /**
+     * Toggle play/pause
+     */
+    togglePlay() {
+        if (this.isPlaying) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    /**
+     * Set playback speed (0.25x - 4x)
+     */
+    setSpeed(speed) {
+        this.speed = Math.max(REPLAY_SPEED.MIN, Math.min(REPLAY_SPEED.MAX, speed));
+        this.applyTimeScale();
+    }
+
+    /**
+     * Drive the simulation clock from the playback state (see Game.applyTimeScale)
+     */
+    applyTimeScale() {
+        if (!this.isActive) return;
+        this.game.applyTimeScale();
+    }
+
+    /**
+     * Jump to a tick
+     * Seeking backwards re-simulates from tick zero; sound is muted while catching up
+     */
+    seek(tick) {
+        if (!this.isActive) return;
+
+        const target = Math.max(0, Math.min(Math.round(tick), this.getDuration()));
+        if (target < this.game.clock.tick) {
+            this.restartSession();
+        }
+
+        const wasMuted = this.game.audio.muted;
+        this.game.audio.setMuted(true);
+
+        this.game.runTicks(target - this.game.clock.tick);
+
+        this.game.audio.setMuted(wasMuted);
+    }
+
+    /**
+     * Stop playback and return to a fresh live session
+     */
+    stop() {
+        if (!this.isActive) return;
+
+        this.isActive = false;
+        this.isPlaying = false;
+        this.recording = null;
+
+        // Restore live settings
+        assignDeep(CONFIG, this.savedConfig);
+        this.game.cannon.offsetX = this.savedCannonOffset.x;
+        this.game.cannon.offsetY = this.savedCannonOffset.y;
+
+        this.game.ui.hideReplayBar();
+        this.game.restart();
+
+        console.log('Replay stopped');
+    }
+
+    /**
+     * Get recording length in ticks
+     */
+    getDuration() {
+        if (!this.recording) return 0;
+
+        const events = this.recording.events;
+        const lastEventTick = events.length > 0 ? events[events.length - 1].tick : 0;
+        return Math.max(this.recording.finalTick || 0, lastEventTick);
+    }
+}
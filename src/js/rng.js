@@ -0,0 +1,200 @@
+/**
+ * Random Number Service
+ * Seedable PRNG with named streams so a session can be reproduced from its seed
+ */
+
+/**
+ * Named streams used by game subsystems
+ * Each stream draws from its own sequence so one subsystem's usage never
+ * shifts the results of another
+ */
+export const RNG_STREAMS = {
+    CANNON: 'cannon',
+    REELS: 'reels',
+    REEL_DISPLAY: 'reelDisplay',
+    HOLD_HINTS: 'holdHints',
+    BALL_SEARCH: 'ballSearch'
+};
+
+/**
+ * A single deterministic random sequence (mulberry32)
+ */
+export class RandomStream {
+    constructor(service, name, seed) {
+        this.service = service;
+        this.name = name;
+        this.state = seed >>> 0;
+    }
+
+    /**
+     * Get next raw value in [0, 1) without entropy mixing
+     */
+    nextRaw() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Get next value in [0, 1)
+     */
+    next() {
+        const value = this.nextRaw();
+        return this.service.mixEntropy(value);
+    }
+
+    /**
+     * Get float in [min, max)
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Get integer in [min, max]
+     */
+    int(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    /**
+     * Pick a random element from an array
+     */
+    pick(items) {
+        return items[Math.floor(this.next() * items.length)];
+    }
+
+    /**
+     * Pick an item using relative weights (higher = more common)
+     */
+    weighted(items, weights) {
+        const totalWeight = weights.reduce((a, b) => a + b, 0);
+        let random = this.next() * totalWeight;
+
+        for (let i = 0; i < items.length; i++) {
+            random -= weights[i];
+            if (random <= 0) {
+                return items[i];
+            }
+        }
+
+        return items[0];
+    }
+
+    /**
+     * Get internal state (for save/restore)
+     */
+    getState() {
+        return this.state;
+    }
+
+    /**
+     * Set internal state
+     */
+    setState(state) {
+        this.state = state >>> 0;
+    }
+}
+
+export class RNGService {
+    constructor(seed = RNGService.generateSeed()) {
+        this.seed = seed >>> 0;
+        this.streams = new Map();
+
+        // Optional entropy mixer (e.g. GPU frame-time noise)
+        // When set, sessions are no longer reproducible from the seed alone
+        this.entropySource = null;
+    }
+
+    /**
+     * Get (or lazily create) a named stream
+     */
+    stream(name) {
+        let stream = this.streams.get(name);
+        if (!stream) {
+            stream = new RandomStream(this, name, this.deriveSeed(name));
+            this.streams.set(name, stream);
+        }
+        return stream;
+    }
+
+    /**
+     * Derive a per-stream seed from the session seed and the stream name
+     */
+    deriveSeed(name) {
+        return (RNGService.hashString(name) ^ Math.imul(this.seed, 0x9E3779B1)) >>> 0;
+    }
+
+    /**
+     * Reset all streams to a new seed
+     */
+    reseed(seed) {
+        this.seed = seed >>> 0;
+        this.streams.forEach((stream, name) => {
+            stream.setState(this.deriveSeed(name));
+        });
+    }
+
+    /**
+     * Set optional entropy source returning values in [0, 1)
+     * Pass null to restore fully deterministic output
+     */
+    setEntropySource(source) {
+        this.entropySource = source;
+    }
+
+    /**
+     * Mix external entropy into a deterministic value
+     */
+    mixEntropy(value) {
+        if (!this.entropySource) return value;
+
+        const entropy = this.entropySource();
+        return (value + entropy) % 1;
+    }
+
+    /**
+     * Get state of every stream (for save/restore)
+     */
+    getState() {
+        const streams = {};
+        this.streams.forEach((stream, name) => {
+            streams[name] = stream.getState();
+        });
+        return { seed: this.seed, streams };
+    }
+
+    /**
+     * Restore state of every stream
+     */
+    setState(state) {
+        this.reseed(state.seed);
+        Object.entries(state.streams || {}).forEach(([name, value]) => {
+            this.stream(name).setState(value);
+        });
+    }
+
+    /**
+     * Generate a fresh random seed
+     */
+    static generateSeed() {
+        if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+            return crypto.getRandomValues(new Uint32Array(1))[0];
+        }
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    }
+
+    /**
+     * Hash a string to a 32-bit integer (FNV-1a)
+     */
+    static hashString(str) {
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < str.length; i++) {
+            hash ^= str.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+}
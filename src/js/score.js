@@ -4,6 +4,17 @@
  */
 
 import { CONFIG } from './config.js';
+import { GameEvents } from './events.js';
+
+/**
+ * Completion record per return ramp (speed in units/s as the ball leaves the top)
+ */
+function createRampRecords() {
+    return {
+        left: { completions: 0, lastSpeed: 0, bestSpeed: 0 },
+        right: { completions: 0, lastSpeed: 0, bestSpeed: 0 }
+    };
+}
 
 export class ScoreManager {
     constructor(game) {
@@ -32,6 +43,9 @@ export class ScoreManager {
             targetsHit: 0,
             jackpotsWon: 0
         };
+        
+        // Ramp completion speeds (a faster completion than the best scores a speed record)
+        this.rampRecords = createRampRecords();
     }
 
     /**
@@ -39,9 +53,40 @@ export class ScoreManager {
      */
     init() {
         this.reset();
+        this.subscribeToEvents();
         console.log('Score manager initialized');
     }
 
+    /**
+     * Subscribe to gameplay events that award points or change the multiplier
+     */
+    subscribeToEvents() {
+        const events = this.game.events;
+        
+        events.on(GameEvents.PEG_HIT, () => this.addPegHit());
+        events.on(GameEvents.BUMPER_HIT, () => {
+            // Bumpers score nothing while the game is tilted
+            if (!this.game.tilt.isTilted) this.addBumperHit();
+        });
+        events.on(GameEvents.TARGET_HIT, ({ isBonus }) => this.addTargetHit(isBonus));
+        events.on(GameEvents.TARGETS_COMPLETE, () => this.addAllTargetsComplete());
+        events.on(GameEvents.RAMP_COMPLETE, ({ side, speed }) => this.addRampCompletion(side, speed));
+        events.on(GameEvents.FUNNEL_CAPTURE, () => this.addJackpotEntry());
+        events.on(GameEvents.VPOCKET_ENTER, ({ points }) => this.addScore(points));
+        events.on(GameEvents.TULIP_ENTER, ({ points }) => this.addScore(points));
+        events.on(GameEvents.ATTACKER_ENTER, ({ points }) => this.addScore(points));
+        events.on(GameEvents.MULTIBALL_JACKPOT, ({ points }) => this.addScore(points));
+        events.on(GameEvents.SKILL_SHOT, ({ points }) => this.addScore(points));
+        
+        events.on(GameEvents.FEATURE_ZONE_HIT, ({ zoneType, value }) => {
+            if (zoneType === 'MULTIPLIER') {
+                this.setSessionMultiplier(value);
+            }
+        });
+        events.on(GameEvents.FEVER_START, ({ multiplier }) => this.setSessionMultiplier(multiplier));
+        events.on(GameEvents.FEVER_END, () => this.setSessionMultiplier(1));
+    }
+
     /**
      * Update score system
      */
@@ -102,14 +147,26 @@ export class ScoreManager {
     }
 
     /**
-     * Add ramp completion score
+     * Add ramp completion score and record the completion speed
+     * Beating the ramp's best speed (after its first completion) scores a speed record bonus
      */
-    addRampCompletion() {
+    addRampCompletion(side, speed) {
         const points = CONFIG.SCORING.RAMP_COMPLETION;
         const awarded = this.addScore(points);
         this.incrementCombo();
         this.stats.rampsCompleted++;
         
+        const record = this.rampRecords[side];
+        const isSpeedRecord = record.completions > 0 && speed > record.bestSpeed;
+        record.completions++;
+        record.lastSpeed = speed;
+        record.bestSpeed = Math.max(record.bestSpeed, speed);
+        
+        if (isSpeedRecord) {
+            const bonus = this.addScore(CONFIG.SCORING.RAMP_SPEED_RECORD);
+            this.game.ui.showEventNotification(`${side.toUpperCase()} RAMP RECORD ${speed.toFixed(1)}! +${bonus}`, '#00ffff');
+        }
+        
         // Achievement check
         if (!this.achievements.firstRamp) {
             this.achievements.firstRamp = true;
@@ -215,8 +272,46 @@ export class ScoreManager {
             jackpotsWon: 0
         };
         
+        this.rampRecords = createRampRecords();
+        
         this.game.ui.updateScore(0);
         this.game.ui.updateMultiplier(1);
         this.game.ui.updateCombo(0);
     }
+
+    /**
+     * Capture score, multiplier, combo, achievements, stats and ramp records
+     */
+    snapshot() {
+        return {
+            currentScore: this.currentScore,
+            sessionMultiplier: this.sessionMultiplier,
+            comboCount: this.comboCount,
+            comboTimer: this.comboTimer,
+            achievements: { ...this.achievements },
+            stats: { ...this.stats },
+            rampRecords: {
+                left: { ...this.rampRecords.left },
+                right: { ...this.rampRecords.right }
+            }
+        };
+    }
+
+    /**
+     * Restore score state (after reset)
+     */
+    restore(snapshot) {
+        this.currentScore = snapshot.currentScore;
+        this.sessionMultiplier = snapshot.sessionMultiplier;
+        this.comboCount = snapshot.comboCount;
+        this.comboTimer = snapshot.comboTimer;
+        Object.assign(this.achievements, snapshot.achievements);
+        Object.assign(this.stats, snapshot.stats);
+        Object.assign(this.rampRecords.left, snapshot.rampRecords.left);
+        Object.assign(this.rampRecords.right, snapshot.rampRecords.right);
+        
+        this.game.ui.updateScore(this.currentScore);
+        this.game.ui.updateMultiplier(this.sessionMultiplier);
+        this.game.ui.updateCombo(this.comboCount);
+    }
 }
@@ -0,0 +1,141 @@
+/**
+ * Skill Shot
+ * One of the lanes on the top arch is lit, and the light moves to the next lane
+ * every ROTATE_INTERVAL. A launched ball whose first contact is the lit lane scores
+ * the skill shot. Any physics contact (a pin, a ramp, another ball...) or other event
+ * involving the ball (a bumper, an unlit lane, a drain...) counts as its first contact
+ * and uses the chance up. The back wall the ball rolls on and the front glass don't count.
+ */
+
+import { CONFIG } from './config.js';
+import { GameEvents, ALL_EVENTS } from './events.js';
+
+export class SkillShot {
+    constructor(game) {
+        this.game = game;
+
+        // Index of the lit lane
+        this.litLane = 0;
+
+        // Light rotation (simulation clock id)
+        this.rotateTimer = null;
+
+        // Ids of launched balls that haven't touched anything yet
+        this.armed = new Set();
+    }
+
+    /**
+     * Initialize the skill shot (after the playfield and the ball pool)
+     */
+    init() {
+        const events = this.game.events;
+
+        events.on(GameEvents.BALL_LAUNCH, ({ ballId }) => this.armed.add(ballId));
+        events.on(ALL_EVENTS, ({ type, ballId }) => {
+            if (ballId !== undefined && type !== GameEvents.BALL_LAUNCH) {
+                this.armed.delete(ballId);
+            }
+        });
+
+        // Contacts that raise no event (pins, ramps, other balls) use the chance up too
+        this.game.balls.pool.forEach(ball => {
+            this.game.physics.addCollisionListener(ball.body, ({ body }) => {
+                const { isBackWall, isFrontGlass } = body.userData || {};
+                if (!isBackWall && !isFrontGlass) this.armed.delete(ball.id);
+            });
+        });
+
+        this.lightLane(0);
+
+        console.log(`Skill shot initialized with ${this.lanes.length} lanes`);
+    }
+
+    /**
+     * The playfield's skill-shot lanes
+     */
+    get lanes() {
+        return this.game.playfield.skillShotLanes;
+    }
+
+    /**
+     * Handle a ball entering a skill-shot lane
+     */
+    onLaneEnter(ballBody, index) {
+        const ballId = ballBody.userData.ballId;
+        if (!this.armed.has(ballId)) return;
+        this.armed.delete(ballId);
+
+        if (index !== this.litLane || this.game.tilt.isTilted) return;
+
+        this.game.playfield.emitBallEvent(GameEvents.SKILL_SHOT, ballBody, {
+            lane: index,
+            points: CONFIG.SKILL_SHOT.POINTS
+        });
+    }
+
+    /**
+     * Light a lane (and only that lane)
+     */
+    lightLane(index) {
+        this.litLane = index;
+
+        this.lanes.forEach(lane => {
+            const lit = lane.index === index;
+            lane.lamp.material.color.setHex(lit ? 0xff00ff : 0x333333);
+            lane.lamp.material.emissiveIntensity = lit ? 1 : 0;
+        });
+    }
+
+    /**
+     * Move the light to the next lane after a delay (the full interval unless restoring)
+     */
+    scheduleRotation(delay = CONFIG.SKILL_SHOT.ROTATE_INTERVAL) {
+        this.rotateTimer = this.game.clock.schedule(() => {
+            this.lightLane((this.litLane + 1) % this.lanes.length);
+            this.scheduleRotation();
+        }, delay);
+    }
+
+    /**
+     * Forget launched balls that left play without touching anything
+     */
+    update() {
+        if (this.armed.size === 0) return;
+
+        const inPlay = new Set([...this.game.balls.activeBalls].map(ball => ball.id));
+        for (const id of this.armed) {
+            if (!inPlay.has(id)) this.armed.delete(id);
+        }
+    }
+
+    /**
+     * Reset for a new session (the rotation timer was dropped with the clock's timers)
+     */
+    reset() {
+        this.armed.clear();
+        this.lightLane(0);
+        this.scheduleRotation();
+    }
+
+    /**
+     * Capture the lit lane, its remaining time and the armed balls
+     */
+    snapshot() {
+        return {
+            litLane: this.litLane,
+            rotateRemaining: this.game.clock.getRemaining(this.rotateTimer),
+            armed: [...this.armed]
+        };
+    }
+
+    /**
+     * Restore the lit lane and armed balls (after reset, with balls in flight restored)
+     */
+    restore(snapshot) {
+        this.game.clock.cancel(this.rotateTimer);
+        this.lightLane(snapshot.litLane);
+        this.scheduleRotation(snapshot.rotateRemaining);
+
+        snapshot.armed.forEach(id => this.armed.add(id));
+    }
+}
@@ -0,0 +1,120 @@
+/**
+ * Slow Motion
+ * Slows the simulation for dramatic moments: the last jackpot reel when the
+ * first two match, and a ball hovering over the JACKPOT V-pocket.
+ * Only the playback rate changes; outcomes are the same at any time scale.
+ */
+
+import { CONFIG } from './config.js';
+import { GameEvents } from './events.js';
+
+export class SlowMotion {
+    constructor(game) {
+        this.game = game;
+
+        // Simulation tick slow motion lasts until (0 = inactive)
+        this.untilTick = 0;
+
+        // Stopped reel symbols of the current spin
+        this.reels = [];
+
+        // JACKPOT V-pocket position (null if the table has none)
+        this.pocket = null;
+    }
+
+    /**
+     * Initialize slow motion triggers
+     */
+    init() {
+        const settings = CONFIG.TIME_SCALE.SLOW_MOTION;
+        this.pocket = this.game.table.pockets.find(pocket => pocket.label === settings.POCKET_LABEL) || null;
+
+        const events = this.game.events;
+
+        events.on(GameEvents.JACKPOT_SPIN, () => {
+            this.reels = [];
+        });
+
+        // Two matching reels: hold slow motion until the last reel has stopped
+        events.on(GameEvents.JACKPOT_REEL_STOP, ({ reel, symbol }) => {
+            this.reels[reel] = symbol;
+
+            if (reel === 1 && this.reels[0] === symbol) {
+                this.hold(CONFIG.JACKPOT.SPIN_DURATION * 0.25 + settings.HOLD);
+            }
+        });
+
+        console.log('Slow motion initialized');
+    }
+
+    /**
+     * Keep slow motion active for at least the given simulation seconds
+     */
+    hold(seconds) {
+        if (!CONFIG.TIME_SCALE.SLOW_MOTION.ENABLED) return;
+
+        const clock = this.game.clock;
+        const wasActive = this.isActive;
+
+        this.untilTick = Math.max(this.untilTick, clock.tick + clock.secondsToTicks(seconds));
+
+        if (!wasActive) {
+            this.game.applyTimeScale();
+        }
+    }
+
+    /**
+     * Whether slow motion is active
+     */
+    get isActive() {
+        return this.game.clock.tick < this.untilTick;
+    }
+
+    /**
+     * Time scale factor for the current tick
+     */
+    get factor() {
+        return this.isActive ? CONFIG.TIME_SCALE.SLOW_MOTION.SCALE : 1;
+    }
+
+    /**
+     * Check hover triggers and end slow motion once its hold has passed
+     */
+    update() {
+        if (this.pocket && this.isBallNearPocket()) {
+            this.hold(CONFIG.TIME_SCALE.SLOW_MOTION.HOLD);
+        }
+
+        if (this.untilTick !== 0 && !this.isActive) {
+            this.untilTick = 0;
+            this.game.applyTimeScale();
+        }
+    }
+
+    /**
+     * Whether any ball in flight is hovering (slow) over the JACKPOT V-pocket
+     */
+    isBallNearPocket() {
+        const { POCKET_RADIUS, HOVER_SPEED } = CONFIG.TIME_SCALE.SLOW_MOTION;
+
+        for (const ball of this.game.balls.activeBalls) {
+            const { position, velocity } = ball.body;
+            const dx = position.x - this.pocket.x;
+            const dy = position.y - this.pocket.y;
+
+            if (dx * dx + dy * dy < POCKET_RADIUS * POCKET_RADIUS &&
+                velocity.lengthSquared() < HOVER_SPEED * HOVER_SPEED) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Reset for a new session
+     */
+    reset() {
+        this.untilTick = 0;
+        this.reels = [];
+    }
+}
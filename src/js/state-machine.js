@@ -0,0 +1,168 @@
+/**
+ * State Machine
+ * Declarative finite state machine with allowed transitions, guards and enter/exit hooks
+ */
+
+/**
+ * Thrown by strict machines on a transition that is not declared
+ */
+export class InvalidTransitionError extends Error {
+    constructor(from, to) {
+        super(`Invalid state transition: ${from} -> ${to}`);
+        this.name = 'InvalidTransitionError';
+        this.from = from;
+        this.to = to;
+    }
+}
+
+/**
+ * @typedef {Object} StateDefinition
+ * @property {string[]} transitions - States this state may transition to
+ * @property {function(string, *): boolean} [guard] - Called with (from, data); return false to refuse entry
+ * @property {function(string, *): void} [onEnter] - Called with (from, data) after entering
+ * @property {function(string, *): void} [onExit] - Called with (to, data) before leaving
+ */
+
+export class StateMachine {
+    /**
+     * @param {Object} options
+     * @param {string} options.initial - Initial state (its onEnter is not called)
+     * @param {Object<string, StateDefinition>} options.states - State definitions by name
+     * @param {boolean} [options.strict] - Throw on invalid transitions instead of logging them
+     * @param {function(string, string, *): void} [options.onTransition] - Called with (from, to, data) after every change
+     */
+    constructor({ initial, states, strict = false, onTransition = null }) {
+        this.states = states;
+        this.strict = strict;
+        this.onTransition = onTransition;
+
+        this.validateDefinitions();
+
+        if (!this.states[initial]) {
+            throw new Error(`Unknown initial state: ${initial}`);
+        }
+        this.current = initial;
+
+        // Set while hooks run so a hook can't start a nested transition
+        this.transitioning = false;
+    }
+
+    /**
+     * Check every declared transition targets a known state
+     */
+    validateDefinitions() {
+        Object.entries(this.states).forEach(([name, definition]) => {
+            (definition.transitions || []).forEach(target => {
+                if (!this.states[target]) {
+                    throw new Error(`State ${name} declares a transition to unknown state ${target}`);
+                }
+            });
+        });
+    }
+
+    /**
+     * Current state
+     */
+    get state() {
+        return this.current;
+    }
+
+    /**
+     * Whether the current state is one of the given states
+     */
+    is(...states) {
+        return states.includes(this.current);
+    }
+
+    /**
+     * Whether a transition is declared from the current state to `to`
+     * and the target's guard allows it
+     */
+    can(to, data) {
+        if (!this.isAllowed(to)) return false;
+
+        const guard = this.states[to].guard;
+        return !guard || guard(this.current, data) !== false;
+    }
+
+    /**
+     * Whether a transition is declared from the current state to `to`
+     */
+    isAllowed(to) {
+        const transitions = this.states[this.current].transitions || [];
+        return transitions.includes(to);
+    }
+
+    /**
+     * Transition to a new state
+     * Undeclared transitions throw (strict) or are logged and ignored
+     * A failing guard refuses the transition without an error
+     * @returns {boolean} Whether the state changed
+     */
+    transition(to, data) {
+        if (this.transitioning) {
+            return this.reject(new Error(`Cannot transition to ${to} while a transition to ${this.current} is in progress`));
+        }
+
+        if (!this.states[to] || !this.isAllowed(to)) {
+            return this.reject(new InvalidTransitionError(this.current, to));
+        }
+
+        const guard = this.states[to].guard;
+        if (guard && guard(this.current, data) === false) {
+            return false;
+        }
+
+        this.change(to, data);
+        return true;
+    }
+
+    /**
+     * Enter a state regardless of the declared transitions (e.g. starting a new session)
+     * Exit and enter hooks still run
+     */
+    reset(to, data) {
+        if (!this.states[to]) {
+            return this.reject(new Error(`Unknown state: ${to}`));
+        }
+
+        this.change(to, data);
+        return true;
+    }
+
+    /**
+     * Run exit hook, switch state, run enter hook
+     */
+    change(to, data) {
+        const from = this.current;
+
+        this.transitioning = true;
+        try {
+            const exit = this.states[from].onExit;
+            if (exit) exit(to, data);
+
+            this.current = to;
+
+            const enter = this.states[to].onEnter;
+            if (enter) enter(from, data);
+        } finally {
+            this.transitioning = false;
+        }
+
+        if (this.onTransition) {
+            this.onTransition(from, to, data);
+        }
+    }
+
+    /**
+     * Report an invalid transition
+     */
+    reject(error) {
+        if (this.strict) {
+            throw error;
+        }
+
+        console.warn(error.message);
+        return false;
+    }
+}
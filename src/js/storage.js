@@ -6,6 +6,10 @@
 export class StorageManager {
     constructor() {
         this.STORAGE_KEY = 'pachinkoPinball_v1';
+        
+        // Saved session (kept apart so high scores survive a corrupt snapshot)
+        this.SESSION_KEY = 'pachinkoPinball_v1_session';
+        
         this.data = this.load();
     }
 
@@ -13,6 +17,11 @@ export class StorageManager {
      * Load data from localStorage
      */
     load() {
+        // No persistence outside the browser (headless runs keep data in memory)
+        if (typeof localStorage === 'undefined') {
+            return this.getDefaultData();
+        }
+        
         try {
             const saved = localStorage.getItem(this.STORAGE_KEY);
             if (saved) {
@@ -49,6 +58,8 @@ export class StorageManager {
      * Save data to localStorage
      */
     save() {
+        if (typeof localStorage === 'undefined') return;
+        
         try {
             localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.data));
         } catch (e) {
@@ -135,6 +146,50 @@ export class StorageManager {
         this.save();
     }
 
+    /**
+     * Save a session snapshot to continue later
+     */
+    saveSnapshot(snapshot) {
+        if (typeof localStorage === 'undefined') return;
+        
+        try {
+            localStorage.setItem(this.SESSION_KEY, JSON.stringify(snapshot));
+        } catch (e) {
+            console.warn('Failed to save session:', e);
+        }
+    }
+
+    /**
+     * Load the saved session snapshot (null if there is none)
+     */
+    loadSnapshot() {
+        if (typeof localStorage === 'undefined') return null;
+        
+        try {
+            const saved = localStorage.getItem(this.SESSION_KEY);
+            if (saved) {
+                return JSON.parse(saved);
+            }
+        } catch (e) {
+            console.warn('Failed to load saved session:', e);
+        }
+        
+        return null;
+    }
+
+    /**
+     * Remove the saved session snapshot
+     */
+    clearSnapshot() {
+        if (typeof localStorage === 'undefined') return;
+        
+        try {
+            localStorage.removeItem(this.SESSION_KEY);
+        } catch (e) {
+            console.warn('Failed to clear saved session:', e);
+        }
+    }
+
     /**
      * Clear all data
      */
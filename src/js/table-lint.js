@@ -0,0 +1,474 @@
+/**
+ * Table Lint
+ * Finds layout problems that otherwise only show up as stuck or lost balls:
+ * overlapping pegs, gaps a ball can't pass (and can wedge in), pegs inside skip
+ * zones, triggers no ball can reach and differences between the left and right
+ * halves of the table.
+ *
+ * A table file and a built (headless) playfield are both reduced to the same
+ * top-down layout of circles, boxes and trigger volumes on the playing surface.
+ * Only pegs, bumpers and walls block balls here; the slot machine, funnel, ramps
+ * and flippers are left out.
+ *
+ * A table can accept known findings in its lint.accepted list ({ rule, x, y, reason }):
+ * they are still reported, marked accepted, but don't count as errors.
+ */
+
+import { CONFIG } from './config.js';
+import { getPegLayout, getKeepOutZones, getArcSegments, isInZone, toRadians } from './table.js';
+
+/**
+ * Rule names reported with each issue
+ */
+export const LINT_RULES = {
+    OVERLAP: 'overlap',
+    NARROW_GAP: 'narrow-gap',
+    SKIP_ZONE: 'skip-zone',
+    UNREACHABLE: 'unreachable-trigger',
+    ASYMMETRY: 'asymmetry'
+};
+
+/**
+ * @typedef {Object} LintLayout
+ * @property {{x: number, y: number, radius: number, label: string, source: string}[]} pegs - source is the peg's pattern or table label
+ * @property {{x: number, y: number, radius: number, label: string}[]} bumpers
+ * @property {{x: number, y: number, halfX: number, halfY: number, angle: number, label: string}[]} walls - Boxes (angle in radians)
+ * @property {Object[]} triggers - { kind, label, x, y } with a radius (sphere) or halfX, halfY and angle (box)
+ * @property {Object[]} zones - Skip zones (see getKeepOutZones)
+ * @property {{x: number, y: number}} start - Where balls come into play
+ * @property {Object[]} accepted - Findings the table accepts (its lint.accepted list)
+ */
+
+/**
+ * @typedef {Object} LintIssue
+ * @property {string} rule - One of LINT_RULES
+ * @property {'error'|'warning'} severity
+ * @property {string} message
+ * @property {number} x
+ * @property {number} y
+ * @property {string} [accepted] - Reason, when the table accepts this finding
+ */
+
+/**
+ * Where the cannon puts new balls (see Cannon.getSpawnPosition)
+ */
+function getBallStart() {
+    const cannon = CONFIG.CANNON.POSITION;
+    return { x: cannon.x, y: cannon.y + 1 };
+}
+
+/**
+ * Layout described by a table file
+ * Device triggers are taken as circles of CONFIG.TABLE_LINT.TRIGGER_RADIUS
+ * @returns {LintLayout}
+ */
+export function getTableLintLayout(table) {
+    const pegRadius = CONFIG.PLAYFIELD.PEGS.RADIUS;
+    const bumperRadius = CONFIG.PLAYFIELD.BUMPERS.RADIUS;
+    const radius = CONFIG.TABLE_LINT.TRIGGER_RADIUS;
+
+    const walls = table.walls.flatMap((wall, index) => {
+        const label = wall.label || `${wall.type} wall ${index + 1}`;
+
+        if (wall.type === 'arc') {
+            return getArcSegments(wall).map(({ x, y, length, angle }) => ({
+                x, y, halfX: length / 2, halfY: wall.thickness / 2, angle, label
+            }));
+        }
+
+        return [{
+            x: wall.position.x,
+            y: wall.position.y,
+            halfX: wall.halfExtents.x,
+            halfY: wall.halfExtents.y,
+            angle: toRadians(wall.angle || 0),
+            label
+        }];
+    });
+
+    const trigger = (kind, label, { x, y }) => ({ kind, label, x, y, radius });
+    const triggers = [
+        ...table.targets.map((target, i) => trigger('target', `target ${i + 1}`, target)),
+        ...table.pockets.map((pocket, i) => trigger('pocket', `${pocket.label} ${i + 1}`, pocket)),
+        ...table.saucers.map((saucer, i) => trigger('saucer', `saucer ${i + 1}`, saucer)),
+        ...table.gates.map((gate, i) => trigger('tulip gate', `tulip gate ${i + 1}`, gate)),
+        ...table.featureZones.map((zone, i) => trigger('feature zone', `${zone.type} zone ${i + 1}`, zone)),
+        ...table.ramps.map(ramp => trigger('ramp entrance', `${ramp.side} ramp entrance`, ramp.entrance)),
+        ...table.drains.map(drain => trigger('drain', `${drain.side} drain`, drain)),
+        ...(table.attacker ? [trigger('attacker', 'attacker', table.attacker)] : []),
+        trigger('funnel', 'funnel', table.funnel)
+    ];
+
+    return {
+        pegs: getPegLayout(table).map(({ x, y, label }, i) => ({
+            x, y, radius: pegRadius, source: label, label: label ? `peg "${label}"` : `peg ${i + 1}`
+        })),
+        bumpers: table.bumpers.map(({ x, y }, i) => ({ x, y, radius: bumperRadius, label: `bumper ${i + 1}` })),
+        walls,
+        triggers,
+        zones: getKeepOutZones(table),
+        start: getBallStart(),
+        accepted: table.lint?.accepted ?? []
+    };
+}
+
+/**
+ * Name a trigger volume after its userData flag (isTulipGate -> 'tulip gate')
+ */
+function getTriggerKind(userData) {
+    const flag = Object.keys(userData).find(key => /^is[A-Z]/.test(key) && userData[key] === true);
+    if (!flag) return 'trigger';
+
+    return flag.slice(2).replace(/(?!^)([A-Z])/g, ' $1').toLowerCase();
+}
+
+/**
+ * Layout of a built playfield (the pegs, walls and trigger volumes the game actually made)
+ * @param {Object} game - An initialized (headless) game
+ * @returns {LintLayout}
+ */
+export function getPlayfieldLintLayout(game) {
+    const { playfield, triggers } = game;
+    const pegRadius = CONFIG.PLAYFIELD.PEGS.RADIUS;
+    const bumperRadius = CONFIG.PLAYFIELD.BUMPERS.RADIUS;
+
+    // Box angle about the playfield normal from a body or volume quaternion
+    const angleOf = (q) => 2 * Math.atan2(q.z, q.w);
+
+    return {
+        pegs: playfield.pegs.map(({ position }, i) => ({ x: position.x, y: position.y, radius: pegRadius, label: `peg ${i + 1}` })),
+        bumpers: playfield.bumpers.map(({ position }, i) => ({ x: position.x, y: position.y, radius: bumperRadius, label: `bumper ${i + 1}` })),
+        walls: playfield.walls.map(({ body }, i) => {
+            const half = body.shapes[0].halfExtents;
+            return {
+                x: body.position.x,
+                y: body.position.y,
+                halfX: half.x,
+                halfY: half.y,
+                angle: angleOf(body.quaternion),
+                label: `wall ${i + 1}`
+            };
+        }),
+        triggers: triggers.volumes.map(volume => {
+            const { userData, shape, position } = volume;
+            const kind = getTriggerKind(userData);
+            const details = [
+                userData.index !== undefined ? userData.index + 1 : null,
+                userData.side,
+                userData.checkpoint
+            ].filter(detail => detail !== null && detail !== undefined);
+            const label = [kind, ...details].join(' ');
+
+            if (shape.radius !== undefined) {
+                return { kind, label, x: position.x, y: position.y, radius: shape.radius };
+            }
+            return {
+                kind,
+                label,
+                x: position.x,
+                y: position.y,
+                halfX: shape.halfExtents.x,
+                halfY: shape.halfExtents.y,
+                angle: angleOf(volume.quaternion)
+            };
+        }),
+        zones: getKeepOutZones(game.table),
+        start: getBallStart(),
+        accepted: game.table.lint?.accepted ?? []
+    };
+}
+
+/**
+ * Distance from a point to a box on the playing surface (0 inside)
+ */
+function distanceToBox(x, y, box) {
+    const cos = Math.cos(box.angle);
+    const sin = Math.sin(box.angle);
+    const dx = x - box.x;
+    const dy = y - box.y;
+    const localX = dx * cos + dy * sin;
+    const localY = -dx * sin + dy * cos;
+
+    return Math.hypot(Math.max(Math.abs(localX) - box.halfX, 0), Math.max(Math.abs(localY) - box.halfY, 0));
+}
+
+/**
+ * Half-size of a box's axis-aligned bounds
+ */
+function boxReach(box) {
+    const cos = Math.abs(Math.cos(box.angle));
+    const sin = Math.abs(Math.sin(box.angle));
+    return {
+        x: box.halfX * cos + box.halfY * sin,
+        y: box.halfX * sin + box.halfY * cos
+    };
+}
+
+/**
+ * Format a number for messages
+ */
+function format(value) {
+    return value.toFixed(3);
+}
+
+/**
+ * Overlapping pegs and bumpers, and gaps between them (or against a wall) narrower than a ball
+ * Overlaps are errors; narrow gaps are warnings, since nails set closer than a ball are
+ * how a pachinko board blocks and steers balls
+ */
+function checkSpacing(layout, issues) {
+    const ballDiameter = 2 * CONFIG.PHYSICS.BALL.RADIUS;
+    const circles = [
+        ...layout.pegs.map(peg => ({ ...peg, isPeg: true })),
+        ...layout.bumpers
+    ];
+
+    const report = (gap, a, b, x, y) => {
+        if (gap < 0) {
+            issues.push({
+                rule: LINT_RULES.OVERLAP,
+                severity: 'error',
+                message: `Overlap of ${format(-gap)} between ${a.label} and ${b.label}`,
+                x, y
+            });
+        } else if (gap < ballDiameter) {
+            issues.push({
+                rule: LINT_RULES.NARROW_GAP,
+                severity: 'warning',
+                message: `Gap of ${format(gap)} between ${a.label} and ${b.label} is narrower than a ball (${format(ballDiameter)})`,
+                x, y
+            });
+        }
+    };
+
+    circles.forEach((a, i) => {
+        for (let j = i + 1; j < circles.length; j++) {
+            const b = circles[j];
+            // Bumpers are spaced by design; only pegs are checked against them
+            if (!a.isPeg && !b.isPeg) continue;
+
+            const gap = Math.hypot(a.x - b.x, a.y - b.y) - a.radius - b.radius;
+            report(gap, a, b, (a.x + b.x) / 2, (a.y + b.y) / 2);
+        }
+
+        // Closest box of each wall (an arc wall is several boxes)
+        const wallGaps = new Map();
+        layout.walls.forEach(wall => {
+            const gap = distanceToBox(a.x, a.y, wall) - a.radius;
+            const closest = wallGaps.get(wall.label);
+            if (!closest || gap < closest.gap) wallGaps.set(wall.label, { gap, wall });
+        });
+        wallGaps.forEach(({ gap, wall }) => report(gap, a, wall, a.x, a.y));
+    });
+}
+
+/**
+ * Pegs inside a skip zone (a keep-out area or a device's clearance)
+ */
+function checkSkipZones(layout, issues) {
+    layout.pegs.forEach(peg => {
+        const zone = layout.zones.find(zone => isInZone(peg.x, peg.y, zone));
+        if (!zone) return;
+
+        issues.push({
+            rule: LINT_RULES.SKIP_ZONE,
+            severity: 'warning',
+            message: `Skip zone ${zone.label ? `"${zone.label}" ` : ''}contains ${peg.label}`,
+            x: peg.x,
+            y: peg.y
+        });
+    });
+}
+
+/**
+ * Triggers no ball can reach from where balls come into play
+ * Flood-fills the cells a ball's centre can occupy (clear of pegs, bumpers and walls by
+ * a ball radius) inside the walls' bounds, starting from the cannon
+ */
+function checkReachability(layout, issues) {
+    const ballRadius = CONFIG.PHYSICS.BALL.RADIUS;
+    const step = CONFIG.TABLE_LINT.GRID_STEP;
+    if (layout.walls.length === 0) return;
+
+    // Grid over the walls' bounds
+    let xMin = Infinity, xMax = -Infinity, yMin = Infinity, yMax = -Infinity;
+    layout.walls.forEach(wall => {
+        const reach = boxReach(wall);
+        xMin = Math.min(xMin, wall.x - reach.x);
+        xMax = Math.max(xMax, wall.x + reach.x);
+        yMin = Math.min(yMin, wall.y - reach.y);
+        yMax = Math.max(yMax, wall.y + reach.y);
+    });
+    const columns = Math.ceil((xMax - xMin) / step) + 1;
+    const rows = Math.ceil((yMax - yMin) / step) + 1;
+    const cellX = (column) => xMin + column * step;
+    const cellY = (row) => yMin + row * step;
+
+    // Visit the cells within a region's bounds
+    const forCells = (x, y, reachX, reachY, visit) => {
+        const c0 = Math.max(0, Math.floor((x - reachX - xMin) / step));
+        const c1 = Math.min(columns - 1, Math.ceil((x + reachX - xMin) / step));
+        const r0 = Math.max(0, Math.floor((y - reachY - yMin) / step));
+        const r1 = Math.min(rows - 1, Math.ceil((y + reachY - yMin) / step));
+        for (let row = r0; row <= r1; row++) {
+            for (let column = c0; column <= c1; column++) {
+                visit(row * columns + column, cellX(column), cellY(row));
+            }
+        }
+    };
+
+    // Cells a ball's centre can't be in
+    const blocked = new Uint8Array(columns * rows);
+    [...layout.pegs, ...layout.bumpers].forEach(circle => {
+        const reach = circle.radius + ballRadius;
+        forCells(circle.x, circle.y, reach, reach, (cell, x, y) => {
+            if (Math.hypot(x - circle.x, y - circle.y) < reach) blocked[cell] = 1;
+        });
+    });
+    layout.walls.forEach(wall => {
+        const reach = boxReach(wall);
+        forCells(wall.x, wall.y, reach.x + ballRadius, reach.y + ballRadius, (cell, x, y) => {
+            if (distanceToBox(x, y, wall) < ballRadius) blocked[cell] = 1;
+        });
+    });
+
+    // Start from the free cell nearest the cannon
+    let start = -1;
+    let startDistance = Infinity;
+    for (let cell = 0; cell < blocked.length; cell++) {
+        if (blocked[cell]) continue;
+        const distance = Math.hypot(cellX(cell % columns) - layout.start.x, cellY(Math.floor(cell / columns)) - layout.start.y);
+        if (distance < startDistance) {
+            start = cell;
+            startDistance = distance;
+        }
+    }
+    if (start < 0) return;
+
+    const reached = new Uint8Array(columns * rows);
+    const queue = [start];
+    reached[start] = 1;
+    while (queue.length > 0) {
+        const cell = queue.pop();
+        const column = cell % columns;
+        const neighbours = [
+            column > 0 ? cell - 1 : -1,
+            column < columns - 1 ? cell + 1 : -1,
+            cell - columns,
+            cell + columns
+        ];
+        neighbours.forEach(next => {
+            if (next < 0 || next >= blocked.length || blocked[next] || reached[next]) return;
+            reached[next] = 1;
+            queue.push(next);
+        });
+    }
+
+    // A trigger is reachable if a reached ball position touches it
+    layout.triggers.forEach(trigger => {
+        let reachable = false;
+        const isBox = trigger.radius === undefined;
+        const reach = isBox ? boxReach(trigger) : { x: trigger.radius, y: trigger.radius };
+
+        forCells(trigger.x, trigger.y, reach.x + ballRadius, reach.y + ballRadius, (cell, x, y) => {
+            if (reachable || !reached[cell]) return;
+            reachable = isBox
+                ? distanceToBox(x, y, trigger) < ballRadius
+                : Math.hypot(x - trigger.x, y - trigger.y) < trigger.radius + ballRadius;
+        });
+
+        if (!reachable) {
+            issues.push({
+                rule: LINT_RULES.UNREACHABLE,
+                severity: 'error',
+                message: `No ball can reach the ${trigger.label}`,
+                x: trigger.x,
+                y: trigger.y
+            });
+        }
+    });
+}
+
+/**
+ * Pegs, bumpers and triggers without a mirror image across x = 0
+ * Reported once per peg source or device kind
+ */
+function checkSymmetry(layout, issues) {
+    const tolerance = CONFIG.TABLE_LINT.SYMMETRY_TOLERANCE;
+    const groups = [
+        ...layout.pegs.map(peg => ({ ...peg, kind: 'peg', group: peg.source ? `from "${peg.source}"` : '' })),
+        ...layout.bumpers.map(bumper => ({ ...bumper, kind: 'bumper', group: '' })),
+        ...layout.triggers.map(trigger => ({ ...trigger, group: '' }))
+    ];
+
+    const unmatched = new Map();
+    groups.forEach(device => {
+        const mirrored = groups.some(other => other.kind === device.kind &&
+            Math.abs(other.x + device.x) <= tolerance &&
+            Math.abs(other.y - device.y) <= tolerance);
+        if (mirrored) return;
+
+        const key = `${device.kind} ${device.group}`;
+        if (!unmatched.has(key)) unmatched.set(key, []);
+        unmatched.get(key).push(device);
+    });
+
+    unmatched.forEach(devices => {
+        const [first] = devices;
+        const noun = devices.length === 1 ? first.kind : `${first.kind}s`;
+        issues.push({
+            rule: LINT_RULES.ASYMMETRY,
+            severity: 'warning',
+            message: `No mirror image across x = 0 for ${[devices.length, noun, first.group].filter(Boolean).join(' ')} (first at ${format(first.x)}, ${format(first.y)})`,
+            x: first.x,
+            y: first.y
+        });
+    });
+}
+
+/**
+ * Mark the issues the layout's table accepts (same rule, within CONFIG.TABLE_LINT.ACCEPT_TOLERANCE)
+ */
+function markAccepted(layout, issues) {
+    const tolerance = CONFIG.TABLE_LINT.ACCEPT_TOLERANCE;
+
+    issues.forEach(issue => {
+        const match = layout.accepted.find(({ rule, x, y }) => rule === issue.rule &&
+            Math.abs(x - issue.x) <= tolerance &&
+            Math.abs(y - issue.y) <= tolerance);
+        if (match) issue.accepted = match.reason;
+    });
+}
+
+/**
+ * Whether an issue fails the lint (an error the table doesn't accept)
+ */
+export function isFailure(issue) {
+    return issue.severity === 'error' && issue.accepted === undefined;
+}
+
+/**
+ * Lint a layout
+ * @param {LintLayout} layout
+ * @returns {LintIssue[]} Errors first, then warnings
+ */
+export function lintLayout(layout) {
+    const issues = [];
+
+    checkSpacing(layout, issues);
+    checkSkipZones(layout, issues);
+    checkReachability(layout, issues);
+    checkSymmetry(layout, issues);
+    markAccepted(layout, issues);
+
+    const order = { error: 0, warning: 1 };
+    return issues.sort((a, b) => order[a.severity] - order[b.severity]);
+}
+
+/**
+ * Lint a table file
+ * @returns {LintIssue[]}
+ */
+export function lintTable(table) {
+    return lintLayout(getTableLintLayout(table));
+}
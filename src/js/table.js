@@ -0,0 +1,345 @@
+/**
+ * Table Layouts
+ * A table is a versioned JSON description of everything bolted to the playfield:
+ * walls, pegs and peg-pattern generators, bumpers, targets, pockets, saucers, tulip
+ * gates, feature zones, ramps, the attacker, the jackpot funnel and the drains. The
+ * playfield builds itself from the loaded table; the cabinet (size, arch, catcher,
+ * cannon, flippers) stays in CONFIG.
+ *
+ * Coordinates are playfield units ({x, y}, z is always the playing surface) and
+ * angles are degrees. Devices with a clearance keep generated pegs out of that radius.
+ */
+
+import { CONFIG } from './config.js';
+
+/**
+ * Table format version (bump when the layout format changes)
+ */
+export const TABLE_VERSION = 1;
+
+/**
+ * Table shipped with the game
+ */
+export const DEFAULT_TABLE_URL = new URL('../tables/default.json', import.meta.url);
+
+/**
+ * Peg finishes a table can use (material overrides on CONFIG.MATERIALS.PEG)
+ */
+export const PEG_MATERIALS = {
+    silver: { color: 0xC0C0C0, metalness: 0.9, roughness: 0.15 },
+    gold: { color: 0xD4A84B, metalness: 0.85, roughness: 0.2 },
+    red: { color: 0xff3333, metalness: 0.6, roughness: 0.3, emissive: 0x660000, emissiveIntensity: 0.3 }
+};
+
+/**
+ * Device lists every table has (may be empty)
+ */
+const DEVICE_LISTS = ['walls', 'pegs', 'pegPatterns', 'bumpers', 'targets', 'pockets', 'saucers', 'gates', 'featureZones', 'ramps', 'drains'];
+
+/**
+ * Generated pegs are also kept this far from the side walls
+ */
+const WALL_MARGIN = 0.8;
+
+/**
+ * Arc wall segments are this much longer than their share of the arc
+ */
+const ARC_SEGMENT_OVERLAP = 1.1;
+
+/**
+ * @typedef {Object} Table
+ * @property {number} version - Format version (TABLE_VERSION)
+ * @property {string} name - Display name
+ * @property {Object[]} keepOut - Extra peg-free areas: { xMin, xMax, yMin, yMax } or { x, y, radius }
+ * @property {Object[]} walls - { type: 'box', position, halfExtents, angle } or { type: 'arc', center, radius, thickness, halfDepth, segments, startAngle, endAngle }
+ * @property {Object[]} pegs - Single pegs { x, y, material }
+ * @property {Object[]} pegPatterns - Peg generators (see expandPegPattern), each with a material and avoid flag
+ * @property {Object[]} bumpers - { x, y, clearance }
+ * @property {Object[]} targets - { x, y, bonus }
+ * @property {Object[]} pockets - V-pockets { x, y, points, freeBalls, label, triggersSlot, clearance }
+ * @property {Object[]} saucers - Multiball saucers { x, y }
+ * @property {Object[]} gates - Tulip gates { x, y, points, payout, clearance, links } (links: see tulips.js)
+ * @property {Object[]} featureZones - { x, y, type, value, duration }
+ * @property {Object[]} ramps - { side, entrance, exit, segments, width, rise, clearance }
+ * @property {{x: number, y: number, width: number, clearance: number}} [attacker] - Attacker door centre (optional)
+ * @property {{x: number, y: number}} funnel - Jackpot funnel mouth
+ * @property {Object[]} drains - { side, x, y }
+ * @property {{accepted: Object[]}} [lint] - Table lint findings this layout accepts { rule, x, y, reason } (optional)
+ */
+
+/**
+ * Load a table from a URL (or file URL outside the browser), or take a table object as is
+ * @param {Table|string|URL} [source=DEFAULT_TABLE_URL]
+ * @returns {Promise<Table>}
+ */
+export async function loadTable(source = DEFAULT_TABLE_URL) {
+    if (typeof source === 'object' && !(source instanceof URL)) {
+        return validateTable(source);
+    }
+
+    const url = new URL(source, typeof document !== 'undefined' ? document.baseURI : DEFAULT_TABLE_URL);
+    let text;
+
+    if (url.protocol === 'file:') {
+        const { readFile } = await import('node:fs/promises');
+        text = await readFile(url, 'utf8');
+    } else {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load table ${url}: ${response.status}`);
+        }
+        text = await response.text();
+    }
+
+    return validateTable(JSON.parse(text));
+}
+
+/**
+ * Check a table's version and shape
+ * @returns {Table} The table
+ */
+export function validateTable(table) {
+    if (!table || table.version !== TABLE_VERSION) {
+        throw new Error(`Unsupported table version: ${table && table.version}`);
+    }
+
+    DEVICE_LISTS.forEach(key => {
+        if (!Array.isArray(table[key])) {
+            throw new Error(`Table "${table.name}" is missing its ${key} list`);
+        }
+    });
+
+    if (!table.funnel) {
+        throw new Error(`Table "${table.name}" has no funnel`);
+    }
+
+    [...table.pegs, ...table.pegPatterns].forEach(peg => {
+        if (!PEG_MATERIALS[peg.material]) {
+            throw new Error(`Unknown peg material: ${peg.material}`);
+        }
+    });
+
+    return table;
+}
+
+/**
+ * Deep copy of a table (tables are plain JSON data)
+ * @returns {Table}
+ */
+export function cloneTable(table) {
+    return JSON.parse(JSON.stringify(table));
+}
+
+/**
+ * Hash of a table's full data (32-bit FNV-1a over its JSON, as 8 hex digits)
+ * Tells apart layouts that share a name, e.g. an edited copy of the default table
+ */
+export function getTableHash(table) {
+    const text = JSON.stringify(table);
+    let hash = 0x811c9dc5;
+
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Convert degrees to radians
+ */
+export function toRadians(degrees) {
+    return degrees * Math.PI / 180;
+}
+
+/**
+ * Peg positions ({x, y}) produced by a peg-pattern generator
+ *
+ * arc        { center, radius, count, startAngle, endAngle, yScale }  (ellipse squashed by yScale)
+ * staggered  { xMin, xMax, yMax, yMin, hSpacing, vSpacing }           (rows top-down, odd rows shifted half a space)
+ * grid       { origin, columns, rows, spacing }                       (columns to the right, rows downward)
+ * line       { from, to, count }                                      (evenly spaced, both ends included)
+ * diamond    { center, size }                                         (eight pegs: four points and four diagonals)
+ */
+export function expandPegPattern(pattern) {
+    const positions = [];
+
+    switch (pattern.type) {
+        case 'arc': {
+            const start = toRadians(pattern.startAngle);
+            const step = (toRadians(pattern.endAngle) - start) / (pattern.count - 1);
+            for (let i = 0; i < pattern.count; i++) {
+                const angle = start + i * step;
+                positions.push({
+                    x: pattern.center.x + Math.cos(angle) * pattern.radius,
+                    y: pattern.center.y + Math.sin(angle) * pattern.radius * pattern.yScale
+                });
+            }
+            break;
+        }
+        case 'staggered': {
+            const { xMin, xMax, yMax, yMin, hSpacing, vSpacing } = pattern;
+            const perRow = Math.floor((xMax - xMin) / hSpacing);
+            let row = 0;
+            for (let y = yMax; y > yMin; y -= vSpacing) {
+                const offset = row % 2 === 1 ? hSpacing / 2 : 0;
+                for (let i = 0; i < perRow; i++) {
+                    positions.push({ x: xMin + offset + i * hSpacing, y });
+                }
+                row++;
+            }
+            break;
+        }
+        case 'grid': {
+            const { origin, columns, rows, spacing } = pattern;
+            for (let row = 0; row < rows; row++) {
+                for (let column = 0; column < columns; column++) {
+                    positions.push({ x: origin.x + column * spacing.x, y: origin.y - row * spacing.y });
+                }
+            }
+            break;
+        }
+        case 'line': {
+            const { from, to, count } = pattern;
+            for (let i = 0; i < count; i++) {
+                const t = count > 1 ? i / (count - 1) : 0;
+                positions.push({ x: from.x + (to.x - from.x) * t, y: from.y + (to.y - from.y) * t });
+            }
+            break;
+        }
+        case 'diamond': {
+            const { center, size } = pattern;
+            const diagonal = size * 0.7;
+            [
+                [0, size], [size, 0], [0, -size], [-size, 0],
+                [diagonal, diagonal], [diagonal, -diagonal], [-diagonal, diagonal], [-diagonal, -diagonal]
+            ].forEach(([dx, dy]) => positions.push({ x: center.x + dx, y: center.y + dy }));
+            break;
+        }
+        default:
+            throw new Error(`Unknown peg pattern: ${pattern.type}`);
+    }
+
+    return positions;
+}
+
+/**
+ * Peg-free areas: the table's keep-out areas plus a circle around every device with a clearance
+ * (device circles are labelled after the device)
+ */
+export function getKeepOutZones(table) {
+    const zones = [...table.keepOut];
+
+    table.bumpers.forEach(bumper => {
+        if (bumper.clearance) {
+            zones.push({ label: 'Bumper', x: bumper.x, y: bumper.y, radius: bumper.clearance });
+        }
+    });
+    table.pockets.forEach(pocket => {
+        if (pocket.clearance) {
+            zones.push({ label: pocket.label, x: pocket.x, y: pocket.y, radius: pocket.clearance });
+        }
+    });
+    table.gates.forEach(gate => {
+        if (gate.clearance) {
+            zones.push({ label: 'Tulip', x: gate.x, y: gate.y, radius: gate.clearance });
+        }
+    });
+    if (table.attacker && table.attacker.clearance) {
+        const { x, y, clearance } = table.attacker;
+        zones.push({ label: 'Attacker', x, y, radius: clearance });
+    }
+    table.ramps.forEach(ramp => {
+        if (ramp.clearance) {
+            zones.push({ label: `${ramp.side} ramp entrance`, x: ramp.entrance.x, y: ramp.entrance.y, radius: ramp.clearance });
+        }
+    });
+
+    return zones;
+}
+
+/**
+ * Whether a point lies in a keep-out zone (circle or rectangle)
+ */
+export function isInZone(x, y, zone) {
+    return zone.radius !== undefined
+        ? Math.hypot(x - zone.x, y - zone.y) < zone.radius
+        : x >= zone.xMin && x <= zone.xMax && y >= zone.yMin && y <= zone.yMax;
+}
+
+/**
+ * Whether a point lies in a keep-out zone or too close to the side walls
+ */
+export function isKeptOut(x, y, zones) {
+    if (Math.abs(x) > CONFIG.PLAYFIELD.WIDTH / 2 - WALL_MARGIN) return true;
+
+    return zones.some(zone => isInZone(x, y, zone));
+}
+
+/**
+ * Every peg on a table in build order: generated patterns first, then single pegs
+ * Patterns with avoid set drop pegs that fall in a keep-out zone
+ * Each peg keeps the label of its pattern or single peg
+ * @returns {{x: number, y: number, material: string, label: string}[]}
+ */
+export function getPegLayout(table) {
+    const zones = getKeepOutZones(table);
+    const pegs = [];
+
+    table.pegPatterns.forEach(pattern => {
+        expandPegPattern(pattern).forEach(({ x, y }) => {
+            if (pattern.avoid && isKeptOut(x, y, zones)) return;
+            pegs.push({ x, y, material: pattern.material, label: pattern.label });
+        });
+    });
+    table.pegs.forEach(({ x, y, material, label }) => pegs.push({ x, y, material, label }));
+
+    return pegs;
+}
+
+/**
+ * Box segments an arc wall is built from, each turned to follow the arc
+ * Segments are 10% longer than their share of the arc so there are no gaps between them
+ * @returns {{x: number, y: number, length: number, angle: number}[]} angle in radians
+ */
+export function getArcSegments(wall) {
+    const { center, radius, segments } = wall;
+    const startAngle = toRadians(wall.startAngle);
+    const endAngle = toRadians(wall.endAngle);
+    const result = [];
+
+    for (let i = 0; i < segments; i++) {
+        const angle1 = startAngle + (endAngle - startAngle) * (i / segments);
+        const angle2 = startAngle + (endAngle - startAngle) * ((i + 1) / segments);
+        const midAngle = (angle1 + angle2) / 2;
+
+        result.push({
+            x: center.x + Math.cos(midAngle) * radius,
+            y: center.y + Math.sin(midAngle) * radius,
+            length: radius * (angle2 - angle1) * ARC_SEGMENT_OVERLAP,
+            angle: midAngle + Math.PI / 2
+        });
+    }
+
+    return result;
+}
+
+/**
+ * Points along a ramp from its entrance to its exit, rising by its rise
+ * @returns {{x: number, y: number, z: number}[]} segments + 1 points
+ */
+export function getRampPoints(ramp) {
+    const points = [];
+
+    for (let i = 0; i <= ramp.segments; i++) {
+        const t = i / ramp.segments;
+        points.push({
+            x: ramp.entrance.x + (ramp.exit.x - ramp.entrance.x) * t,
+            y: ramp.entrance.y + (ramp.exit.y - ramp.entrance.y) * t,
+            z: 0.1 + t * ramp.rise
+        });
+    }
+
+    return points;
+}
@@ -0,0 +1,148 @@
+/**
+ * Tilt Meter
+ * Nudging the cabinet kicks every ball in flight and fills the tilt meter,
+ * which drains over time. Past the warning level the table warns; a full
+ * meter TILTs the game: flippers and bumper scoring stay dead until every
+ * ball in flight has drained.
+ */
+
+import { CONFIG } from './config.js';
+import { GameEvents } from './events.js';
+
+/**
+ * Impulse direction per nudge (on the playfield plane)
+ */
+export const NUDGE_DIRECTIONS = {
+    left: { x: -1, y: 0 },
+    right: { x: 1, y: 0 },
+    up: { x: 0, y: 1 }
+};
+
+export class TiltMeter {
+    constructor(game) {
+        this.game = game;
+
+        // Meter level (0 = calm, 1 = tilt)
+        this.level = 0;
+
+        // Whether the warning has been given since the meter was last below the warning level
+        this.warned = false;
+
+        // Sensitivity for the session (the setting applies from the next session so replays match)
+        this.sensitivity = CONFIG.TILT.SENSITIVITY;
+    }
+
+    /**
+     * Initialize the HUD indicator
+     */
+    init() {
+        this.updateIndicator();
+
+        console.log('Tilt meter initialized');
+    }
+
+    /**
+     * Nudge the table: kick every ball in flight and fill the meter
+     * @param {string} direction - 'left', 'right' or 'up'
+     */
+    nudge(direction) {
+        const vector = NUDGE_DIRECTIONS[direction];
+        if (!vector) return;
+
+        const settings = CONFIG.TILT;
+        const physics = this.game.physics;
+
+        for (const ball of this.game.balls.activeBalls) {
+            physics.wakeUp(ball.body);
+            physics.applyImpulse(ball.body, {
+                x: vector.x * settings.NUDGE_IMPULSE,
+                y: vector.y * settings.NUDGE_IMPULSE,
+                z: 0
+            });
+        }
+
+        this.level = Math.min(1, this.level + settings.NUDGE_AMOUNT * this.sensitivity);
+        this.game.events.emit(GameEvents.NUDGE, { direction, level: this.level });
+
+        if (this.level >= 1) {
+            this.game.tiltGame();
+        } else if (this.level >= settings.WARNING_LEVEL && !this.warned) {
+            this.warned = true;
+            this.game.events.emit(GameEvents.TILT_WARNING, { level: this.level });
+        }
+
+        this.updateIndicator();
+    }
+
+    /**
+     * Whether the game is tilted
+     */
+    get isTilted() {
+        return this.game.state === 'TILT' || ((this.game.isPaused || this.game.isEditing) && this.game.stateBeforePause === 'TILT');
+    }
+
+    /**
+     * Drain the meter (once per simulation tick)
+     */
+    update(deltaTime) {
+        if (this.level <= 0 || this.isTilted) return;
+
+        this.level = Math.max(0, this.level - CONFIG.TILT.DECAY * deltaTime);
+        if (this.level < CONFIG.TILT.WARNING_LEVEL) {
+            this.warned = false;
+        }
+
+        this.updateIndicator();
+    }
+
+    /**
+     * Refresh the HUD indicator
+     */
+    updateIndicator() {
+        let status = 'ok';
+        if (this.isTilted) {
+            status = 'tilt';
+        } else if (this.warned) {
+            status = 'warning';
+        }
+        this.game.ui.updateTiltMeter(this.level, status);
+    }
+
+    /**
+     * Empty the meter (tilt over)
+     */
+    clear() {
+        this.level = 0;
+        this.warned = false;
+        this.updateIndicator();
+    }
+
+    /**
+     * Reset for a new session
+     */
+    reset() {
+        this.sensitivity = CONFIG.TILT.SENSITIVITY;
+        this.clear();
+    }
+
+    /**
+     * Capture the meter
+     */
+    snapshot() {
+        return {
+            level: this.level,
+            warned: this.warned,
+            sensitivity: this.sensitivity
+        };
+    }
+
+    /**
+     * Restore the meter (after reset)
+     */
+    restore(snapshot) {
+        this.level = snapshot.level;
+        this.warned = snapshot.warned;
+        this.sensitivity = snapshot.sensitivity;
+        this.updateIndicator();
+    }
+}
@@ -0,0 +1,329 @@
+/**
+ * Trigger Volumes
+ * Sensor volumes (drains, funnel, pockets, gates, zones, ramp entrances) that track
+ * which balls are inside them. Overlap is tested against ball positions once per
+ * tick after the physics step, so worker and main-thread stepping behave the same.
+ *
+ * Each visit reports enter once, stay once after the volume's dwell time and exit once.
+ * A per-ball cooldown silences a ball's visits for a while after it entered.
+ */
+
+import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+import { CONFIG } from './config.js';
+
+/**
+ * @typedef {Object} TriggerHandlers
+ * @property {function(Object, Object)} [enter] - (ball body, trigger) on entry
+ * @property {function(Object, Object)} [stay] - (ball body, trigger) after the dwell time
+ * @property {function(Object, Object)} [exit] - (ball body, trigger) when the ball leaves
+ */
+
+/**
+ * @typedef {Object} TriggerOptions
+ * @property {number} [cooldown=0] - Seconds a ball is ignored after it entered
+ * @property {number} [stayTime] - Seconds inside before stay is reported (CONFIG.TRIGGERS.STAY_TIME)
+ * @property {Object} [rotation] - Euler rotation {x, y, z} of the volume
+ * @property {Object} [userData] - Free-form data for handlers
+ */
+
+const SHAPE_TYPES = CANNON.Shape.types;
+
+// Scratch vectors for overlap tests
+const offset = new CANNON.Vec3();
+const local = new CANNON.Vec3();
+const inverse = new CANNON.Quaternion();
+
+export class TriggerSystem {
+    constructor(game) {
+        this.game = game;
+
+        // Volumes in creation order (snapshots refer to them by index)
+        this.volumes = [];
+
+        // Debug wireframes (built the first time they are shown)
+        this.debugVisible = CONFIG.TRIGGERS.DEBUG;
+        this.debugGroup = null;
+    }
+
+    /**
+     * Initialize the trigger system
+     */
+    init() {
+        this.setDebugVisible(this.debugVisible);
+
+        console.log('Trigger system initialized');
+    }
+
+    /**
+     * Register a trigger volume
+     * @param {Object} shape - CANNON.Sphere or CANNON.Box
+     * @param {Object} position - Volume centre {x, y, z}
+     * @param {TriggerHandlers} handlers
+     * @param {TriggerOptions} [options]
+     * @returns {Object} The trigger
+     */
+    add(shape, position, handlers, options = {}) {
+        if (shape.type !== SHAPE_TYPES.SPHERE && shape.type !== SHAPE_TYPES.BOX) {
+            throw new Error('Trigger volumes must be spheres or boxes');
+        }
+
+        const quaternion = new CANNON.Quaternion();
+        if (options.rotation) {
+            const { x, y, z } = options.rotation;
+            quaternion.setFromEuler(x, y, z);
+        }
+
+        const clock = this.game.clock;
+        const trigger = {
+            index: this.volumes.length,
+            shape,
+            position: new CANNON.Vec3(position.x, position.y, position.z),
+            quaternion,
+            handlers,
+            cooldownTicks: options.cooldown ? clock.secondsToTicks(options.cooldown) : 0,
+            stayTicks: clock.secondsToTicks(options.stayTime ?? CONFIG.TRIGGERS.STAY_TIME),
+            userData: options.userData || {},
+            // Ball id -> { since, silent, stayed } for balls inside
+            occupants: new Map(),
+            // Ball id -> tick its cooldown ends
+            cooldowns: new Map(),
+            debugMesh: null
+        };
+
+        this.volumes.push(trigger);
+
+        if (this.debugGroup) {
+            this.addDebugMesh(trigger);
+        }
+
+        return trigger;
+    }
+
+    /**
+     * Change a sphere volume's radius; its debug wireframe follows
+     */
+    setRadius(trigger, radius) {
+        trigger.shape.radius = radius;
+
+        if (trigger.debugMesh) {
+            trigger.debugMesh.geometry.dispose();
+            trigger.debugMesh.geometry = new THREE.SphereGeometry(radius, 12, 8);
+        }
+    }
+
+    /**
+     * Whether a ball touches a volume
+     */
+    overlaps(trigger, body, radius) {
+        body.position.vsub(trigger.position, offset);
+
+        if (trigger.shape.type === SHAPE_TYPES.SPHERE) {
+            const reach = trigger.shape.radius + radius;
+            return offset.lengthSquared() < reach * reach;
+        }
+
+        // Box: closest point in the box's frame
+        trigger.quaternion.conjugate(inverse);
+        inverse.vmult(offset, local);
+
+        const half = trigger.shape.halfExtents;
+        const dx = Math.max(Math.abs(local.x) - half.x, 0);
+        const dy = Math.max(Math.abs(local.y) - half.y, 0);
+        const dz = Math.max(Math.abs(local.z) - half.z, 0);
+        return dx * dx + dy * dy + dz * dz < radius * radius;
+    }
+
+    /**
+     * Track balls in every volume (once per simulation tick, after the physics step)
+     */
+    update() {
+        const tick = this.game.clock.tick;
+        const radius = CONFIG.PHYSICS.BALL.RADIUS;
+        const balls = [...this.game.balls.activeBalls];
+        const inPlay = new Set(balls.map(ball => ball.id));
+
+        for (const trigger of this.volumes) {
+            // Balls that left play are forgotten without an exit
+            for (const id of trigger.occupants.keys()) {
+                if (!inPlay.has(id)) trigger.occupants.delete(id);
+            }
+            for (const id of trigger.cooldowns.keys()) {
+                if (!inPlay.has(id)) trigger.cooldowns.delete(id);
+            }
+
+            for (const ball of balls) {
+                // An earlier handler may have taken the ball out of play
+                if (!ball.active) continue;
+
+                const inside = this.overlaps(trigger, ball.body, radius);
+                const occupant = trigger.occupants.get(ball.id);
+
+                if (inside && !occupant) {
+                    this.onEnter(trigger, ball, tick);
+                } else if (inside && !occupant.silent && !occupant.stayed && tick - occupant.since >= trigger.stayTicks) {
+                    occupant.stayed = true;
+                    this.notify(trigger, 'stay', ball);
+                } else if (!inside && occupant) {
+                    trigger.occupants.delete(ball.id);
+                    if (!occupant.silent) {
+                        this.notify(trigger, 'exit', ball);
+                    }
+                }
+            }
+
+            if (trigger.debugMesh) {
+                this.updateDebugMesh(trigger);
+            }
+        }
+    }
+
+    /**
+     * A ball entered a volume (its whole visit is silent while it cools down)
+     */
+    onEnter(trigger, ball, tick) {
+        const cooldownEnd = trigger.cooldowns.get(ball.id);
+        const silent = cooldownEnd !== undefined && tick < cooldownEnd;
+
+        trigger.occupants.set(ball.id, { since: tick, silent, stayed: false });
+        if (silent) return;
+
+        if (trigger.cooldownTicks > 0) {
+            trigger.cooldowns.set(ball.id, tick + trigger.cooldownTicks);
+        }
+        this.notify(trigger, 'enter', ball);
+    }
+
+    /**
+     * Call a volume's handler
+     */
+    notify(trigger, type, ball) {
+        const handler = trigger.handlers[type];
+        if (handler) {
+            handler(ball.body, trigger);
+        }
+    }
+
+    /**
+     * Ids of the balls inside a volume
+     */
+    occupantsOf(trigger) {
+        return [...trigger.occupants.keys()];
+    }
+
+    /**
+     * Show or hide the debug wireframes
+     */
+    setDebugVisible(visible) {
+        this.debugVisible = visible;
+
+        if (visible && !this.debugGroup) {
+            this.debugGroup = new THREE.Group();
+            this.volumes.forEach(trigger => this.addDebugMesh(trigger));
+            this.game.renderer.add(this.debugGroup);
+        }
+
+        if (this.debugGroup) {
+            this.debugGroup.visible = visible;
+        }
+    }
+
+    /**
+     * Toggle the debug wireframes
+     */
+    toggleDebug() {
+        this.setDebugVisible(!this.debugVisible);
+    }
+
+    /**
+     * Build the wireframe for a volume
+     */
+    addDebugMesh(trigger) {
+        const geometry = trigger.shape.type === SHAPE_TYPES.SPHERE
+            ? new THREE.SphereGeometry(trigger.shape.radius, 12, 8)
+            : new THREE.BoxGeometry(
+                trigger.shape.halfExtents.x * 2,
+                trigger.shape.halfExtents.y * 2,
+                trigger.shape.halfExtents.z * 2
+            );
+        const material = new THREE.MeshBasicMaterial({
+            color: CONFIG.TRIGGERS.DEBUG_COLORS.IDLE,
+            wireframe: true,
+            transparent: true,
+            opacity: 0.8,
+            depthTest: false
+        });
+
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.position.copy(trigger.position);
+        mesh.quaternion.copy(trigger.quaternion);
+        mesh.renderOrder = 999;
+
+        trigger.debugMesh = mesh;
+        this.debugGroup.add(mesh);
+        this.updateDebugMesh(trigger);
+    }
+
+    /**
+     * Colour a wireframe by occupancy: idle, occupied, or cooling down (occupied silently)
+     */
+    updateDebugMesh(trigger) {
+        const colors = CONFIG.TRIGGERS.DEBUG_COLORS;
+        let color = colors.IDLE;
+
+        for (const occupant of trigger.occupants.values()) {
+            color = occupant.silent ? colors.COOLDOWN : colors.OCCUPIED;
+            if (!occupant.silent) break;
+        }
+
+        trigger.debugMesh.material.color.setHex(color);
+    }
+
+    /**
+     * Forget all occupants and cooldowns (new session)
+     */
+    reset() {
+        this.volumes.forEach(trigger => {
+            trigger.occupants.clear();
+            trigger.cooldowns.clear();
+        });
+    }
+
+    /**
+     * Capture occupants and cooldowns (ticks are stored relative to now)
+     */
+    snapshot() {
+        const tick = this.game.clock.tick;
+
+        return this.volumes.map(trigger => ({
+            occupants: [...trigger.occupants].map(([id, occupant]) => ({
+                id,
+                age: tick - occupant.since,
+                silent: occupant.silent,
+                stayed: occupant.stayed
+            })),
+            cooldowns: [...trigger.cooldowns]
+                .filter(([, end]) => end > tick)
+                .map(([id, end]) => ({ id, remaining: end - tick }))
+        }));
+    }
+
+    /**
+     * Restore occupants and cooldowns (after reset, with the clock at the saved tick)
+     */
+    restore(snapshot) {
+        const tick = this.game.clock.tick;
+
+        snapshot.forEach((saved, index) => {
+            const trigger = this.volumes[index];
+            if (!trigger) return;
+
+            saved.occupants.forEach(({ id, age, silent, stayed }) => {
+                trigger.occupants.set(id, { since: tick - age, silent, stayed });
+            });
+            saved.cooldowns.forEach(({ id, remaining }) => {
+                trigger.cooldowns.set(id, tick + remaining);
+            });
+        });
+    }
+}
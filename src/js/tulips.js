@@ -0,0 +1,299 @@
+/**
+ * Tulip Gates
+ * A tulip is a catch cup between two hinged petals. Closed, the petals stand upright
+ * and leave a mouth barely wider than a ball; open, they swing outwards and catch far
+ * more. A ball that drops into the cup is captured and pays out balls, and it toggles
+ * the tulip: a closed tulip opens, an open one closes behind it.
+ *
+ * A table's gate can also be linked to other devices' events, e.g. opened for a few
+ * seconds whenever a ball enters the start pocket:
+ *   links: [{ event: 'vpocket:enter', index: 1, action: 'open', duration: 4 }]
+ * index (optional) must match the event's device index; action is open (default),
+ * close or toggle; duration (optional) closes the tulip again after that many seconds.
+ */
+
+import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+import { CONFIG } from './config.js';
+import { GameEvents, ballPayload } from './events.js';
+
+const Z_AXIS = new CANNON.Vec3(0, 0, 1);
+
+/**
+ * Petal colours (emissive glow while open)
+ */
+const PETAL_COLOR = 0x22cc66;
+const OPEN_GLOW = 0x00ff00;
+
+export class TulipGates {
+    constructor(game) {
+        this.game = game;
+
+        // Tulips: { index, config, petals, trigger, isOpen, angle, swingSpeed, closeTimer }
+        this.tulips = [];
+    }
+
+    /**
+     * Create the table's tulips and subscribe to their linked events (after the playfield)
+     */
+    create() {
+        this.game.table.gates.forEach((gate, index) => this.createTulip(gate, index));
+        this.subscribeToLinks();
+
+        console.log(`Created ${this.tulips.length} Tulip Gates`);
+    }
+
+    /**
+     * Create a tulip: two kinematic petals hinged at the bottom of the cup, the cup
+     * floor and the capture volume between the petals
+     */
+    createTulip(gate, index) {
+        const settings = CONFIG.TULIPS;
+        const physics = this.game.physics;
+        const hingeY = gate.y - settings.PETAL_LENGTH / 2;
+        const mouth = settings.HINGE_SPACING - settings.PETAL_THICKNESS;
+
+        // Petals, floor and capture volume span the playfield depth like the walls
+        const height = CONFIG.PLAYFIELD.DEPTH;
+
+        const material = new THREE.MeshStandardMaterial({
+            color: PETAL_COLOR,
+            emissive: OPEN_GLOW,
+            emissiveIntensity: 0,
+            metalness: 0.5,
+            roughness: 0.3
+        });
+
+        const petals = [-1, 1].map(side => {
+            const hinge = { x: gate.x + side * settings.HINGE_SPACING / 2, y: hingeY, z: 0 };
+
+            // The pivot sits on the hinge and the petal is offset along it, so turning the pivot swings the petal
+            const pivot = new THREE.Group();
+            pivot.position.set(hinge.x, hinge.y, hinge.z);
+            const mesh = new THREE.Mesh(
+                new THREE.BoxGeometry(settings.PETAL_THICKNESS, settings.PETAL_LENGTH, height),
+                material
+            );
+            mesh.position.y = settings.PETAL_LENGTH / 2;
+            pivot.add(mesh);
+            this.game.renderer.add(pivot);
+
+            const body = new CANNON.Body({
+                type: CANNON.Body.KINEMATIC,
+                position: new CANNON.Vec3(hinge.x, hinge.y, hinge.z),
+                material: physics.materials.wall
+            });
+            body.addShape(
+                new CANNON.Box(new CANNON.Vec3(settings.PETAL_THICKNESS / 2, settings.PETAL_LENGTH / 2, height / 2)),
+                new CANNON.Vec3(0, settings.PETAL_LENGTH / 2, 0)
+            );
+
+            // A sleeping kinematic body stops moving
+            body.allowSleep = false;
+            body.userData = { isTulipPetal: true, index };
+            physics.addBody(body);
+
+            // Left petals open anticlockwise, right petals clockwise
+            return { pivot, body, direction: -side };
+        });
+
+        // Cup floor
+        const floorHalf = { x: settings.HINGE_SPACING / 2 + settings.PETAL_THICKNESS / 2, y: 0.04, z: height / 2 };
+        const floorPosition = { x: gate.x, y: hingeY - floorHalf.y, z: 0 };
+        const floor = new THREE.Mesh(
+            new THREE.BoxGeometry(floorHalf.x * 2, floorHalf.y * 2, floorHalf.z * 2),
+            new THREE.MeshStandardMaterial({ color: 0x888888, metalness: 0.6, roughness: 0.3 })
+        );
+        floor.position.set(floorPosition.x, floorPosition.y, floorPosition.z);
+        this.game.renderer.add(floor);
+        physics.addBody(physics.createBox(floorHalf, 0, floorPosition, null, physics.materials.wall));
+
+        const tulip = {
+            index,
+            config: gate,
+            material,
+            petals,
+            trigger: null,
+            isOpen: false,
+            angle: 0,
+            swingSpeed: 0,
+            closeTimer: null
+        };
+
+        // Capture volume at the bottom of the cup, between the petals
+        tulip.trigger = physics.createTrigger(
+            new CANNON.Box(new CANNON.Vec3(mouth / 2, settings.CUP_DEPTH / 2, height / 2)),
+            { x: gate.x, y: hingeY + settings.CUP_DEPTH / 2, z: 0 },
+            { enter: (ballBody) => this.onCupEnter(ballBody, tulip) },
+            { userData: { isTulipGate: true, index, isOpen: false } }
+        );
+
+        this.applyPose(tulip);
+        this.tulips.push(tulip);
+    }
+
+    /**
+     * Open, close or toggle tulips when the events they are linked to happen
+     */
+    subscribeToLinks() {
+        this.tulips.forEach(tulip => {
+            (tulip.config.links || []).forEach(link => {
+                this.game.events.on(link.event, (event) => {
+                    if (link.index !== undefined && event.index !== link.index) return;
+                    this.onLink(tulip, link);
+                });
+            });
+        });
+    }
+
+    /**
+     * Handle a linked event
+     */
+    onLink(tulip, link) {
+        const action = link.action || 'open';
+        const isOpen = action === 'toggle' ? !tulip.isOpen : action === 'open';
+
+        this.setOpen(tulip, isOpen, 'link');
+        if (isOpen && link.duration) {
+            this.scheduleClose(tulip, link.duration);
+        }
+    }
+
+    /**
+     * Handle a ball dropping into a tulip's cup
+     * The ball is taken out of play and paid out; the tulip opens if it was closed
+     * and closes if it was open
+     */
+    onCupEnter(ballBody, tulip) {
+        const payload = ballPayload(ballBody);
+        const points = tulip.config.points ?? CONFIG.TULIPS.POINTS;
+        const payout = tulip.config.payout ?? CONFIG.TULIPS.PAYOUT;
+        const balls = this.game.balls;
+
+        balls.captureBall(ballBody);
+
+        this.game.events.emit(GameEvents.TULIP_ENTER, {
+            ...payload,
+            index: tulip.index,
+            points,
+            payout,
+            wasOpen: tulip.isOpen
+        });
+
+        if (payout > 0) {
+            balls.addBalls(payout);
+        }
+
+        this.setOpen(tulip, !tulip.isOpen, 'ball');
+    }
+
+    /**
+     * Open or close a tulip (the petals swing there over the next ticks)
+     * @param {string} cause - 'ball', 'link' or 'timeout'
+     */
+    setOpen(tulip, isOpen, cause) {
+        this.game.clock.cancel(tulip.closeTimer);
+        tulip.closeTimer = null;
+
+        if (tulip.isOpen === isOpen) return;
+
+        tulip.isOpen = isOpen;
+        tulip.trigger.userData.isOpen = isOpen;
+        tulip.material.emissiveIntensity = isOpen ? 0.3 : 0;
+
+        this.game.events.emit(isOpen ? GameEvents.TULIP_OPEN : GameEvents.TULIP_CLOSE, {
+            index: tulip.index,
+            cause
+        });
+    }
+
+    /**
+     * Close a tulip after a delay (linked openings with a duration)
+     */
+    scheduleClose(tulip, delay) {
+        tulip.closeTimer = this.game.clock.schedule(() => {
+            tulip.closeTimer = null;
+            this.setOpen(tulip, false, 'timeout');
+        }, delay);
+    }
+
+    /**
+     * Swing the petals (once per simulation tick, after the physics step)
+     * Advances the angle by the step just taken, then sets the angular velocity
+     * for the next step towards the open or closed stop
+     */
+    update(deltaTime) {
+        const settings = CONFIG.TULIPS;
+
+        this.tulips.forEach(tulip => {
+            tulip.angle += tulip.swingSpeed * deltaTime;
+
+            const target = tulip.isOpen ? settings.OPEN_ANGLE : 0;
+            const speed = (target - tulip.angle) / deltaTime;
+            tulip.swingSpeed = Math.max(-settings.SWING_SPEED, Math.min(settings.SWING_SPEED, speed));
+
+            this.applyPose(tulip);
+        });
+    }
+
+    /**
+     * Turn petal meshes and bodies to the current angle and give the bodies their angular velocity
+     */
+    applyPose(tulip) {
+        tulip.petals.forEach(petal => {
+            const angle = tulip.angle * petal.direction;
+
+            petal.pivot.rotation.z = angle;
+            petal.body.quaternion.setFromAxisAngle(Z_AXIS, angle);
+            petal.body.angularVelocity.set(0, 0, tulip.swingSpeed * petal.direction);
+        });
+    }
+
+    /**
+     * Set a tulip's state with the petals already at their stop
+     */
+    place(tulip, isOpen) {
+        tulip.isOpen = isOpen;
+        tulip.trigger.userData.isOpen = isOpen;
+        tulip.material.emissiveIntensity = isOpen ? 0.3 : 0;
+        tulip.angle = isOpen ? CONFIG.TULIPS.OPEN_ANGLE : 0;
+        tulip.swingSpeed = 0;
+        this.applyPose(tulip);
+    }
+
+    /**
+     * Reset for a new session: every tulip closed (close timers were dropped with the clock's timers)
+     */
+    reset() {
+        this.tulips.forEach(tulip => {
+            tulip.closeTimer = null;
+            this.place(tulip, false);
+        });
+    }
+
+    /**
+     * Capture which tulips are open and when timed openings close
+     */
+    snapshot() {
+        const clock = this.game.clock;
+
+        return this.tulips.map(tulip => ({
+            isOpen: tulip.isOpen,
+            closeRemaining: tulip.closeTimer === null ? null : clock.getRemaining(tulip.closeTimer)
+        }));
+    }
+
+    /**
+     * Restore tulip state (after reset)
+     */
+    restore(snapshot) {
+        snapshot.forEach((saved, index) => {
+            const tulip = this.tulips[index];
+            if (!tulip) return;
+            this.place(tulip, saved.isOpen);
+            if (saved.closeRemaining !== null) {
+                this.scheduleClose(tulip, saved.closeRemaining);
+            }
+        });
+    }
+}
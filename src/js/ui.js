@@ -4,6 +4,8 @@
  */
 
 import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+import { GameEvents } from './events.js';
+import { CONFIG } from './config.js';
 
 export class UIManager {
     constructor(game) {
@@ -14,6 +16,9 @@ export class UIManager {
         
         // Event notification timeout
         this.eventNotificationTimeout = null;
+        
+        // BALL SAVED indicator timeout
+        this.ballSavedTimeout = null;
     }
 
     /**
@@ -24,18 +29,29 @@ export class UIManager {
         this.elements = {
             scoreValue: document.getElementById('score-value'),
             ballsValue: document.getElementById('balls-value'),
+            tiltDisplay: document.getElementById('tilt-display'),
+            tiltLabel: document.getElementById('tilt-label'),
+            tiltMeterFill: document.getElementById('tilt-meter-fill'),
             multiplierBadge: document.getElementById('multiplier-badge'),
             comboDisplay: document.getElementById('combo-display'),
             comboText: document.getElementById('combo-text'),
             eventNotification: document.getElementById('event-notification'),
             eventText: document.getElementById('event-text'),
             rapidFireIndicator: document.getElementById('rapid-fire-indicator'),
+            ballSavedIndicator: document.getElementById('ball-saved-indicator'),
+            probabilityDisplay: document.getElementById('probability-display'),
+            probabilityValue: document.getElementById('probability-value'),
+            attackerDisplay: document.getElementById('attacker-display'),
+            attackerRound: document.getElementById('attacker-round'),
+            attackerCount: document.getElementById('attacker-count'),
+            attackerV: document.getElementById('attacker-v'),
+            attackerTimerFill: document.getElementById('attacker-timer-fill'),
             fpsCounter: document.getElementById('fps-counter'),
             
             // Jackpot
             jackpotOverlay: document.getElementById('jackpot-overlay'),
             jackpotHandleContainer: document.getElementById('jackpot-handle-container'),
-            jackpotCount: document.getElementById('jackpot-count'),
+            jackpotReserve: document.getElementById('jackpot-reserve'),
             reels: [
                 document.getElementById('reel-1'),
                 document.getElementById('reel-2'),
@@ -46,6 +62,19 @@ export class UIManager {
             jackpotCountdown: document.getElementById('jackpot-countdown'),
             countdownValue: document.getElementById('countdown-value'),
             
+            // Pause menu
+            pauseMenu: document.getElementById('pause-menu'),
+            pauseResumeBtn: document.getElementById('pause-resume-btn'),
+            pauseRestartBtn: document.getElementById('pause-restart-btn'),
+            pauseSettingsBtn: document.getElementById('pause-settings-btn'),
+            pauseEditorBtn: document.getElementById('pause-editor-btn'),
+            
+            // Continue prompt
+            continuePrompt: document.getElementById('continue-prompt'),
+            continueDetails: document.getElementById('continue-details'),
+            continueBtn: document.getElementById('continue-btn'),
+            continueNewBtn: document.getElementById('continue-new-btn'),
+            
             // Game over
             gameOverScreen: document.getElementById('game-over-screen'),
             finalScore: document.getElementById('final-score'),
@@ -61,19 +90,123 @@ export class UIManager {
             settingsModal: document.getElementById('settings-modal'),
             closeSettings: document.getElementById('close-settings'),
             masterVolume: document.getElementById('master-volume'),
-            muteToggle: document.getElementById('mute-toggle')
+            muteToggle: document.getElementById('mute-toggle'),
+            
+            // Replay
+            replayBar: document.getElementById('replay-bar'),
+            replayPlayBtn: document.getElementById('replay-play-btn'),
+            replaySeek: document.getElementById('replay-seek'),
+            replayTime: document.getElementById('replay-time'),
+            replaySpeed: document.getElementById('replay-speed'),
+            replayExitBtn: document.getElementById('replay-exit-btn')
         };
         
         // Setup settings modal
         this.setupSettingsModal();
         
+        // Setup replay playback bar
+        this.setupReplayBar();
+        
+        // Setup pause menu
+        this.setupPauseMenu();
+        
+        // Setup continue prompt
+        this.setupContinuePrompt();
+        
+        // Show notifications for gameplay events
+        this.subscribeToEvents();
+        
         console.log('UI manager initialized');
     }
     
+    /**
+     * Subscribe to gameplay events that show a notification
+     */
+    subscribeToEvents() {
+        const events = this.game.events;
+        
+        events.on(GameEvents.VPOCKET_ENTER, ({ label, points, freeBalls }) => {
+            this.showEventNotification(`${label}! +${points} +${freeBalls} BALLS`, '#ff0000');
+        });
+        events.on(GameEvents.TULIP_ENTER, ({ points, payout }) => {
+            this.showEventNotification(`TULIP GATE! +${points} +${payout} BALLS`, '#22cc66');
+        });
+        events.on(GameEvents.FEATURE_ZONE_HIT, ({ zoneType, value }) => {
+            if (zoneType === 'MULTIPLIER') {
+                this.showEventNotification(`${value}x MULTIPLIER ACTIVE!`, '#9900ff');
+            }
+        });
+        events.on(GameEvents.FEVER_START, ({ multiplier, duration }) => {
+            this.showEventNotification(`🔥 FEVER MODE! ${multiplier}x FOR ${duration}s! 🔥`, '#ff00ff');
+        });
+        events.on(GameEvents.FEVER_END, () => {
+            this.showEventNotification('Fever Mode Ended', '#ffffff');
+        });
+        events.on(GameEvents.JACKPOT_RESERVE, ({ hint }) => {
+            if (hint === 'hot') {
+                this.showEventNotification('🔥 HOT HOLD! 🔥', '#ff2222');
+            }
+        });
+        events.on(GameEvents.PROBABILITY_CHANGE, ({ state, cause, spinsLeft }) => {
+            if (state === 'KAKUHEN') {
+                this.showEventNotification('KAKUHEN! JACKPOT ODDS UP', '#ff2244');
+            } else if (state === 'JITAN') {
+                this.showEventNotification(`JITAN! ${spinsLeft} FAST SPINS`, '#22aaff');
+            } else if (cause === 'spins') {
+                this.showEventNotification('Back to Normal', '#ffffff');
+            }
+        });
+        events.on(GameEvents.ATTACKER_ROUND, ({ round, rounds }) => {
+            this.showEventNotification(`ATTACKER ROUND ${round}/${rounds}`, '#ff3344');
+        });
+        events.on(GameEvents.ATTACKER_ENTER, ({ isVZone, count }) => {
+            if (isVZone && count !== null) {
+                this.showEventNotification('V! ROUND CONTINUES', '#ff0066');
+            }
+        });
+        events.on(GameEvents.ATTACKER_END, ({ rounds, paid }) => {
+            this.showEventNotification(`ATTACKER OVER: ${rounds} ROUNDS +${paid} BALLS`, '#ffffff');
+        });
+        events.on(GameEvents.TILT_WARNING, () => {
+            this.showEventNotification('⚠️ TILT WARNING', '#ffaa00');
+        });
+        events.on(GameEvents.TILT, () => {
+            this.showEventNotification('TILT', '#ff0000');
+        });
+        events.on(GameEvents.BALL_LOCK, ({ locked, needed }) => {
+            this.showEventNotification(`BALL ${locked} LOCKED (${locked}/${needed})`, '#ffaa00');
+        });
+        events.on(GameEvents.MULTIBALL_START, () => {
+            this.showEventNotification('MULTIBALL!', '#00ffff');
+        });
+        events.on(GameEvents.MULTIBALL_JACKPOT, ({ isSuper, points }) => {
+            const label = isSuper ? 'SUPER JACKPOT' : 'JACKPOT';
+            this.showEventNotification(`${label}! +${points}`, isSuper ? '#ff00ff' : '#facc15');
+        });
+        events.on(GameEvents.MULTIBALL_END, () => {
+            this.showEventNotification('Multiball Over', '#ffffff');
+        });
+        events.on(GameEvents.BALL_SAVE, () => {
+            this.showBallSaved();
+        });
+        events.on(GameEvents.SKILL_SHOT, ({ points }) => {
+            this.showEventNotification(`SKILL SHOT! +${points}`, '#ff00ff');
+        });
+        events.on(GameEvents.BALL_STUCK, ({ action }) => {
+            if (action === 'search') {
+                this.showEventNotification('BALL SEARCH', '#ffaa00');
+            } else if (action === 'remove') {
+                this.showEventNotification('STUCK BALL RETURNED', '#ffffff');
+            }
+        });
+    }
+    
     /**
      * Setup settings modal event listeners
      */
     setupSettingsModal() {
+        const signal = this.game.signal;
+        
         const settingsBtn = this.elements.settingsBtn;
         const settingsModal = this.elements.settingsModal;
         const closeSettings = this.elements.closeSettings;
@@ -82,13 +215,13 @@ export class UIManager {
             // Open settings
             settingsBtn.addEventListener('click', () => {
                 settingsModal.classList.remove('hidden');
-            });
+            }, { signal });
             
             // Close settings
             if (closeSettings) {
                 closeSettings.addEventListener('click', () => {
                     settingsModal.classList.add('hidden');
-                });
+                }, { signal });
             }
             
             // Close on backdrop click
@@ -96,7 +229,7 @@ export class UIManager {
                 if (e.target === settingsModal) {
                     settingsModal.classList.add('hidden');
                 }
-            });
+            }, { signal });
         }
         
         // Setup tabs
@@ -112,7 +245,7 @@ export class UIManager {
                 if (valueDisplay) {
                     valueDisplay.textContent = `${e.target.value}%`;
                 }
-            });
+            }, { signal });
         }
         
         // Individual sound volume sliders
@@ -125,7 +258,7 @@ export class UIManager {
                 const isMuted = this.game.audio.toggleMute();
                 muteToggle.textContent = isMuted ? '🔇 Sound Off' : '🔊 Sound On';
                 muteToggle.classList.toggle('muted', isMuted);
-            });
+            }, { signal });
         }
         
         // Preset buttons
@@ -145,6 +278,8 @@ export class UIManager {
      * Setup settings tabs
      */
     setupSettingsTabs() {
+        const signal = this.game.signal;
+        
         const tabs = document.querySelectorAll('.tab-btn');
         const tabContents = document.querySelectorAll('.tab-content');
         
@@ -163,7 +298,7 @@ export class UIManager {
                         content.classList.add('active');
                     }
                 });
-            });
+            }, { signal });
         });
     }
     
@@ -171,6 +306,8 @@ export class UIManager {
      * Setup SFX Editor controls (sfxr.me style)
      */
     setupSFXEditor() {
+        const signal = this.game.signal;
+        
         const sfxSelect = document.getElementById('sfx-select');
         const testCurrentBtn = document.getElementById('sfx-test-current');
         const waveButtons = document.querySelectorAll('.wave-btn');
@@ -184,7 +321,7 @@ export class UIManager {
         if (sfxSelect) {
             sfxSelect.addEventListener('change', () => {
                 this.loadSoundParams(sfxSelect.value);
-            });
+            }, { signal });
             // Load initial sound
             setTimeout(() => this.loadSoundParams(sfxSelect.value), 100);
         }
@@ -194,7 +331,7 @@ export class UIManager {
             testCurrentBtn.addEventListener('click', () => {
                 const soundName = sfxSelect?.value || 'fire';
                 this.game.audio.playSound(soundName);
-            });
+            }, { signal });
         }
         
         // Waveform buttons
@@ -209,7 +346,7 @@ export class UIManager {
                 
                 // Update sound parameter
                 this.game.audio.setSoundParam(soundName, 'type', waveType);
-            });
+            }, { signal });
         });
         
         // Setup parameter sliders
@@ -220,7 +357,7 @@ export class UIManager {
             randomizeBtn.addEventListener('click', () => {
                 const soundName = sfxSelect?.value || 'fire';
                 this.randomizeSoundParams(soundName);
-            });
+            }, { signal });
         }
         
         // Reset button
@@ -228,7 +365,7 @@ export class UIManager {
             resetSoundBtn.addEventListener('click', () => {
                 const soundName = sfxSelect?.value || 'fire';
                 this.resetSoundParams(soundName);
-            });
+            }, { signal });
         }
     }
     
@@ -236,6 +373,8 @@ export class UIManager {
      * Setup SFX parameter sliders
      */
     setupSFXParamSliders() {
+        const signal = this.game.signal;
+        
         const paramMappings = {
             'sfx-frequency': { param: 'frequency', display: 'sfx-frequency-val', suffix: ' Hz' },
             'sfx-freq-slide': { param: 'frequencySlide', display: 'sfx-freq-slide-val', suffix: '' },
@@ -263,7 +402,7 @@ export class UIManager {
                     
                     // Update sound parameter
                     this.game.audio.setSoundParam(soundName, config.param, value);
-                });
+                }, { signal });
             }
         });
     }
@@ -344,6 +483,8 @@ export class UIManager {
      * Setup gameplay settings (cannon power, etc.)
      */
     setupGameplaySettings() {
+        const signal = this.game.signal;
+        
         const powerMultiplierInput = document.getElementById('cannon-power-multiplier');
         const currentPowerDisplay = document.getElementById('current-power-mult');
         
@@ -359,23 +500,183 @@ export class UIManager {
                 if (currentPowerDisplay) {
                     currentPowerDisplay.textContent = value.toFixed(1);
                 }
-            });
+            }, { signal });
+        }
+        
+        // Simulation speed slider
+        const timeScaleSlider = document.getElementById('time-scale');
+        const timeScaleDisplay = document.getElementById('time-scale-val');
+        
+        if (timeScaleSlider) {
+            timeScaleSlider.addEventListener('input', (e) => {
+                const scale = this.game.setTimeScale(parseFloat(e.target.value));
+                if (timeScaleDisplay) {
+                    timeScaleDisplay.textContent = `${scale.toFixed(2)}x`;
+                }
+            }, { signal });
         }
         
+        // Tilt sensitivity slider
+        const tiltSlider = document.getElementById('tilt-sensitivity');
+        const tiltDisplay = document.getElementById('tilt-sensitivity-val');
+        
+        if (tiltSlider) {
+            tiltSlider.addEventListener('input', (e) => {
+                const sensitivity = this.game.setTiltSensitivity(parseFloat(e.target.value));
+                if (tiltDisplay) {
+                    tiltDisplay.textContent = `${sensitivity.toFixed(1)}x`;
+                }
+            }, { signal });
+        }
+        
+        // Ball save slider
+        const ballSaveSlider = document.getElementById('ball-save-time');
+        const ballSaveDisplay = document.getElementById('ball-save-time-val');
+        
+        if (ballSaveSlider) {
+            ballSaveSlider.addEventListener('input', (e) => {
+                const seconds = this.game.setBallSaveTime(parseFloat(e.target.value));
+                if (ballSaveDisplay) {
+                    ballSaveDisplay.textContent = `${seconds.toFixed(1)}s`;
+                }
+            }, { signal });
+        }
+        
+        // Setup replay download/load buttons
+        this.setupReplayButtons();
+        
         // Setup GLTF export button
         this.setupExportButton();
     }
     
+    /**
+     * Setup replay download and load buttons
+     */
+    setupReplayButtons() {
+        const signal = this.game.signal;
+        
+        const downloadBtn = document.getElementById('download-replay-btn');
+        const loadBtn = document.getElementById('load-replay-btn');
+        const fileInput = document.getElementById('replay-file-input');
+        
+        if (downloadBtn) {
+            downloadBtn.addEventListener('click', () => this.downloadReplay(), { signal });
+        }
+        
+        if (loadBtn && fileInput) {
+            loadBtn.addEventListener('click', () => fileInput.click(), { signal });
+            fileInput.addEventListener('change', () => {
+                const file = fileInput.files[0];
+                fileInput.value = '';
+                if (file) {
+                    this.loadReplayFile(file);
+                }
+            }, { signal });
+        }
+    }
+    
+    /**
+     * Download the current session's recording as JSON
+     */
+    downloadReplay() {
+        const recording = this.game.recorder.getRecording();
+        if (!recording) {
+            console.warn('No recording available');
+            return;
+        }
+        
+        const blob = new Blob([JSON.stringify(recording)], { type: 'application/json' });
+        this.downloadBlob(blob, `pachinko-replay-${recording.seed}.json`);
+    }
+    
+    /**
+     * Load a replay file and start playback
+     */
+    async loadReplayFile(file) {
+        try {
+            const recording = JSON.parse(await file.text());
+            this.elements.settingsModal.classList.add('hidden');
+            this.game.replay.start(recording);
+        } catch (error) {
+            console.error('Failed to load replay:', error);
+            this.showEventNotification('Invalid replay file', '#ef4444');
+        }
+    }
+    
+    /**
+     * Setup replay playback bar controls
+     */
+    setupReplayBar() {
+        const signal = this.game.signal;
+        
+        const { replayPlayBtn, replaySeek, replaySpeed, replayExitBtn } = this.elements;
+        if (!replayPlayBtn) return;
+        
+        // Seek slider position is not updated while the user drags it
+        this.replaySeekDragging = false;
+        
+        replayPlayBtn.addEventListener('click', () => this.game.replay.togglePlay(), { signal });
+        replayExitBtn.addEventListener('click', () => this.game.replay.stop(), { signal });
+        
+        replaySeek.addEventListener('input', () => {
+            this.replaySeekDragging = true;
+        }, { signal });
+        replaySeek.addEventListener('change', () => {
+            this.replaySeekDragging = false;
+            this.game.replay.seek(parseInt(replaySeek.value));
+        }, { signal });
+        
+        replaySpeed.addEventListener('change', () => {
+            this.game.replay.setSpeed(parseFloat(replaySpeed.value));
+        }, { signal });
+    }
+    
+    /**
+     * Show replay playback bar
+     */
+    showReplayBar(durationTicks) {
+        this.elements.replaySeek.max = durationTicks;
+        this.elements.replaySpeed.value = String(this.game.replay.speed);
+        this.elements.replayBar.classList.remove('hidden');
+    }
+    
+    /**
+     * Hide replay playback bar
+     */
+    hideReplayBar() {
+        this.elements.replayBar.classList.add('hidden');
+    }
+    
+    /**
+     * Update replay position and play/pause state
+     */
+    updateReplayBar() {
+        const replay = this.game.replay;
+        const clock = this.game.clock;
+        const duration = replay.getDuration();
+        
+        if (!this.replaySeekDragging) {
+            this.elements.replaySeek.value = clock.tick;
+        }
+        
+        const current = (clock.tick * clock.fixedDelta).toFixed(1);
+        const total = (duration * clock.fixedDelta).toFixed(1);
+        this.elements.replayTime.textContent = `${current}s / ${total}s`;
+        this.elements.replayPlayBtn.textContent = replay.isPlaying ? '⏸️' : '▶️';
+    }
+    
     /**
      * Setup GLTF export button
      */
     setupExportButton() {
+        const signal = this.game.signal;
+        
         const exportBtn = document.getElementById('export-gltf-btn');
         
         if (exportBtn) {
             exportBtn.addEventListener('click', () => {
                 this.exportGLTF();
-            });
+            }, { signal });
         }
     }
     
@@ -452,6 +753,13 @@ export class UIManager {
             filename = filename.replace('.glb', '.gltf');
         }
         
+        this.downloadBlob(blob, filename);
+    }
+    
+    /**
+     * Trigger a browser download for a blob
+     */
+    downloadBlob(blob, filename) {
         const url = URL.createObjectURL(blob);
         const link = document.createElement('a');
         link.href = url;
@@ -480,6 +788,8 @@ export class UIManager {
      * Setup individual sound volume sliders
      */
     setupSoundVolumeSliders() {
+        const signal = this.game.signal;
+        
         const soundMappings = {
             'sfx-fire-vol': 'fire',
             'sfx-peg-vol': 'peg',
@@ -507,7 +817,7 @@ export class UIManager {
                             display.textContent = `${e.target.value}%`;
                         }
                     }
-                });
+                }, { signal });
             }
         });
     }
@@ -516,6 +826,8 @@ export class UIManager {
      * Setup preset buttons
      */
     setupPresetButtons() {
+        const signal = this.game.signal;
+        
         // Define volume presets
         const PRESETS = {
             ARCADE: { master: 100, sounds: 80 },  // Default arcade experience
@@ -528,7 +840,7 @@ export class UIManager {
         if (arcadeBtn) {
             arcadeBtn.addEventListener('click', () => {
                 this.applyPreset(PRESETS.ARCADE);
-            });
+            }, { signal });
         }
         
         // Quiet preset
@@ -536,7 +848,7 @@ export class UIManager {
         if (quietBtn) {
             quietBtn.addEventListener('click', () => {
                 this.applyPreset(PRESETS.QUIET);
-            });
+            }, { signal });
         }
         
         // Loud preset
@@ -544,7 +856,7 @@ export class UIManager {
         if (loudBtn) {
             loudBtn.addEventListener('click', () => {
                 this.applyPreset(PRESETS.LOUD);
-            });
+            }, { signal });
         }
         
         // Reset preset (same as Arcade - default settings)
@@ -552,7 +864,7 @@ export class UIManager {
         if (resetBtn) {
             resetBtn.addEventListener('click', () => {
                 this.applyPreset(PRESETS.ARCADE);
-            });
+            }, { signal });
         }
     }
     
@@ -595,6 +907,8 @@ export class UIManager {
      * Setup test sound buttons
      */
     setupTestButtons() {
+        const signal = this.game.signal;
+        
         const testButtons = document.querySelectorAll('.test-btn');
         testButtons.forEach(btn => {
             btn.addEventListener('click', () => {
@@ -602,7 +916,7 @@ export class UIManager {
                 if (soundName) {
                     this.game.audio.playSound(soundName);
                 }
-            });
+            }, { signal });
         });
     }
 
@@ -634,6 +948,48 @@ export class UIManager {
         }
     }
 
+    /**
+     * Update the tilt meter
+     * @param {number} level - Meter level (0-1)
+     * @param {string} status - 'ok', 'warning' or 'tilt'
+     */
+    updateTiltMeter(level, status) {
+        this.elements.tiltMeterFill.style.width = `${Math.round(level * 100)}%`;
+        this.elements.tiltLabel.textContent = status === 'tilt' ? 'TILT!' : 'TILT';
+        this.elements.tiltDisplay.classList.toggle('warning', status === 'warning');
+        this.elements.tiltDisplay.classList.toggle('tilt', status === 'tilt');
+    }
+
+    /**
+     * Update the probability state display
+     * @param {string} state - 'NORMAL', 'KAKUHEN' or 'JITAN'
+     * @param {number|null} spinsLeft - Losing spins before normal (null = until the next win)
+     */
+    updateProbabilityState(state, spinsLeft) {
+        this.elements.probabilityValue.textContent = spinsLeft === null ? state : `${state} ${spinsLeft}`;
+        this.elements.probabilityDisplay.classList.toggle('kakuhen', state === 'KAKUHEN');
+        this.elements.probabilityDisplay.classList.toggle('jitan', state === 'JITAN');
+    }
+
+    /**
+     * Update the attacker display: round, balls this round, V-zone lamp and round time left
+     * @param {Object|null} status - null hides the display (attacker idle)
+     */
+    updateAttacker(status) {
+        const display = this.elements.attackerDisplay;
+        if (!status) {
+            display.classList.add('hidden');
+            return;
+        }
+        
+        display.classList.remove('hidden');
+        display.classList.toggle('interval', !status.isOpen);
+        this.elements.attackerRound.textContent = `ROUND ${status.round}/${status.rounds}`;
+        this.elements.attackerCount.textContent = `${status.balls}/${status.ballsPerRound}`;
+        this.elements.attackerV.classList.toggle('lit', status.vPassed);
+        this.elements.attackerTimerFill.style.width = `${Math.round(status.timeLeft * 100)}%`;
+    }
+
     /**
      * Update multiplier badge
      */
@@ -677,6 +1033,21 @@ export class UIManager {
         }, 1500);
     }
 
+    /**
+     * Flash the BALL SAVED indicator (restarted by every save)
+     */
+    showBallSaved() {
+        if (this.ballSavedTimeout) {
+            clearTimeout(this.ballSavedTimeout);
+        }
+        
+        this.elements.ballSavedIndicator.classList.remove('hidden');
+        
+        this.ballSavedTimeout = setTimeout(() => {
+            this.elements.ballSavedIndicator.classList.add('hidden');
+        }, CONFIG.BALL_SAVE.INDICATOR_TIME * 1000);
+    }
+
     /**
      * Show rapid fire indicator
      */
@@ -699,12 +1070,20 @@ export class UIManager {
     }
 
     /**
-     * Update jackpot ball count
+     * Update the reserved spin lamps
+     * @param {string[]} hints - Lamp per reserved spin in play order ('normal' or 'hot')
+     * @param {number} max - Spins that can be reserved
      */
-    updateJackpotCount(count, max) {
-        this.elements.jackpotCount.textContent = `${count}/${max}`;
+    updateReservedSpins(hints, max) {
+        const lamps = [];
+        for (let i = 0; i < max; i++) {
+            const lamp = document.createElement('span');
+            lamp.className = `reserve-lamp ${hints[i] || 'empty'}`;
+            lamps.push(lamp);
+        }
+        this.elements.jackpotReserve.replaceChildren(...lamps);
         
-        if (count >= max) {
+        if (hints.length > 0) {
             this.elements.jackpotHandleContainer.classList.remove('disabled');
             this.elements.jackpotHandleContainer.classList.add('ready');
         } else {
@@ -837,6 +1216,82 @@ export class UIManager {
         this.elements.gameOverScreen.classList.add('hidden');
     }
 
+    /**
+     * Setup pause menu buttons
+     */
+    setupPauseMenu() {
+        const signal = this.game.signal;
+        
+        this.elements.pauseResumeBtn.addEventListener('click', () => this.game.resume(), { signal });
+        this.elements.pauseRestartBtn.addEventListener('click', () => this.game.restart(), { signal });
+        this.elements.pauseSettingsBtn.addEventListener('click', () => {
+            this.elements.settingsModal.classList.remove('hidden');
+        }, { signal });
+        this.elements.pauseEditorBtn.addEventListener('click', () => this.game.openEditor(), { signal });
+    }
+
+    /**
+     * Show pause menu
+     */
+    showPauseMenu() {
+        this.elements.pauseMenu.classList.remove('hidden');
+    }
+
+    /**
+     * Hide pause menu
+     */
+    hidePauseMenu() {
+        this.elements.pauseMenu.classList.add('hidden');
+    }
+
+    /**
+     * Setup continue prompt buttons
+     */
+    setupContinuePrompt() {
+        const signal = this.game.signal;
+        
+        this.elements.continueBtn.addEventListener('click', () => this.game.continueSession(), { signal });
+        this.elements.continueNewBtn.addEventListener('click', () => this.game.discardSavedSession(), { signal });
+    }
+
+    /**
+     * Offer to continue a saved session
+     */
+    showContinuePrompt(snapshot) {
+        const balls = snapshot.balls.totalBalls + snapshot.balls.active.length;
+        this.elements.continueDetails.textContent =
+            `Score ${this.formatNumber(snapshot.score.currentScore)} · ${this.formatNumber(balls)} balls`;
+        this.elements.continuePrompt.classList.remove('hidden');
+    }
+
+    /**
+     * Hide continue prompt
+     */
+    hideContinuePrompt() {
+        this.elements.continuePrompt.classList.add('hidden');
+    }
+
+    /**
+     * Clear pending timeouts and hide overlays so a new game starts from a clean page
+     * (DOM listeners are removed with the game's abort signal)
+     */
+    destroy() {
+        clearTimeout(this.eventNotificationTimeout);
+        this.eventNotificationTimeout = null;
+        clearTimeout(this.ballSavedTimeout);
+        this.ballSavedTimeout = null;
+        
+        this.hidePauseMenu();
+        this.hideContinuePrompt();
+        this.hideGameOver();
+        this.hideJackpotOverlay();
+        this.hideJackpotCountdown();
+        this.hideReplayBar();
+        this.hideRapidFire();
+        this.elements.ballSavedIndicator.classList.add('hidden');
+        this.elements.attackerDisplay.classList.add('hidden');
+    }
+
     /**
      * Refresh leaderboard display
      */
@@ -0,0 +1,150 @@
+/**
+ * Skill Shot Check
+ * Sweeps the cannon's elevation, aim and power, one shot per fresh headless game, until a
+ * launched ball's first contact is a skill-shot lane. Then fires the same shot
+ * with that lane lit and checks that it scores the skill shot.
+ *
+ * Usage: node tools/check-skill-shot.js [--seed 1]
+ * Prints a JSON summary and exits with 1 when no shot arms and reaches a lane,
+ * or the lit lane doesn't score.
+ * (Node 20 needs --experimental-default-type=module before the script path)
+ */
+
+import { Game } from '../src/js/game.js';
+import { GameEvents, ALL_EVENTS } from '../src/js/events.js';
+
+const ELEVATIONS = [0.5, 0, 1, -0.5, -1];
+const AIMS = [-1, -0.75, -0.5, -0.25, 0, 0.25, 0.5, 0.75, 1];
+const POWERS = [0.4, 0.6, 0.8, 1];
+
+// Ticks for the barrel to turn to its aim, and for a shot to make its first contact
+const AIM_TICKS = 60;
+const FLIGHT_TICKS = 300;
+
+/**
+ * Parse --name value pairs into an options object
+ */
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i += 2) {
+        options[argv[i].replace(/^--/, '')] = Number(argv[i + 1]);
+    }
+    return options;
+}
+
+/**
+ * Name a body from its userData flag (isRamp -> 'ramp'); bodies without one are walls
+ */
+function bodyName(body) {
+    const flags = body.userData || {};
+    const flag = Object.keys(flags).find(key => key.startsWith('is') && flags[key] === true);
+    return flag ? flag.charAt(2).toLowerCase() + flag.slice(3) : 'wall';
+}
+
+/**
+ * Fire one ball on a fresh game and follow it to its first contact
+ * @param {number|null} litLane - Lane to light (and keep lit) before firing
+ * @returns {Promise<{armed: boolean, lane: number|null, contact: string|null, scored: boolean}>}
+ */
+async function fireShot(seed, elevation, aim, power, litLane = null) {
+    const game = new Game({ headless: true, seed });
+    await game.init();
+    game.start();
+
+    game.input.aim(aim, elevation);
+    game.runTicks(AIM_TICKS);
+
+    const skillShot = game.skillShot;
+    if (litLane !== null) {
+        game.clock.cancel(skillShot.rotateTimer);
+        skillShot.lightLane(litLane);
+    }
+
+    let ballId = null;
+    let contact = null;
+    let scored = false;
+    game.events.on(ALL_EVENTS, (event) => {
+        if (event.type === GameEvents.BALL_LAUNCH) {
+            ballId = ballId ?? event.ballId;
+        } else if (event.ballId === ballId && contact === null) {
+            contact = event.type;
+        }
+        if (event.type === GameEvents.SKILL_SHOT && event.ballId === ballId) {
+            scored = true;
+        }
+    });
+
+    // Contacts that raise no event; the back wall and front glass don't count (see SkillShot)
+    game.balls.pool.forEach(ball => {
+        game.physics.addCollisionListener(ball.body, ({ body }) => {
+            const { isBackWall, isFrontGlass } = body.userData || {};
+            if (ball.id === ballId && contact === null && !isBackWall && !isFrontGlass) {
+                contact = `${bodyName(body)} contact`;
+            }
+        });
+    });
+
+    game.input.fire(power);
+
+    // The ball is armed from its launch until its first contact
+    let armed = false;
+    let lane = null;
+    for (let tick = 0; tick < FLIGHT_TICKS; tick++) {
+        game.runTicks(1);
+        if (ballId === null) continue;
+
+        if (skillShot.armed.has(ballId)) {
+            armed = true;
+        } else if (armed) {
+            const entered = skillShot.lanes.find(({ trigger }) => game.triggers.occupantsOf(trigger).includes(ballId));
+            lane = entered ? entered.index : null;
+            break;
+        }
+    }
+
+    game.destroy();
+    return { armed, lane, contact: lane !== null ? `skill shot lane ${lane + 1}` : contact, scored };
+}
+
+async function main() {
+    const options = { seed: 1, ...parseArgs(process.argv.slice(2)) };
+
+    // Keep system init logs out of the JSON output
+    const log = console.log;
+    console.log = () => {};
+
+    const shots = [];
+    let hit = null;
+    for (const elevation of ELEVATIONS) {
+        for (const aim of AIMS) {
+            for (const power of POWERS) {
+                const shot = await fireShot(options.seed, elevation, aim, power);
+                shots.push({ elevation, aim, power, armed: shot.armed, firstContact: shot.contact });
+
+                if (shot.lane !== null) {
+                    hit = { elevation, aim, power, lane: shot.lane };
+                    break;
+                }
+            }
+            if (hit) break;
+        }
+        if (hit) break;
+    }
+
+    const scored = hit ? (await fireShot(options.seed, hit.elevation, hit.aim, hit.power, hit.lane)).scored : false;
+
+    console.log = log;
+    console.log(JSON.stringify({
+        seed: options.seed,
+        shots,
+        laneHit: hit ? { ...hit, lane: hit.lane + 1 } : null,
+        scoredWhenLit: scored
+    }, null, 2));
+
+    process.exitCode = scored ? 0 : 1;
+}
+
+main().catch(error => {
+    console.error(`check-skill-shot: ${error.message}`);
+    process.exitCode = 1;
+});
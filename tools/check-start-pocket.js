@@ -0,0 +1,100 @@
+/**
+ * Start Pocket Check
+ * Drops a ball beside the start pocket's capture volume, one ball per fresh headless
+ * game, at the normal and a widened pocket scale. Checks that capture follows the
+ * scaled radius and that the trigger's debug wireframe matches it.
+ *
+ * Usage: node tools/check-start-pocket.js [--seed 1] [--scale 1.5]
+ * Prints a JSON summary and exits with 1 when a ball is captured outside the pocket's
+ * reach, missed inside it, or the wireframe's radius differs from the capture volume's.
+ * (Node 20 needs --experimental-default-type=module before the script path)
+ */
+
+import { Game } from '../src/js/game.js';
+import { GameEvents } from '../src/js/events.js';
+import { CONFIG } from '../src/js/config.js';
+
+// Ticks to wait for the capture after the ball is placed
+const CAPTURE_TICKS = 2;
+
+/**
+ * Parse --name value pairs into an options object
+ */
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i += 2) {
+        options[argv[i].replace(/^--/, '')] = Number(argv[i + 1]);
+    }
+    return options;
+}
+
+/**
+ * Place a still ball at a distance from the capture volume's centre on a fresh game
+ * @returns {Promise<{captured: boolean, wireframeRadius: number, captureRadius: number}>}
+ */
+async function placeBall(seed, scale, distance) {
+    const game = new Game({ headless: true, seed });
+    await game.init();
+    game.start();
+
+    game.triggers.setDebugVisible(true);
+    game.playfield.setStartPocketScale(scale);
+
+    let captured = false;
+    game.events.on(GameEvents.FUNNEL_CAPTURE, () => { captured = true; });
+
+    const trigger = game.playfield.funnelTrigger;
+    const { x, y, z } = trigger.position;
+    game.balls.spawnBall({ x: x + distance, y, z }, { x: 0, y: 0, z: 0 });
+    game.runTicks(CAPTURE_TICKS);
+
+    const result = {
+        captured,
+        wireframeRadius: trigger.debugMesh.geometry.parameters.radius,
+        captureRadius: trigger.shape.radius
+    };
+    game.destroy();
+    return result;
+}
+
+async function main() {
+    const options = { seed: 1, scale: 1.5, ...parseArgs(process.argv.slice(2)) };
+
+    // Keep system init logs out of the JSON output
+    const log = console.log;
+    console.log = () => {};
+
+    // Just inside the normal reach, and between the normal and the scaled reach
+    const radius = CONFIG.PLAYFIELD.FUNNEL.BOTTOM_RADIUS;
+    const ballRadius = CONFIG.PHYSICS.BALL.RADIUS;
+    const inside = radius + ballRadius * 0.5;
+    const between = (radius + radius * options.scale) / 2 + ballRadius;
+
+    const cases = [
+        { scale: 1, distance: inside, expected: true },
+        { scale: 1, distance: between, expected: false },
+        { scale: options.scale, distance: between, expected: true }
+    ];
+
+    const results = [];
+    for (const { scale, distance, expected } of cases) {
+        const placed = await placeBall(options.seed, scale, distance);
+        results.push({
+            scale,
+            distance: Number(distance.toFixed(3)),
+            expected,
+            ...placed,
+            ok: placed.captured === expected && placed.wireframeRadius === placed.captureRadius
+        });
+    }
+
+    console.log = log;
+    console.log(JSON.stringify({ seed: options.seed, results }, null, 2));
+
+    process.exitCode = results.every(result => result.ok) ? 0 : 1;
+}
+
+main().catch(error => {
+    console.error(`check-start-pocket: ${error.message}`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,95 @@
+/**
+ * Table Layout Lint
+ * Reports overlapping pegs, gaps narrower than a ball, pegs inside skip zones,
+ * unreachable triggers and left/right asymmetry in a table layout
+ *
+ * Usage: node tools/lint-table.js [table.json ...] [--playfield] [--json]
+ *   --playfield  lint the playfield a headless game builds from the table instead of the file
+ *   --json       print the issues as JSON
+ * Lints the default table when no file is given. Exits with 1 when any table has errors
+ * it doesn't accept (see table-lint.js), or a table can't be read.
+ * (Node 20 needs --experimental-default-type=module before the script path)
+ */
+
+import { pathToFileURL } from 'node:url';
+import { Game } from '../src/js/game.js';
+import { loadTable, DEFAULT_TABLE_URL } from '../src/js/table.js';
+import { lintLayout, getTableLintLayout, getPlayfieldLintLayout, isFailure } from '../src/js/table-lint.js';
+
+/**
+ * Split arguments into table files and flags
+ */
+function parseArgs(argv) {
+    const files = argv.filter(arg => !arg.startsWith('--'));
+    return {
+        sources: files.length > 0 ? files.map(file => pathToFileURL(file)) : [DEFAULT_TABLE_URL],
+        playfield: argv.includes('--playfield'),
+        json: argv.includes('--json')
+    };
+}
+
+/**
+ * Lint one table (its file, or the playfield built from it)
+ */
+async function lintSource(source, playfield) {
+    const table = await loadTable(source).catch(error => {
+        throw new Error(`can't read ${source.pathname}: ${error.message}`);
+    });
+    if (!playfield) {
+        return { table, issues: lintLayout(getTableLintLayout(table)) };
+    }
+
+    const game = new Game({ headless: true, table });
+    await game.init();
+    const issues = lintLayout(getPlayfieldLintLayout(game));
+    game.destroy();
+
+    return { table, issues };
+}
+
+/**
+ * Print one table's issues as text
+ */
+function printReport(source, { table, issues }) {
+    const errors = issues.filter(issue => issue.severity === 'error').length;
+    const accepted = issues.filter(issue => issue.accepted !== undefined).length;
+    console.log(`${table.name} (${source.pathname}): ${errors} errors, ${issues.length - errors} warnings, ${accepted} accepted`);
+
+    issues.forEach(({ severity, rule, message, x, y, accepted }) => {
+        const at = `(${x.toFixed(2)}, ${y.toFixed(2)})`;
+        console.log(`  ${severity.padEnd(8)}${rule.padEnd(21)}${at.padEnd(16)}${message}`);
+        if (accepted !== undefined) console.log(`  ${''.padEnd(45)}accepted: ${accepted}`);
+    });
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    // Keep system init logs out of the report
+    const log = console.log;
+    console.log = () => {};
+
+    const reports = [];
+    for (const source of options.sources) {
+        reports.push({ source, ...await lintSource(source, options.playfield) });
+    }
+
+    console.log = log;
+    if (options.json) {
+        console.log(JSON.stringify(reports.map(({ source, table, issues }) => ({
+            table: table.name,
+            file: source.pathname,
+            issues
+        })), null, 2));
+    } else {
+        reports.forEach(report => printReport(report.source, report));
+    }
+
+    const failed = reports.some(({ issues }) => issues.some(isFailure));
+    process.exitCode = failed ? 1 : 0;
+}
+
+main().catch(error => {
+    console.error(`lint-table: ${error.message}`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,113 @@
+/**
+ * Headless Balance Simulation
+ * Fires a batch of balls through a headless game and prints a JSON summary
+ * (shots counts launched balls; fire attempts that launched nothing are counted apart)
+ *
+ * Usage: node tools/simulate.js [--balls 500] [--seed 1234] [--power 0.5] [--aim-x 0] [--aim-y 0.5]
+ * (Node 20 needs --experimental-default-type=module before the script path)
+ */
+
+import { Game, GameState } from '../src/js/game.js';
+import { GameEvents } from '../src/js/events.js';
+
+/**
+ * Parse --name value pairs into an options object
+ */
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i += 2) {
+        options[argv[i].replace(/^--/, '')] = Number(argv[i + 1]);
+    }
+    return options;
+}
+
+async function main() {
+    const options = {
+        balls: 500,
+        power: 0.5,
+        'aim-x': 0,
+        'aim-y': 0.5,
+        ...parseArgs(process.argv.slice(2))
+    };
+
+    // Keep system init logs out of the JSON output
+    const log = console.log;
+    console.log = () => {};
+
+    const game = new Game({ seed: options.seed, headless: true });
+    await game.init();
+    game.start();
+
+    game.input.aim(options['aim-x'], options['aim-y']);
+
+    // Record where balls get stuck, to find layout spots that trap them
+    const stuckBalls = [];
+    game.events.on(GameEvents.BALL_STUCK, ({ action, position, tick }) => {
+        stuckBalls.push({
+            action,
+            tick,
+            x: Number(position.x.toFixed(2)),
+            y: Number(position.y.toFixed(2))
+        });
+    });
+
+    // Record balls that leave the cabinet, to find shots and kicks that throw them off the table
+    const escapedBalls = [];
+    game.events.on(GameEvents.BALL_ESCAPE, ({ position, tick }) => {
+        escapedBalls.push({
+            tick,
+            x: Number(position.x.toFixed(2)),
+            y: Number(position.y.toFixed(2)),
+            z: Number(position.z.toFixed(2))
+        });
+    });
+
+    // Shots are launches (ball:launch); a fire attempt launches nothing while firing is
+    // locked out (jackpot spin or payout, tilt) or when the ball can't be spawned (MAX_ACTIVE)
+    let shots = 0;
+    game.events.on(GameEvents.BALL_LAUNCH, () => shots++);
+    let attempts = 0;
+    let lockedOut = 0;
+    let spawnFailures = 0;
+
+    // Fire whenever the cannon is ready until enough balls have launched (or none are left),
+    // then give the table up to a minute to drain
+    while (shots < options.balls && game.balls.totalBalls > 0 && !game.stateMachine.is(GameState.GAME_OVER)) {
+        if (game.cannon.cooldownRemaining > 0) {
+            game.runTicks(1);
+            continue;
+        }
+
+        const canFire = game.stateMachine.is(GameState.PLAYING, GameState.JACKPOT_READY);
+        const launched = shots;
+        game.input.fire(options.power);
+        attempts++;
+        game.runTicks(1);
+
+        if (shots === launched) {
+            if (canFire) spawnFailures++;
+            else lockedOut++;
+        }
+    }
+    const drainDeadline = game.clock.tick + 60 * game.clock.tickRate;
+    while (game.balls.activeBallCount > 0 && game.clock.tick < drainDeadline) {
+        game.runTicks(game.clock.tickRate);
+    }
+
+    console.log = log;
+    console.log(JSON.stringify({
+        seed: game.seed,
+        shots,
+        fireAttempts: attempts,
+        lockedOut,
+        spawnFailures,
+        simulatedSeconds: game.clock.time,
+        score: game.score.currentScore,
+        ballsRemaining: game.balls.totalBalls,
+        stats: game.score.stats,
+        stuckBalls,
+        escapedBalls
+    }, null, 2));
+}
+
+main();